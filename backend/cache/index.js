@@ -0,0 +1,143 @@
+// Cache layer for page metadata and query results
+// Namespaces (each with a default TTL that page definitions can override via `cache.ttl`):
+//   schema        data source schema
+//   filterConfig  generated filter options (distinct / top values per column) and numeric column stats
+//   rows          one page of rows for a view (filters + sort + page size + offset/cursor)
+//   count         total row count for a filter signature
+//   summary       summary (footer) row stats for a filter signature
+//   facets        filter chip counts for a filter signature
+//
+// Keys look like `${namespace}:${pageIdentifier}:${generation}:${signature}`. Invalidating a page
+// bumps its generation (kept in the store itself), so stale entries are never read again and simply
+// age out; this works with any store, no prefix scans needed.
+//
+// Store interface (async, see memoryStore.js): get(key), set(key, value, ttlMs), delete(key), clear()
+// Store failures are logged and treated as misses; the cache never fails a request.
+
+const { computeSignature } = require('../utils/filterSignature');
+const { createMemoryStore } = require('./memoryStore');
+
+const NAMESPACES = ['schema', 'filterConfig', 'rows', 'count', 'summary', 'facets'];
+
+// Default TTLs in seconds (0 disables caching for that namespace)
+const DEFAULT_TTL_SECONDS = {
+  schema: 600,
+  filterConfig: 600,
+  rows: 60,
+  count: 300,
+  summary: 300,
+  facets: 300
+};
+
+const GENERATION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const ALL_PAGES = '*';
+
+// Effective TTLs for a page: defaults < page `cache.ttl`; `cache: false` disables everything
+function resolveTtls(cfg) {
+  const pageCache = cfg && cfg.cache;
+  if (pageCache === false) return Object.fromEntries(NAMESPACES.map((ns) => [ns, 0]));
+  const overrides = (pageCache && pageCache.ttl) || {};
+  return Object.fromEntries(NAMESPACES.map((ns) => {
+    const ttl = Number(overrides[ns]);
+    return [ns, overrides[ns] != null && Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS[ns]];
+  }));
+}
+
+function createCache({ store }) {
+  const stats = Object.fromEntries(NAMESPACES.map((ns) => [ns, { hits: 0, misses: 0, errors: 0 }]));
+  const inflight = new Map(); // key -> pending loader promise (collapses concurrent identical loads)
+
+  async function safeGet(key, ns) {
+    try {
+      return await store.get(key);
+    } catch (e) {
+      if (ns) stats[ns].errors += 1;
+      // eslint-disable-next-line no-console
+      console.warn('[CACHE] store get failed; treating as miss', { key, error: String(e) });
+      return undefined;
+    }
+  }
+
+  async function safeSet(key, value, ttlMs, ns) {
+    try {
+      await store.set(key, value, ttlMs);
+    } catch (e) {
+      if (ns) stats[ns].errors += 1;
+      // eslint-disable-next-line no-console
+      console.warn('[CACHE] store set failed', { key, error: String(e) });
+    }
+  }
+
+  async function generationOf(pageIdentifier) {
+    const [global, page] = await Promise.all([safeGet(`generation:${ALL_PAGES}`), safeGet(`generation:${pageIdentifier}`)]);
+    return `${global || 0}.${page || 0}`;
+  }
+
+  async function bumpGeneration(pageIdentifier) {
+    const key = `generation:${pageIdentifier}`;
+    await safeSet(key, ((await safeGet(key)) || 0) + 1, GENERATION_TTL_MS);
+  }
+
+  // Request-scoped view of the cache for one page
+  // - wrap() records 'hit' | 'miss' | 'bypass' per namespace in `metrics` (returned to the client)
+  async function forPage(cfg) {
+    const pageIdentifier = cfg.pageIdentifier;
+    const ttls = resolveTtls(cfg);
+    const generation = await generationOf(pageIdentifier);
+    const metrics = {};
+
+    async function wrap(ns, keyParts, loader) {
+      if (!ttls[ns]) {
+        metrics[ns] = 'bypass';
+        return loader();
+      }
+      const key = `${ns}:${pageIdentifier}:${generation}:${computeSignature(keyParts)}`;
+      const cached = await safeGet(key, ns);
+      if (cached !== undefined) {
+        stats[ns].hits += 1;
+        metrics[ns] = 'hit';
+        return cached;
+      }
+      stats[ns].misses += 1;
+      metrics[ns] = 'miss';
+      if (!inflight.has(key)) {
+        const pending = Promise.resolve()
+          .then(loader)
+          .then(async (value) => {
+            await safeSet(key, value, ttls[ns] * 1000, ns);
+            return value;
+          })
+          .finally(() => inflight.delete(key));
+        inflight.set(key, pending);
+      }
+      return inflight.get(key);
+    }
+
+    return { wrap, metrics };
+  }
+
+  return {
+    forPage,
+
+    // Drop every cached entry for one page (all namespaces)
+    async invalidatePage(pageIdentifier) {
+      await bumpGeneration(pageIdentifier);
+    },
+
+    // Drop everything (all pages, all namespaces)
+    async invalidateAll() {
+      await bumpGeneration(ALL_PAGES);
+    },
+
+    describe() {
+      return {
+        store: store.type || 'custom',
+        entries: typeof store.size === 'function' ? store.size() : null,
+        defaultTtlSeconds: DEFAULT_TTL_SECONDS,
+        stats
+      };
+    }
+  };
+}
+
+module.exports = { createCache, createMemoryStore };
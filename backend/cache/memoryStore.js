@@ -0,0 +1,40 @@
+// In-process LRU store with per-entry TTL
+// - Reads refresh recency; when maxEntries is exceeded the least recently used entry is evicted
+// - Methods are async so this store is interchangeable with external ones (Redis, memcached, ...)
+
+function createMemoryStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt } (Map order = recency, oldest first)
+
+  return {
+    type: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry); // move to most recent
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,32 @@
+/**
+ * Column shortlist (overrides table): how specific columns are named, tagged and filtered
+ * - `global` entries apply to every page; `companies[companyId]` entries are layered over them
+ *   (field by field) for requests made on behalf of that company
+ * - Entry: { columnName, displayName?, tag?, filterType?, mandatoryOptions? }
+ *   tag              see COLUMN_TAGS; passed to the frontend with headers and filter config
+ *   filterType       forces LIST or FREETEXT on string columns (other forced types must match the column type)
+ *   mandatoryOptions filter options that are always offered, even when no row has them yet
+ *                    (e.g. all values of an enum)
+ */
+
+const COLUMN_TAGS = ['STATUS', 'COMPANY', 'PROSPECT', 'STAFFER', 'AGENT', 'FUTURE_DATE'];
+
+const columnShortlist = {
+  global: [
+    { columnName: 'owner_company', displayName: 'Company', tag: 'COMPANY' },
+    { columnName: 'company_name', displayName: 'Company', tag: 'COMPANY' },
+    { columnName: 'lead_name', displayName: 'Lead', tag: 'PROSPECT' },
+    { columnName: 'owner_id', displayName: 'Owner', tag: 'STAFFER' },
+    { columnName: 'status', tag: 'STATUS', filterType: 'LIST', mandatoryOptions: ['New', 'Contacted', 'Qualified', 'Won', 'Lost'] },
+    { columnName: 'priority', filterType: 'LIST', mandatoryOptions: ['Low', 'Medium', 'High', 'Urgent'] },
+    { columnName: 'follow_up_date', displayName: 'Follow-up', tag: 'FUTURE_DATE' }
+  ],
+  companies: {
+    // Example: a customer that calls its leads "prospects"
+    acme: [
+      { columnName: 'lead_name', displayName: 'Prospect' }
+    ]
+  }
+};
+
+module.exports = { columnShortlist, COLUMN_TAGS };
@@ -0,0 +1,219 @@
+// BigQuery-backed data source: schema via table metadata, everything else via SQL jobs
+
+const { compileWhereClause, compileCountIfs, columnSql, likePattern } = require('../utils/compileFilterSql');
+const { columnRef } = require('../utils/columnPaths');
+const { HISTOGRAM_BINS, histogramBounds } = require('../utils/numericStats');
+
+// ORDER BY from a validated sort ([{ column, direction }]); '' when unsorted
+function compileOrderBy(sort) {
+  if (!sort || !sort.length) return '';
+  return `ORDER BY ${sort.map((s) => `${columnSql(s.column)} ${s.direction === 'desc' ? 'DESC' : 'ASC'}`).join(', ')}`;
+}
+
+// Value expression and FROM suffix for option queries on a column name or flattened column
+// (utils/columnPaths.js); repeated columns are unnested so each array element counts as a value
+function valueSource(column) {
+  const ref = columnRef(column);
+  if (!ref.arrayPath) return { join: '', expr: columnSql(ref.name) };
+  const expr = ref.elementPath.length ? `_opt.${columnSql(ref.elementPath.join('.'))}` : '_opt';
+  return { join: `, UNNEST(${columnSql(ref.arrayPath.join('.'))}) AS _opt`, expr };
+}
+
+// Group key expression (utils/groupBy.js): date columns group by calendar day, TIMESTAMPs in @groupTz
+function groupKeySql({ column, fieldType }) {
+  if (fieldType === 'TIMESTAMP') return `CAST(DATE(${columnSql(column)}, @groupTz) AS STRING)`;
+  if (fieldType === 'DATE' || fieldType === 'DATETIME') return `CAST(DATE(${columnSql(column)}) AS STRING)`;
+  return columnSql(column);
+}
+
+const AGGREGATE_SQL = { count: () => 'COUNT(1)', sum: (c) => `SUM(${c})`, avg: (c) => `AVG(${c})`, min: (c) => `MIN(${c})`, max: (c) => `MAX(${c})` };
+
+// SELECT list + GROUP BY for a validated groupBy; params gets @groupTz when a TIMESTAMP is grouped
+function groupSelect(groupBy, params) {
+  const keys = groupBy.columns.map((c) => `${groupKeySql(c)} AS ${c.alias}`);
+  const metrics = groupBy.metrics.map((m) => `${AGGREGATE_SQL[m.fn](m.column && columnSql(m.column))} AS ${m.alias}`);
+  const zoned = groupBy.columns.find((c) => c.fieldType === 'TIMESTAMP');
+  if (zoned) params.groupTz = zoned.timeZone;
+  return {
+    select: [...keys, ...metrics].join(', '),
+    groupSql: keys.length ? `GROUP BY ${groupBy.columns.map((c) => c.alias).join(', ')}` : ''
+  };
+}
+
+// Summary row statistics (utils/columnSummary.js)
+const SUMMARY_SQL = {
+  sum: (c) => `SUM(${c})`,
+  avg: (c) => `AVG(${c})`,
+  min: (c) => `MIN(${c})`,
+  max: (c) => `MAX(${c})`,
+  true: (c) => `COUNTIF(${c})`,
+  false: (c) => `COUNTIF(NOT ${c})`,
+  distinct: (c) => `COUNT(DISTINCT ${c})`
+};
+
+// FROM + WHERE for option queries: optional filter tree plus "value IS NOT NULL"
+function optionWhere(where, expr) {
+  const { whereSql, params } = compileWhereClause(where);
+  const notNull = `${expr} IS NOT NULL`;
+  return { sql: whereSql ? `${whereSql} AND ${notNull}` : `WHERE ${notNull}`, params };
+}
+
+function createBigQueryDataSource({ bigquery, datasetId, tableId }) {
+  const qualified = `\`${bigquery.projectId}.${datasetId}.${tableId}\``; // fully-qualified table name
+
+  async function runQuery(query, params = {}) {
+    const [rows] = await bigquery.query({ query, params });
+    return rows;
+  }
+
+  return {
+    type: 'bigquery',
+    description: qualified,
+
+    // Raw BigQuery schema fields (name/type/mode/fields)
+    async getSchema() {
+      const [metadata] = await bigquery.dataset(datasetId).table(tableId).getMetadata();
+      return (metadata.schema && metadata.schema.fields) || [];
+    },
+
+    // Filter-option queries; where (optional) restricts them (e.g. the tenant row scope)
+    // - column: a name or a flattened column from utils/columnPaths.js (nested and repeated fields)
+    async countDistinct(column, { where = null } = {}) {
+      const { join, expr } = valueSource(column);
+      const { whereSql, params } = compileWhereClause(where);
+      const rows = await runQuery(`SELECT APPROX_COUNT_DISTINCT(${expr}) AS c FROM ${qualified}${join} ${whereSql}`, params);
+      return Number(rows[0].c) || 0;
+    },
+
+    async distinctValues(column, limit, { where = null } = {}) {
+      const { join, expr } = valueSource(column);
+      const { sql, params } = optionWhere(where, expr);
+      const rows = await runQuery(`SELECT DISTINCT CAST(${expr} AS STRING) AS v FROM ${qualified}${join} ${sql} ORDER BY v LIMIT ${limit}`, params);
+      return rows.map((r) => r.v);
+    },
+
+    async topValues(column, limit, { where = null } = {}) {
+      const { join, expr } = valueSource(column);
+      const { sql, params } = optionWhere(where, expr);
+      const rows = await runQuery(`SELECT CAST(${expr} AS STRING) AS v, COUNT(1) AS c FROM ${qualified}${join} ${sql} GROUP BY v ORDER BY c DESC LIMIT ${limit}`, params);
+      return rows.map((r) => r.v);
+    },
+
+    // Distinct values with their row counts, most frequent first (option search; paginated)
+    // - search (optional): { text, modality: 'starts with' | 'contains' }, case-insensitive, applied per value
+    async valueCounts(column, { where = null, search = null, limit, offset = 0 } = {}) {
+      const { join, expr } = valueSource(column);
+      const { sql, params } = optionWhere(where, expr);
+      const like = search ? ` AND LOWER(CAST(${expr} AS STRING)) LIKE LOWER(@search)` : '';
+      if (search) params.search = likePattern(search.text, search.modality);
+      const rows = await runQuery(`SELECT CAST(${expr} AS STRING) AS v, COUNT(1) AS c FROM ${qualified}${join} ${sql}${like} GROUP BY v ORDER BY c DESC, v LIMIT ${Number(limit)} OFFSET ${Number(offset)}`, params);
+      return rows.map((r) => ({ value: r.v, count: Number(r.c) }));
+    },
+
+    // Latest calendar day (YYYY-MM-DD) of a DATE/DATETIME/TIMESTAMP column, null when it has no values
+    async maxDate(column, { where = null } = {}) {
+      const { join, expr } = valueSource(column);
+      const { whereSql, params } = compileWhereClause(where);
+      const rows = await runQuery(`SELECT CAST(DATE(MAX(${expr})) AS STRING) AS v FROM ${qualified}${join} ${whereSql}`, params);
+      return rows[0].v || null;
+    },
+
+    // Min/max/percentiles (approximate) and an equal-width histogram of a numeric column (utils/numericStats.js)
+    async numericStats(column, { where = null, bins = HISTOGRAM_BINS } = {}) {
+      const { join, expr } = valueSource(column);
+      const { sql, params } = optionWhere(where, expr);
+      const value = `CAST(${expr} AS FLOAT64)`;
+      const [summary] = await runQuery(
+        `SELECT COUNT(1) AS n, MIN(${value}) AS mn, MAX(${value}) AS mx, APPROX_QUANTILES(${value}, 100) AS q FROM ${qualified}${join} ${sql}`, params);
+      const count = Number(summary.n) || 0;
+      if (!count) return { count: 0, min: null, max: null, percentiles: [], histogram: [] };
+      const min = Number(summary.mn);
+      const max = Number(summary.mx);
+      const bounds = histogramBounds(min, max, bins);
+      const bin = `IFNULL(LEAST(CAST(FLOOR(SAFE_DIVIDE(${value} - @histMin, @histMax - @histMin) * ${bounds.length}) AS INT64), ${bounds.length - 1}), 0)`;
+      const rows = await runQuery(`SELECT ${bin} AS b, COUNT(1) AS c FROM ${qualified}${join} ${sql} GROUP BY b`, { ...params, histMin: min, histMax: max });
+      const countByBin = new Map(rows.map((r) => [Number(r.b), Number(r.c)]));
+      return {
+        count,
+        min,
+        max,
+        percentiles: summary.q.map(Number),
+        histogram: bounds.map((b, i) => ({ ...b, count: countByBin.get(i) || 0 }))
+      };
+    },
+
+    // Bounding box { south, west, north, east } of a GEOGRAPHY column, null when it has no values
+    async geoExtent(column, { where = null } = {}) {
+      const { join, expr } = valueSource(column);
+      const { whereSql, params } = compileWhereClause(where);
+      const [row] = await runQuery(`SELECT ST_EXTENT(${expr}) AS e FROM ${qualified}${join} ${whereSql}`, params);
+      const e = row && row.e;
+      return e && e.xmin != null ? { south: Number(e.ymin), west: Number(e.xmin), north: Number(e.ymax), east: Number(e.xmax) } : null;
+    },
+
+    // where/sort must already be validated (buildFilterConditions / resolveSort)
+    // after (optional): key values of the last row seen; switches from OFFSET to keyset paging
+    // columns (optional): top-level column names to select (null = every column); rows keep their nested shape
+    async selectRows({ where, sort, limit, offset, after = null, columns = null }) {
+      const { whereSql, params } = compileWhereClause(where, after ? { keys: sort, values: after } : null);
+      const selectList = columns ? columns.map(columnSql).join(', ') : '*';
+      const query = `SELECT ${selectList} FROM ${qualified} ${whereSql} ${compileOrderBy(sort)} LIMIT ${Number(limit)}${after ? '' : ` OFFSET ${Number(offset)}`}`;
+      // eslint-disable-next-line no-console
+      console.log('[QUERY] data', query, params);
+      return runQuery(query, params);
+    },
+
+    // Group-by mode (utils/groupBy.js): one row per group, { key: [...], metrics: [...] } in alias order
+    // - sort uses the aliases (g0.., m0..); no group columns = a single row of totals over `where`
+    async groupRows({ where, groupBy, sort = [], limit = null, offset = 0 }) {
+      const { whereSql, params } = compileWhereClause(where);
+      const { select, groupSql } = groupSelect(groupBy, params);
+      const page = limit != null ? `LIMIT ${Number(limit)} OFFSET ${Number(offset)}` : '';
+      const query = `SELECT ${select} FROM ${qualified} ${whereSql} ${groupSql} ${compileOrderBy(sort)} ${page}`;
+      // eslint-disable-next-line no-console
+      console.log('[QUERY] groups', query, params);
+      const rows = await runQuery(query, params);
+      return rows.map((r) => ({ key: groupBy.columns.map((c) => r[c.alias]), metrics: groupBy.metrics.map((m) => r[m.alias]) }));
+    },
+
+    async countGroups({ where, groupBy }) {
+      const { whereSql, params } = compileWhereClause(where);
+      const { select, groupSql } = groupSelect({ columns: groupBy.columns, metrics: [] }, params);
+      const rows = await runQuery(`SELECT COUNT(1) AS c FROM (SELECT ${select} FROM ${qualified} ${whereSql} ${groupSql})`, params);
+      return Number(rows[0].c) || 0;
+    },
+
+    // Summary row (utils/columnSummary.js): every column's stats in one scan, { [column]: { [stat]: value } }
+    async summarizeColumns({ where, columns }) {
+      const { whereSql, params } = compileWhereClause(where);
+      const select = columns.flatMap((c) => c.stats.map((stat) => `${SUMMARY_SQL[stat](columnSql(c.column))} AS ${c.alias}_${stat}`));
+      const query = `SELECT ${select.join(', ')} FROM ${qualified} ${whereSql}`;
+      // eslint-disable-next-line no-console
+      console.log('[QUERY] summary', query, params);
+      const [row] = await runQuery(query, params);
+      return Object.fromEntries(columns.map((c) => [c.column, Object.fromEntries(c.stats.map((stat) => [stat, row[`${c.alias}_${stat}`]]))]));
+    },
+
+    // Rows matching each of several filter trees, in one scan: [count, ...] (facet counts)
+    async countMatching({ conditions }) {
+      if (!conditions.length) return [];
+      const { counts, params } = compileCountIfs(conditions);
+      const query = `SELECT ${counts.map((c, i) => `${c} AS c${i}`).join(', ')} FROM ${qualified}`;
+      // eslint-disable-next-line no-console
+      console.log('[QUERY] facets', query, params);
+      const [row] = await runQuery(query, params);
+      return conditions.map((_, i) => Number(row[`c${i}`]) || 0);
+    },
+
+    async countRows({ where }) {
+      const { whereSql, params } = compileWhereClause(where);
+      const query = `SELECT COUNT(1) AS c FROM ${qualified} ${whereSql}`;
+      // eslint-disable-next-line no-console
+      console.log('[QUERY] count', query, params);
+      const rows = await runQuery(query, params);
+      return Number(rows[0].c) || 0;
+    }
+  };
+}
+
+module.exports = { createBigQueryDataSource };
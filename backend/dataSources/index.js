@@ -0,0 +1,43 @@
+// Data source registry: resolves the adapter a page definition asks for
+// Every adapter exposes the same surface:
+//   description                       cache key part naming the underlying table/file
+//   getSchema() -> [{ name, type, mode, fields? }]
+//   Filter options (column = a flattened field, see utils/columnPaths.js):
+//     countDistinct(column, { where? }), distinctValues(column, limit, { where? }), topValues(column, limit, { where? })
+//     valueCounts(column, { where?, search?, limit, offset? }) -> [{ value, count }]  option search
+//     maxDate(column, { where? }) -> 'YYYY-MM-DD' | null                              relative date chips
+//     numericStats(column, { where?, bins? }) -> raw stats for utils/numericStats.js   optional (range slider)
+//     geoExtent(column, { where? }) -> { south, west, north, east } | null            optional (GEO map)
+//   Rows and counts:
+//     selectRows({ where, sort, limit, offset, after?, columns? }), countRows({ where })
+//     groupRows({ where, groupBy, sort?, limit?, offset? }) -> [{ key, metrics }]     utils/groupBy.js
+//     countGroups({ where, groupBy })
+//     summarizeColumns({ where, columns }) -> { [column]: { [stat]: value } }         utils/columnSummary.js
+//     countMatching({ conditions }) -> [count, ...]                                    utils/facetCounts.js
+// where `where` is the canonical filter tree (AND/OR groups of { column, not, filter }), already
+// normalized and validated by buildFilterConditions so adapters can trust column names and value types,
+// sort is [{ column, direction, fieldType }] validated by resolveSort, and `after` (keyset paging)
+// holds the sort-key values of the last row already seen
+
+const { createBigQueryDataSource } = require('./bigQueryDataSource');
+const { createJsonFileDataSource } = require('./jsonFileDataSource');
+
+// Page definitions without a dataSource block default to BigQuery (datasetId/tableId)
+function resolveDataSourceType(cfg) {
+  return (cfg.dataSource && cfg.dataSource.type) || 'bigquery';
+}
+
+// Returns null when the required client is not available (e.g. BigQuery without credentials)
+function createDataSource(cfg, { bigquery }) {
+  const type = resolveDataSourceType(cfg);
+  if (type === 'bigquery') {
+    if (!bigquery) return null;
+    return createBigQueryDataSource({ bigquery, datasetId: cfg.datasetId, tableId: cfg.tableId });
+  }
+  if (type === 'json') {
+    return createJsonFileDataSource({ file: cfg.dataSource.file, schema: cfg.dataSource.schema || null });
+  }
+  throw new Error(`Unknown data source type: ${type}`);
+}
+
+module.exports = { createDataSource, resolveDataSourceType };
@@ -0,0 +1,250 @@
+// JSON-file data source: loads rows from disk once and answers every query in memory
+// - Lets pages run offline (dev, demos, tests) without GCP credentials
+// - Accepts either a plain array of rows or an object with a `data` array (e.g. sample_response.json)
+
+const fs = require('fs');
+const path = require('path');
+const { buildRowMatcher, toDateKey } = require('../utils/matchFilters');
+const { DATE_TYPES } = require('../utils/filterDefinition');
+const { HISTOGRAM_BINS, computeNumericStats } = require('../utils/numericStats');
+const { readColumn } = require('../utils/columnPaths');
+const { looksLikeGeography, pointExtent } = require('../utils/geography');
+
+const backendDir = path.join(__dirname, '..');
+const rowsByFile = new Map(); // resolved path -> rows (loaded lazily, kept for process lifetime)
+
+function loadRows(file) {
+  const resolved = path.resolve(backendDir, file);
+  if (!rowsByFile.has(resolved)) {
+    const parsed = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+    const rows = Array.isArray(parsed) ? parsed : parsed.data;
+    if (!Array.isArray(rows)) throw new Error(`JSON data source has no rows array: ${file}`);
+    rowsByFile.set(resolved, rows);
+  }
+  return rowsByFile.get(resolved);
+}
+
+// Infer a BigQuery-style type from a sample JS value (arrays: from their first element)
+function inferFieldType(value) {
+  if (Array.isArray(value)) return value.length ? inferFieldType(value[0]) : null;
+  if (typeof value === 'boolean') return 'BOOL';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'INT64' : 'FLOAT64';
+  if (looksLikeGeography(value)) return 'GEOGRAPHY'; // WKT strings and GeoJSON objects
+  if (typeof value === 'string') {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'DATE';
+    if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value)) return 'TIMESTAMP';
+  }
+  if (value && typeof value === 'object') return 'RECORD';
+  return 'STRING';
+}
+
+// Build schema fields from the first non-null (non-empty) value seen for each key
+// - Objects become RECORDs with sub-fields, arrays REPEATED fields (records inside arrays included)
+function inferSchema(rows) {
+  const samples = new Map(); // name -> { type, repeated, objects: [...] }
+  for (const row of rows) {
+    for (const [name, value] of Object.entries(row || {})) {
+      const known = samples.get(name);
+      const type = value == null ? null : inferFieldType(value);
+      if (!known || (known.type === null && type !== null)) samples.set(name, { type, repeated: Array.isArray(value), objects: [] });
+      const entry = samples.get(name);
+      if (entry.type === 'RECORD') entry.objects.push(...(Array.isArray(value) ? value : [value]).filter((v) => v && typeof v === 'object'));
+    }
+  }
+  return [...samples.entries()].map(([name, { type, repeated, objects }]) => {
+    const field = { name, type: type || 'STRING', mode: repeated ? 'REPEATED' : 'NULLABLE' };
+    return type === 'RECORD' ? { ...field, fields: inferSchema(objects) } : field;
+  });
+}
+
+// Comparator for a validated sort; NULLs sort first ascending and last descending (BigQuery defaults)
+function buildRowComparator(sort) {
+  const rank = (v) => (v && typeof v === 'object' && v.value != null ? v.value : v);
+  return (a, b) => {
+    for (const { column, direction } of sort) {
+      const av = rank(readColumn(a, column));
+      const bv = rank(readColumn(b, column));
+      let cmp = 0;
+      if (av == null || bv == null) cmp = (av == null ? 0 : 1) - (bv == null ? 0 : 1);
+      else if (av < bv) cmp = -1;
+      else if (av > bv) cmp = 1;
+      if (cmp !== 0) return direction === 'desc' ? -cmp : cmp;
+    }
+    return 0;
+  };
+}
+
+// Group key of a row for one group column (utils/groupBy.js): date columns by calendar day
+function groupKey(row, { column, fieldType, timeZone }) {
+  const value = readColumn(row, column);
+  if (DATE_TYPES.includes(fieldType)) return toDateKey(value, timeZone || undefined);
+  return value && typeof value === 'object' && value.value != null ? value.value : value;
+}
+
+// Aggregate rows per group: [{ g0.., m0.. }] (SQL semantics: NULLs are skipped, empty sums are NULL)
+function aggregateGroups(rows, groupBy) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = groupBy.columns.map((c) => groupKey(row, c));
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, { key, count: 0, values: groupBy.metrics.map(() => []) });
+    const group = groups.get(id);
+    group.count += 1;
+    groupBy.metrics.forEach((m, i) => {
+      const v = m.column ? readColumn(row, m.column) : null;
+      if (v != null && v !== '' && Number.isFinite(Number(v))) group.values[i].push(Number(v));
+    });
+  }
+  if (!groupBy.columns.length && !groups.size) groups.set('[]', { key: [], count: 0, values: groupBy.metrics.map(() => []) });
+  const aggregate = (fn, values, count) => {
+    if (fn === 'count') return count;
+    if (!values.length) return null;
+    if (fn === 'min') return values.reduce((a, b) => Math.min(a, b));
+    if (fn === 'max') return values.reduce((a, b) => Math.max(a, b));
+    const sum = values.reduce((a, b) => a + b, 0);
+    return fn === 'sum' ? sum : sum / values.length;
+  };
+  return [...groups.values()].map(({ key, count, values }) => ({
+    ...Object.fromEntries(groupBy.columns.map((c, i) => [c.alias, key[i]])),
+    ...Object.fromEntries(groupBy.metrics.map((m, i) => [m.alias, aggregate(m.fn, values[i], count)]))
+  }));
+}
+
+// Summary row statistics over one column's values (utils/columnSummary.js); NULLs are skipped
+function summarizeValues(values, stats) {
+  const present = values.filter((v) => v != null && v !== '');
+  const raw = present.map((v) => (typeof v === 'object' && v.value != null ? v.value : v));
+  const numbers = raw.map(Number).filter(Number.isFinite);
+  const sum = numbers.reduce((a, b) => a + b, 0);
+  const compute = {
+    sum: () => (numbers.length ? sum : null),
+    avg: () => (numbers.length ? sum / numbers.length : null),
+    min: () => (raw.length ? raw.reduce((a, b) => (b < a ? b : a)) : null),
+    max: () => (raw.length ? raw.reduce((a, b) => (b > a ? b : a)) : null),
+    true: () => present.filter((v) => v === true).length,
+    false: () => present.filter((v) => v === false).length,
+    distinct: () => new Set(raw.map(String)).size
+  };
+  return Object.fromEntries(stats.map((stat) => [stat, compute[stat]()]));
+}
+
+function createJsonFileDataSource({ file, schema = null }) {
+  const rows = loadRows(file);
+  const fields = schema || inferSchema(rows);
+
+  const filterRows = (where) => rows.filter(buildRowMatcher(where));
+  // Values of a column (name or flattened column) across rows; repeated columns contribute every element
+  const columnValues = (column, where) => filterRows(where).flatMap((r) => {
+    const value = readColumn(r, column);
+    return Array.isArray(value) ? value : [value];
+  }).filter((v) => v != null);
+  const nonNullStrings = (column, where) => columnValues(column, where).map(String);
+
+  return {
+    type: 'json',
+    description: file,
+
+    async getSchema() {
+      return fields;
+    },
+
+    // Filter-option queries; where (optional) restricts them (e.g. the tenant row scope)
+    async countDistinct(column, { where = null } = {}) {
+      return new Set(nonNullStrings(column, where)).size;
+    },
+
+    async distinctValues(column, limit, { where = null } = {}) {
+      return [...new Set(nonNullStrings(column, where))].sort().slice(0, limit);
+    },
+
+    async topValues(column, limit, { where = null } = {}) {
+      const counts = new Map();
+      nonNullStrings(column, where).forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+      return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([v]) => v);
+    },
+
+    // Distinct values with their row counts, most frequent first (option search; paginated)
+    // - search (optional): { text, modality: 'starts with' | 'contains' }, case-insensitive, applied per value
+    async valueCounts(column, { where = null, search = null, limit, offset = 0 } = {}) {
+      const needle = search ? String(search.text).toLowerCase() : '';
+      const matches = (v) => (search.modality === 'starts with' ? v.toLowerCase().startsWith(needle) : v.toLowerCase().includes(needle));
+      const counts = new Map();
+      nonNullStrings(column, where).filter((v) => !search || matches(v)).forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+      return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+        .slice(offset, offset + limit)
+        .map(([value, count]) => ({ value, count }));
+    },
+
+    // Latest calendar day (YYYY-MM-DD) of a date column, null when it has no values
+    async maxDate(column, { where = null } = {}) {
+      const days = columnValues(column, where).map((v) => toDateKey(v)).filter(Boolean);
+      return days.length ? days.reduce((a, b) => (b > a ? b : a)) : null;
+    },
+
+    // Min/max/percentiles and an equal-width histogram of a numeric column (utils/numericStats.js)
+    async numericStats(column, { where = null, bins = HISTOGRAM_BINS } = {}) {
+      return computeNumericStats(columnValues(column, where), bins);
+    },
+
+    // Bounding box { south, west, north, east } of a GEOGRAPHY column's points, null when it has none
+    async geoExtent(column, { where = null } = {}) {
+      return pointExtent(columnValues(column, where));
+    },
+
+    // after (optional): key values of the last row seen; switches from offset to keyset paging
+    // columns (optional): top-level column names to keep in each row (null = every column)
+    async selectRows({ where, sort, limit, offset, after = null, columns = null }) {
+      const project = (page) => (columns ? page.map((row) => Object.fromEntries(columns.map((c) => [c, row[c]]))) : page);
+      const matched = filterRows(where);
+      if (sort && sort.length) {
+        const compare = buildRowComparator(sort);
+        matched.sort(compare); // Array#sort is stable, so ties keep file order
+        if (after) {
+          // Cursor values placed at their (possibly nested) column paths so the comparator can read them
+          const cursorRow = {};
+          sort.forEach((k, i) => {
+            const path = k.column.split('.');
+            const parent = path.slice(0, -1).reduce((obj, key) => { obj[key] = obj[key] || {}; return obj[key]; }, cursorRow);
+            parent[path[path.length - 1]] = after[i];
+          });
+          return project(matched.filter((row) => compare(row, cursorRow) > 0).slice(0, limit));
+        }
+      }
+      return project(matched.slice(offset, offset + limit));
+    },
+
+    // Group-by mode (utils/groupBy.js): one row per group, { key: [...], metrics: [...] } in alias order
+    // - sort uses the aliases (g0.., m0..); no group columns = a single row of totals over `where`
+    async groupRows({ where, groupBy, sort = [], limit = null, offset = 0 }) {
+      const groups = aggregateGroups(filterRows(where), groupBy);
+      if (sort.length) groups.sort(buildRowComparator(sort));
+      const page = limit != null ? groups.slice(offset, offset + limit) : groups;
+      return page.map((g) => ({ key: groupBy.columns.map((c) => g[c.alias]), metrics: groupBy.metrics.map((m) => g[m.alias]) }));
+    },
+
+    async countGroups({ where, groupBy }) {
+      return aggregateGroups(filterRows(where), { columns: groupBy.columns, metrics: [] }).length;
+    },
+
+    // Summary row (utils/columnSummary.js): { [column]: { [stat]: value } } over every matching row
+    async summarizeColumns({ where, columns }) {
+      const matched = filterRows(where);
+      return Object.fromEntries(columns.map((c) => [c.column, summarizeValues(matched.map((r) => readColumn(r, c.column)), c.stats)]));
+    },
+
+    // Rows matching each of several filter trees: [count, ...] (facet counts)
+    async countMatching({ conditions }) {
+      const matchers = conditions.map(buildRowMatcher);
+      const counts = conditions.map(() => 0);
+      rows.forEach((row) => matchers.forEach((match, i) => { if (match(row)) counts[i] += 1; }));
+      return counts;
+    },
+
+    async countRows({ where }) {
+      return filterRows(where).length;
+    }
+  };
+}
+
+module.exports = { createJsonFileDataSource };
@@ -0,0 +1,27 @@
+// CSV (RFC 4180): CRLF line endings, UTF-8 BOM so spreadsheet apps detect the encoding
+// - Cells starting with = + - @ are prefixed with ' so spreadsheets do not evaluate them as formulas
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+const csvFormat = {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  createWriter(headers) {
+    return {
+      head: () => `\uFEFF${csvLine(headers.map((h) => h.displayName))}`,
+      row: (cells) => csvLine(cells),
+      tail: () => ''
+    };
+  }
+};
+
+module.exports = { csvFormat };
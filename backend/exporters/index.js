@@ -0,0 +1,30 @@
+// Export format registry: turns a stream of rows into a downloadable file
+// Every format exposes the same surface:
+//   contentType, extension
+//   createWriter(headers) -> { head(), row(cells), tail() }, each returning a string/Buffer chunk ('' = nothing)
+// where headers are [{ key, displayName }] (formatTableHeaders) and cells are the row's values in header
+// order, already reduced to scalars by exportCell()
+
+const { cursorValue } = require('../utils/cursor');
+const { csvFormat } = require('./csv');
+const { ndjsonFormat } = require('./ndjson');
+const { xlsxFormat } = require('./xlsx');
+
+const EXPORT_FORMATS = {
+  csv: csvFormat,
+  ndjson: ndjsonFormat,
+  xlsx: xlsxFormat
+};
+
+// Scalar for one cell: BigQuery wrappers expose .value; arrays/records are written as JSON
+function exportCell(cell) {
+  if (cell == null) return null;
+  if (typeof cell === 'object' && cell.value === undefined) return JSON.stringify(cell);
+  return cursorValue(cell);
+}
+
+function getExportFormat(name) {
+  return EXPORT_FORMATS[String(name || 'csv').toLowerCase()] || null;
+}
+
+module.exports = { EXPORT_FORMATS, exportCell, getExportFormat };
@@ -0,0 +1,15 @@
+// NDJSON: one JSON object per line, keyed by the column display names
+
+const ndjsonFormat = {
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'ndjson',
+  createWriter(headers) {
+    return {
+      head: () => '',
+      row: (cells) => `${JSON.stringify(Object.fromEntries(headers.map((h, i) => [h.displayName, cells[i]])))}\n`,
+      tail: () => ''
+    };
+  }
+};
+
+module.exports = { ndjsonFormat };
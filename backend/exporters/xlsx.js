@@ -0,0 +1,204 @@
+// XLSX (Office Open XML spreadsheet) with a single worksheet, written without external libraries
+// - Strings are stored inline (no shared string table); numbers and booleans keep their types
+// - Streamed: the worksheet is the ZIP's last entry, deflated in ~64 KB slices as rows arrive, with its
+//   CRC and sizes in a data descriptor after the data, so memory does not grow with the export size
+// - No ZIP64: a worksheet must stay under 4 GB (far above EXPORT_MAX_ROWS at typical row widths)
+
+const zlib = require('zlib');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const INVALID_XML_CHARS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+const MAX_CELL_LENGTH = 32767; // Excel's per-cell character limit
+
+function escapeXml(text) {
+  return String(text).replace(INVALID_XML_CHARS, '').slice(0, MAX_CELL_LENGTH)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnLetters(index) {
+  let n = index + 1;
+  let letters = '';
+  while (n > 0) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+function xmlCell(value, ref) {
+  if (value == null) return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function xmlRow(cells, rowNumber) {
+  return `<row r="${rowNumber}">${cells.map((v, i) => xmlCell(v, `${columnLetters(i)}${rowNumber}`)).join('')}</row>`;
+}
+
+const STATIC_PARTS = {
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Export" sheetId="1" r:id="rId1"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>'
+};
+
+// CRC-32 (IEEE), computed incrementally over the streamed worksheet
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data, previous = 0) {
+  let crc = ~previous;
+  for (let i = 0; i < data.length; i += 1) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  return ~crc >>> 0;
+}
+
+const UTF8_NAMES = 0x0800;
+const DATA_DESCRIPTOR = 0x0008; // CRC and sizes follow the data instead of the local header
+const FLUSH_BYTES = 64 * 1024;
+
+function localHeader(nameBuf, flags, { crc, compressedSize, size }) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4); // version needed
+  header.writeUInt16LE(flags, 6);
+  header.writeUInt16LE(8, 8); // deflate
+  header.writeUInt32LE(0, 10); // mod time/date
+  header.writeUInt32LE(crc, 14);
+  header.writeUInt32LE(compressedSize, 18);
+  header.writeUInt32LE(size, 22);
+  header.writeUInt16LE(nameBuf.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, nameBuf]);
+}
+
+function centralEntry({ nameBuf, flags, crc, compressedSize, size, offset }) {
+  const entry = Buffer.alloc(46);
+  entry.writeUInt32LE(0x02014b50, 0);
+  entry.writeUInt16LE(20, 4); // version made by
+  entry.writeUInt16LE(20, 6);
+  entry.writeUInt16LE(flags, 8);
+  entry.writeUInt16LE(8, 10);
+  entry.writeUInt32LE(0, 12);
+  entry.writeUInt32LE(crc, 16);
+  entry.writeUInt32LE(compressedSize, 20);
+  entry.writeUInt32LE(size, 24);
+  entry.writeUInt16LE(nameBuf.length, 28);
+  entry.writeUInt32LE(offset, 42); // remaining fields (extra/comment/disk/attributes) stay 0
+  return Buffer.concat([entry, nameBuf]);
+}
+
+// Minimal streaming ZIP writer; every method returns the bytes to send next
+// - file(name, data): a whole (small) entry
+// - stream(name): an entry written piecewise: { write(text), end() }. Each slice is deflated with a sync
+//   flush, so the slices concatenate into one valid deflate stream that end() terminates
+// - finish(): central directory and end record
+function createZipWriter() {
+  const entries = [];
+  let offset = 0;
+  const emit = (...buffers) => {
+    const chunk = Buffer.concat(buffers);
+    offset += chunk.length;
+    return chunk;
+  };
+
+  return {
+    file(name, data) {
+      const nameBuf = Buffer.from(name, 'utf-8');
+      const compressed = zlib.deflateRawSync(data);
+      const entry = { nameBuf, flags: UTF8_NAMES, crc: crc32(data), compressedSize: compressed.length, size: data.length, offset };
+      entries.push(entry);
+      return emit(localHeader(nameBuf, entry.flags, entry), compressed);
+    },
+
+    stream(name) {
+      const nameBuf = Buffer.from(name, 'utf-8');
+      const entry = { nameBuf, flags: UTF8_NAMES | DATA_DESCRIPTOR, crc: 0, compressedSize: 0, size: 0, offset };
+      entries.push(entry);
+      let pending = [];
+      let pendingBytes = 0;
+      const deflate = (final) => {
+        const data = Buffer.from(pending.join(''), 'utf-8');
+        pending = [];
+        pendingBytes = 0;
+        const compressed = zlib.deflateRawSync(data, final ? {} : { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        entry.crc = crc32(data, entry.crc);
+        entry.size += data.length;
+        entry.compressedSize += compressed.length;
+        return compressed;
+      };
+      return {
+        header: emit(localHeader(nameBuf, entry.flags, { crc: 0, compressedSize: 0, size: 0 })),
+        write(text) {
+          pending.push(text);
+          pendingBytes += text.length;
+          return pendingBytes >= FLUSH_BYTES ? emit(deflate(false)) : '';
+        },
+        end() {
+          const compressed = deflate(true);
+          const descriptor = Buffer.alloc(16);
+          descriptor.writeUInt32LE(0x08074b50, 0);
+          descriptor.writeUInt32LE(entry.crc, 4);
+          descriptor.writeUInt32LE(entry.compressedSize, 8);
+          descriptor.writeUInt32LE(entry.size, 12);
+          return emit(compressed, descriptor);
+        }
+      };
+    },
+
+    finish() {
+      const central = Buffer.concat(entries.map(centralEntry));
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(central.length, 12);
+      end.writeUInt32LE(offset, 16);
+      return Buffer.concat([central, end]);
+    }
+  };
+}
+
+const xlsxFormat = {
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  extension: 'xlsx',
+  createWriter(headers) {
+    const zip = createZipWriter();
+    let rowNumber = 1;
+    let sheet = null;
+    return {
+      head: () => {
+        const parts = Object.entries(STATIC_PARTS).map(([name, xml]) => zip.file(name, Buffer.from(xml, 'utf-8')));
+        sheet = zip.stream('xl/worksheets/sheet1.xml');
+        const opening = sheet.write(`${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+          + `<sheetData>${xmlRow(headers.map((h) => h.displayName), rowNumber)}`);
+        return Buffer.concat([...parts, sheet.header, Buffer.from(opening)]);
+      },
+      row: (cells) => {
+        rowNumber += 1;
+        return sheet.write(xmlRow(cells, rowNumber));
+      },
+      tail: () => {
+        const closing = sheet.write('</sheetData></worksheet>');
+        return Buffer.concat([Buffer.from(closing), sheet.end(), zip.finish()]);
+      }
+    };
+  }
+};
+
+module.exports = { xlsxFormat };
@@ -0,0 +1,115 @@
+// Authentication and role checks
+// - Pluggable strategies turn request credentials into a principal { userId, roles, companyId, authenticated }
+//   Strategy contract: (req) => principal | null (no credentials of its kind) | { error } (present but invalid)
+// - apiKeyStrategy: X-Api-Key header looked up in a configured key table
+// - jwtStrategy: Authorization: Bearer <jwt>, verified locally (utils/jwt.js)
+// - Without any strategy, auth is off (local POC mode): every request is anonymous and gets `anonymousRoles`
+//   (none by default, so admin-only routes stay closed unless admin is granted explicitly)
+// - Role 'admin' passes every role check
+
+const crypto = require('crypto');
+const { verifyJwt } = require('../utils/jwt');
+
+const ADMIN_ROLE = 'admin';
+
+function normalizeRoles(roles) {
+  if (typeof roles === 'string') roles = roles.split(/[\s,]+/);
+  return Array.isArray(roles) ? [...new Set(roles.map((r) => String(r).trim()).filter(Boolean))] : [];
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// keys: { [apiKey]: { userId, roles?, companyId? } }; keys are kept hashed in memory
+function apiKeyStrategy({ keys }) {
+  const principals = new Map(Object.entries(keys || {}).map(([key, p]) => [hashKey(key), p]));
+  return function apiKey(req) {
+    const provided = req.get('X-Api-Key');
+    if (!provided) return null;
+    const p = principals.get(hashKey(provided));
+    if (!p || !p.userId) return { error: 'unknown API key' };
+    return { userId: String(p.userId), roles: normalizeRoles(p.roles), companyId: p.companyId || null, authenticated: true };
+  };
+}
+
+// Claims: `sub` is the user id; roles and company come from configurable claims
+function jwtStrategy({ secret, publicKey, issuer, audience, rolesClaim = 'roles', companyClaim = 'companyId' }) {
+  return function jwt(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) return null;
+    const { payload, error } = verifyJwt(match[1], { secret, publicKey, issuer, audience });
+    if (error) return { error };
+    if (!payload.sub) return { error: 'token has no subject' };
+    return {
+      userId: String(payload.sub),
+      roles: normalizeRoles(payload[rolesClaim]),
+      companyId: payload[companyClaim] ? String(payload[companyClaim]) : null,
+      authenticated: true
+    };
+  };
+}
+
+// Strategies configured through AUTH_* environment variables (listed in server.js)
+function strategiesFromEnv(env = process.env) {
+  const strategies = [];
+  if (env.AUTH_API_KEYS) strategies.push(apiKeyStrategy({ keys: JSON.parse(env.AUTH_API_KEYS) }));
+  if (env.AUTH_JWT_SECRET || env.AUTH_JWT_PUBLIC_KEY) {
+    strategies.push(jwtStrategy({
+      secret: env.AUTH_JWT_SECRET || null,
+      publicKey: env.AUTH_JWT_PUBLIC_KEY ? env.AUTH_JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : null,
+      issuer: env.AUTH_JWT_ISSUER || null,
+      audience: env.AUTH_JWT_AUDIENCE || null,
+      rolesClaim: env.AUTH_JWT_ROLES_CLAIM || 'roles',
+      companyClaim: env.AUTH_JWT_COMPANY_CLAIM || 'companyId'
+    }));
+  }
+  return strategies;
+}
+
+// Sets req.principal; answers 401 when auth is on and no strategy accepts the request
+function createAuthMiddleware({ strategies = [], anonymousRoles = [] } = {}) {
+  const anonymous = { userId: null, roles: normalizeRoles(anonymousRoles), companyId: null, authenticated: false };
+  return function authenticate(req, res, next) {
+    if (!strategies.length) {
+      req.principal = anonymous;
+      return next();
+    }
+    for (const strategy of strategies) {
+      const result = strategy(req);
+      if (result && result.error) {
+        // eslint-disable-next-line no-console
+        console.warn('[AUTH] rejected credentials', { strategy: strategy.name, reason: result.error, path: req.path });
+        return res.status(401).json({ ok: false, error: 'Invalid credentials' });
+      }
+      if (result) {
+        req.principal = result;
+        return next();
+      }
+    }
+    return res.status(401).json({ ok: false, error: 'Authentication required' });
+  };
+}
+
+// Empty `required` means unrestricted; admins pass every check
+function hasAnyRole(roles, required) {
+  if (!Array.isArray(required) || !required.length) return true;
+  const granted = roles || [];
+  return granted.includes(ADMIN_ROLE) || required.some((role) => granted.includes(role));
+}
+
+function requireRole(role) {
+  return function checkRole(req, res, next) {
+    if (hasAnyRole(req.context && req.context.roles, [role])) return next();
+    return res.status(403).json({ ok: false, error: `Requires role: ${role}` });
+  };
+}
+
+module.exports = {
+  ADMIN_ROLE,
+  normalizeRoles,
+  apiKeyStrategy,
+  jwtStrategy,
+  strategiesFromEnv,
+  createAuthMiddleware,
+  hasAnyRole,
+  requireRole
+};
@@ -0,0 +1,31 @@
+// Request context: who is asking, on behalf of which company and with which roles
+// - Sets req.context = { userId, companyId, roles } for every request
+// - Authenticated principals (middleware/authenticate.js) are authoritative: identity, company and roles
+//   come only from the verified credentials
+// - Without auth, session values win when the host app mounts a session middleware
+//   (req.session.userId / companyId); otherwise the X-User-Id / X-Company-Id headers are used
+// - userId falls back to 'anonymous'; companyId to null (global settings only, no tenant-scoped pages)
+
+const MAX_ID_LENGTH = 64;
+
+function readId(sessionValue, headerValue) {
+  const id = String(sessionValue || headerValue || '').trim();
+  return id ? id.slice(0, MAX_ID_LENGTH) : null;
+}
+
+function requestContextMiddleware(req, res, next) {
+  const principal = req.principal || { roles: [], authenticated: false };
+  if (principal.authenticated) {
+    req.context = { userId: principal.userId, companyId: principal.companyId || null, roles: principal.roles };
+    return next();
+  }
+  const session = req.session || {};
+  req.context = {
+    userId: readId(session.userId, req.get('X-User-Id')) || 'anonymous',
+    companyId: readId(session.companyId, req.get('X-Company-Id')),
+    roles: principal.roles
+  };
+  return next();
+}
+
+module.exports = { requestContextMiddleware };
@@ -1,6 +1,42 @@
 /**
- * Hardcoded page definitions for Phase 1 (POC)
+ * Seed page definitions: copied into the page registry (stores/pageRegistry.js, data/pages.json) on
+ * start; after that pages are managed through the /api/pages admin endpoints. Edits here reach pages
+ * that were never changed through those endpoints; edited or deleted pages are skipped (and logged).
+ * The structure is described by schemas/pageDefinition.schema.json.
  * Replace datasetId/tableId with your actual BigQuery dataset and table/view names.
+ * `category` (optional) groups pages in the frontend page selector.
+ * `actions` (optional) adds per-row buttons: { actionName, buttonText?, icon? (Bootstrap Icons class),
+ * style?: 'icon' | 'icon-text' | 'text', parameterColumn }. Clicking one calls the frontend handler
+ * registered under actionName with the row's parameterColumn value (`showRowDetails` is built in).
+ * Pages default to the BigQuery data source; set `dataSource: { type: 'json', file }`
+ * (path relative to backend/) to serve a page from a local JSON file instead.
+ * Saved filter `filterDefinition`s use the filter DSL documented in utils/filterDefinition.js.
+ * `defaultSort` (page) and `sort` (saved filter) are arrays of { column, direction: 'asc' | 'desc' };
+ * a saved filter's sort wins over the page default, and a user-chosen sort wins over both.
+ * `rowKey` (optional) names a unique column; it enables cursor (keyset) pagination and is used as
+ * the final sort tiebreaker.
+ * `timeZone` (optional, IANA name, default UTC) is the zone relative DATE filters ("last 7 days",
+ * "this quarter", ...) and TIMESTAMP days are evaluated in; a request may override it with `timeZone`.
+ * `cache` (optional) overrides cache TTLs in seconds per namespace, e.g.
+ * `{ ttl: { schema: 3600, filterConfig: 600, rows: 30, count: 120 } }` (0 disables one namespace);
+ * `cache: false` turns caching off for the page.
+ * `roles` (optional, page or saved filter) limits who sees it to callers holding any of these roles
+ * (admins see everything; see middleware/authenticate.js).
+ * `columnAccess` (optional) hides or masks columns per role, enforced on the server:
+ * `{ [column]: { access: 'visible' | 'masked' | 'hidden', mask?: 'email' | 'hash' | 'last4' | 'redact',
+ * roles?: { [role]: access } } }` (see utils/columnAccess.js).
+ * Nested RECORD fields are addressed by dot path everywhere a column is named (`address.city`), and a
+ * rule on a RECORD covers all of its fields; REPEATED columns and fields inside arrays of records
+ * (`items.sku`) support the "contains any"/"contains all" LIST modalities but cannot be sorted
+ * (see utils/columnPaths.js).
+ * `summary` (optional) adds a footer row with stats over every row of the filtered view:
+ * `{ [column]: [stat, ...] | true }` with sum/avg/min/max for numeric columns, true/false (row counts)
+ * for booleans, distinct for strings and min/max for dates; true picks the type's defaults
+ * (see utils/columnSummary.js). Hidden and masked columns are left out for the roles they apply to.
+ * `companies` (optional) limits the page to these company ids (X-Company-Id / session company).
+ * `rowScope: { column }` (optional) makes the page tenant-scoped: every data, count and filter-option
+ * query only sees rows whose column equals the requesting company id (see utils/tenantScope.js), and
+ * the page is hidden from requests without a company.
  */
 
 const pageDefinitions = {
@@ -8,6 +44,7 @@ const pageDefinitions = {
     pageIdentifier: 'leads_view',
     title: 'All Leads',
     subtitle: 'A comprehensive list of all leads in the system',
+    category: 'Sales',
     datasetId: 'relata_schema',
     tableId: 'activity',
     savedFilters: [
@@ -25,6 +62,7 @@ const pageDefinitions = {
     pageIdentifier: 'sales_report',
     title: 'Sales Report',
     subtitle: 'Weekly sales performance metrics',
+    category: 'Reports',
     datasetId: 'relata_schema',
     tableId: 'vsg',
     savedFilters: [
@@ -33,25 +71,65 @@ const pageDefinitions = {
         displayName: 'Top Performers',
         filterDefinition: {
             version: { type: 'FREETEXT', values: ['PUBLISHED'] },
-            owner_project_id: { type: 'FREETEXT', modality: ['is not empty'] } //TODO: should work but diesnt as SQL parser doesnt handle NOT EMPTY
+            owner_project_id: { type: 'FREETEXT', modality: ['is not empty'] }
+        }
+      }
+    ]
+  },
+  sample_leads: {
+    pageIdentifier: 'sample_leads',
+    title: 'Sample Leads',
+    subtitle: 'Offline demo page served from sample_response.json',
+    category: 'Demo',
+    dataSource: { type: 'json', file: '../sample_response.json' },
+    rowKey: 'lead_name',
+    cache: { ttl: { rows: 30, count: 120 } },
+    actions: [
+      { actionName: 'showRowDetails', buttonText: 'Details', icon: 'bi-layout-sidebar-reverse', style: 'icon-text', parameterColumn: 'lead_name' }
+    ],
+    defaultSort: [{ column: 'created_at', direction: 'desc' }],
+    summary: {
+      deal_value: ['sum', 'avg', 'min', 'max'],
+      is_contacted: true,
+      status: true,
+      created_at: true
+    },
+    savedFilters: [
+      {
+        identifier: 'high_priority_leads',
+        displayName: 'High Priority',
+        filterDefinition: {
+          priority: { type: 'LIST', values: ['High', 'Urgent'] }
+        }
+      },
+      {
+        identifier: 'big_deals',
+        displayName: 'Big Deals',
+        sort: [{ column: 'deal_value', direction: 'desc' }],
+        filterDefinition: {
+          deal_value: { type: 'NUMERIC', modality: 'greater than', values: [20000] }
+        }
+      },
+      {
+        identifier: 'needs_attention',
+        displayName: 'Needs Attention',
+        // Group form: new leads OR anything high priority that is not yet contacted
+        filterDefinition: {
+          op: 'OR',
+          conditions: [
+            { column: 'status', type: 'LIST', values: ['New'] },
+            {
+              op: 'AND',
+              conditions: [
+                { column: 'priority', type: 'LIST', values: ['High', 'Urgent'] },
+                { column: 'is_contacted', type: 'BOOLEAN', values: [true], not: true }
+              ]
+            }
+          ]
         }
       }
     ]
   }
 };
 
-function getPageConfiguration(pageIdentifier) {
-  return pageDefinitions[pageIdentifier] || null;
-}
-
-function listPages() {
-  return Object.values(pageDefinitions).map((p) => ({
-    pageIdentifier: p.pageIdentifier,
-    title: p.title,
-    subtitle: p.subtitle
-  }));
-}
-
-module.exports = { pageDefinitions, getPageConfiguration, listPages };
-
-
+module.exports = { pageDefinitions };
@@ -1,10 +1,28 @@
 // Backend API for Automated Table Views (POC)
-// - Exposes a single POST /api/page-data endpoint that:
-//   1) Reads a hardcoded page definition
-//   2) Inspects BigQuery schema to generate filter configs
-//   3) Builds a WHERE clause from saved + user filters
-//   4) Executes a paginated query and returns data + pagination + applied saved filter
+// - GET /api/pages/:id/metadata returns the page bootstrap (headers, filter config, saved filters, actions)
+// - GET /api/pages/:id/options/:column searches a column's distinct values (filter popover combobox)
+// - POST /api/page-rows returns one page of rows; POST /api/page-data returns both in one response
+// - POST /api/page-export streams every row of the current view as CSV, XLSX or NDJSON
+// - Row requests:
+//   1) Reads the page definition from the registry and resolves its data source (BigQuery or JSON file)
+//   2) Inspects the source schema (validation target for filters and sort)
+//   3) Resolves filter conditions from saved + user filters
+//   4) Resolves the sort order (request > saved filter > page default)
+//   5) Executes a paginated (keyset or offset) query and returns data + pagination + applied saved filter/sort
+// - Schema, filter config, row pages and counts are cached per page (see cache/index.js)
 // - Also includes utility endpoints to inspect accessible datasets/tables and verify BQ connectivity
+// - Access: /api routes authenticate via middleware/authenticate.js; page definitions, the registry,
+//   cache and BigQuery explorer endpoints are admin-only; pages and page tabs can require roles
+//
+// Auth / CORS / masking environment:
+//   AUTH_API_KEYS          JSON { "<key>": { "userId", "roles": [], "companyId"? } } (sent as X-Api-Key)
+//   AUTH_JWT_SECRET        HS256/384/512 secret, or AUTH_JWT_PUBLIC_KEY (PEM, RS256/384/512)
+//   AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE / AUTH_JWT_ROLES_CLAIM / AUTH_JWT_COMPANY_CLAIM (optional)
+//   AUTH_ANONYMOUS_ROLES   roles granted when no auth is configured (default: none; set to `admin` to open
+//                          the admin endpoints to every caller, e.g. for local development)
+//   CORS_ORIGINS           comma-separated allowed origins ('*' for any; unset = same-origin only)
+//   MASK_HASH_SECRET       key for 'hash' column masks (random per process when unset)
+//   EXPORT_MAX_ROWS        row cap for /api/page-export (default 100000)
 
 require('dotenv').config();
 const express = require('express');
@@ -12,16 +30,60 @@ const path = require('path');
 const cors = require('cors');
 const fs = require('fs');
 const { BigQuery } = require('@google-cloud/bigquery');
-const { listPages, getPageConfiguration } = require('./pageDefinitions');
+const { pageDefinitions } = require('./pageDefinitions');
 const { formatTableHeaders } = require('./utils/formatTableHeaders');
-const { generateFilterConfigFromSchema, generateFilterConfig } = require('./utils/generateFilterConfig');
+const { resolveColumnShortlist } = require('./utils/resolveColumnShortlist');
+const { generateFilterConfig } = require('./utils/generateFilterConfig');
+const { buildFilterConditions, resolveFilterDefinition, normalizeDefinition, mergeFilterDefinitions } = require('./utils/filterConditions');
+const { describeFilterSchema } = require('./utils/filterDefinition');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('./utils/relativeDates');
+const { resolveSort } = require('./utils/resolveSort');
+const { validateGroupBy, resolveGroupSort, groupDrillDown } = require('./utils/groupBy');
+const { resolveSummary } = require('./utils/columnSummary');
+const { buildFacetQueries, groupFacetCounts } = require('./utils/facetCounts');
+const { validateSavedFilterInput } = require('./utils/savedFilterInput');
+const { validatePageDefinition } = require('./utils/validatePageDefinition');
+const { describeTable } = require('./utils/bigQueryExplorer');
+const pageDefinitionSchema = require('./schemas/pageDefinition.schema.json');
+const { computeSignature } = require('./utils/filterSignature');
+const { annotatePercentileThresholds } = require('./utils/numericStats');
+const { flattenSchema, flattenRow, readColumn, rootColumns } = require('./utils/columnPaths');
+const { cursorValue, encodeCursor, decodeCursor } = require('./utils/cursor');
+const { createDataSource } = require('./dataSources');
+const { EXPORT_FORMATS, exportCell, getExportFormat } = require('./exporters');
+const { createCache, createMemoryStore } = require('./cache');
+const { createSavedFilterStore } = require('./stores/savedFilterStore');
+const { createShortLinkStore } = require('./stores/shortLinkStore');
+const { createPageRegistry } = require('./stores/pageRegistry');
+const { requestContextMiddleware } = require('./middleware/requestContext');
+const { ADMIN_ROLE, normalizeRoles, strategiesFromEnv, createAuthMiddleware, hasAnyRole, requireRole } = require('./middleware/authenticate');
+const { isPageVisible, buildTenantScope } = require('./utils/tenantScope');
+const { resolveColumnAccess } = require('./utils/columnAccess');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
+// CORS allowlist (no CORS headers for other origins, so browsers block cross-origin calls)
+const corsOrigins = String(process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins.includes('*') ? true : corsOrigins }));
 app.use(express.json());
 
+// Authentication for API routes; without AUTH_* configuration every caller is anonymous and, unless
+// AUTH_ANONYMOUS_ROLES grants some, holds no roles (admin-only endpoints answer 403)
+const authStrategies = strategiesFromEnv();
+const anonymousRoles = process.env.AUTH_ANONYMOUS_ROLES || [];
+if (!authStrategies.length) {
+  // eslint-disable-next-line no-console
+  console.warn('[AUTH] No API keys or JWT key configured; API requests are not authenticated', { anonymousRoles });
+  if (hasAnyRole(normalizeRoles(anonymousRoles), [ADMIN_ROLE])) {
+    // eslint-disable-next-line no-console
+    console.warn('[AUTH] AUTH_ANONYMOUS_ROLES grants admin to every caller; use this for local development only');
+  }
+}
+app.use('/api', createAuthMiddleware({ strategies: authStrategies, anonymousRoles }));
+app.use(requestContextMiddleware); // req.context = { userId, companyId, roles }
+const adminOnly = requireRole(ADMIN_ROLE);
+
 // Serve static frontend (single-page app)
 const frontendDir = path.join(__dirname, '..', 'frontend');
 app.use(express.static(frontendDir));
@@ -41,6 +103,30 @@ try {
   console.warn('BigQuery client not initialized yet. Set GOOGLE_APPLICATION_CREDENTIALS or GCP_KEY_JSON.');
 }
 
+// Cache for schema / filter config / rows / counts (in-process LRU; pass another store to share it)
+const cache = createCache({ store: createMemoryStore({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000 }) });
+
+// Page definitions (seeded from pageDefinitions.js) and user-created saved filters (views);
+// paths are relative to backend/
+const pageRegistry = createPageRegistry({ file: process.env.PAGES_FILE || 'data/pages.json', seed: pageDefinitions });
+function getPageConfiguration(pageIdentifier) {
+  return pageRegistry.get(pageIdentifier);
+}
+
+// Whether the requester may use a page: company visibility (tenantScope.js) and the page's `roles`
+function canSeePage(cfg, { companyId, roles }) {
+  return isPageVisible(cfg, companyId) && hasAnyRole(roles, cfg.roles);
+}
+
+// Page definition as seen by the requester (null when missing or not visible to them)
+function getVisiblePage(pageIdentifier, context) {
+  const cfg = getPageConfiguration(pageIdentifier);
+  return cfg && canSeePage(cfg, context) ? cfg : null;
+}
+
+const savedFilterStore = createSavedFilterStore({ file: process.env.SAVED_FILTERS_FILE || 'data/savedFilters.json' });
+const shortLinkStore = createShortLinkStore({ file: process.env.SHORT_LINKS_FILE || 'data/shortLinks.json' });
+
 // Sample payload kept for reference (not used once BigQuery is integrated)
 const samplePath = path.join(__dirname, '..', 'sample_response.json');
 let sampleResponse = {};
@@ -51,283 +137,801 @@ try {
   console.error('Failed to load sample_response.json:', error);
 }
 
-// Core endpoint: returns page data + filters + pagination based on saved/user filters
-app.post('/api/page-data', async (req, res) => {
-  const { pageIdentifier, savedFilterIdentifier = null, userFilters = {}, pagination = { page: 1, pageSize: 10 } } = req.body || {};
+// Saved filters for a page as seen by one user: page-defined tabs (limited by their `roles`) + the user's
+// own and shared views of the user's company, in the user's tab order (unordered tabs keep their natural
+// order after the ordered ones)
+async function listSavedFilters(cfg, { userId, companyId, roles }) {
+  const viewer = { userId, companyId };
+  const pageTabs = (cfg.savedFilters || []).filter((sf) => hasAnyRole(roles, sf.roles)).map((sf) => ({ ...sf, source: 'page', visibility: 'shared', editable: false }));
+  const views = (await savedFilterStore.listVisible(cfg.pageIdentifier, viewer))
+    .map((sf) => ({ ...sf, source: 'user', editable: sf.ownerId === userId }));
+  const all = [...pageTabs, ...views];
+  const order = await savedFilterStore.getTabOrder(cfg.pageIdentifier, viewer);
+  const rank = (sf) => (order.includes(sf.identifier) ? order.indexOf(sf.identifier) : order.length + all.indexOf(sf));
+  return all.sort((x, y) => rank(x) - rank(y));
+}
+
+// Resolve a page's configuration, data source adapter, request-scoped cache, schema and tenant scope
+// - scope: mandatory row-level filter tree for the requesting company (null when the page is not row-scoped)
+// - access: the page's column access rules resolved for the requester's roles (utils/columnAccess.js)
+// - Returns { failure: { status, error } } when the page cannot be served
+async function openPage(pageIdentifier, context) {
+  const { companyId } = context;
+  const cfg = getVisiblePage(pageIdentifier, context);
+  if (!cfg) return { failure: { status: 400, error: 'Invalid pageIdentifier' } };
+  const dataSource = createDataSource(cfg, { bigquery });
+  if (!dataSource) return { failure: { status: 500, error: 'BigQuery client not initialized' } };
+  const pageCache = await cache.forPage(cfg);
+  // Nested RECORD fields become dot-path columns, arrays stay one column (utils/columnPaths.js)
+  const fields = flattenSchema(await pageCache.wrap('schema', {}, () => dataSource.getSchema()));
+  const scope = buildTenantScope(cfg, fields, companyId);
+  if (scope.failure) return { failure: scope.failure };
+  const savedFilters = await listSavedFilters(cfg, context);
+  const shortlist = resolveColumnShortlist(companyId);
+  const access = resolveColumnAccess(cfg, fields, context.roles);
+  return { cfg, dataSource, pageCache, fields, savedFilters, shortlist, scope: scope.where, access };
+}
+
+function sendFailure(res, { status, error, details }) {
+  return res.status(status).json(details ? { ok: false, error, details } : { ok: false, error });
+}
+
+// Filter config: dynamic options (distinct/top-10) + type-driven defaults, adjusted by the shortlist;
+// options only come from rows inside the tenant scope and only for columns the caller may filter by.
+// Filter-only columns (fields inside arrays of records) have no table header, so they carry their own name
+async function loadFilterConfig({ dataSource, pageCache, shortlist, scope, access }) {
+  const columnNames = access.visibleFields.filter((f) => f.display).map((f) => f.name);
+  const filterable = access.filterableFields;
+  const shortlistSignature = computeSignature([...shortlist.entries()].filter(([name]) => columnNames.includes(name)));
+  return (await pageCache.wrap('filterConfig',
+    { shortlist: shortlistSignature, scope: computeSignature(scope), columns: filterable.map((f) => f.name) },
+    () => generateFilterConfig(dataSource, filterable, shortlist, { where: scope })))
+    .map((fc) => (columnNames.includes(fc.columnName) ? fc : { ...fc, displayName: formatTableHeaders([fc.columnName], shortlist)[0].displayName }));
+}
+
+// Page bootstrap: everything that only changes with the page selection
+async function buildPageMetadata(page) {
+  const { cfg, savedFilters, shortlist, access } = page;
+  const columnNames = access.visibleFields.filter((f) => f.display).map((f) => f.name);
+  const fieldByName = new Map(access.visibleFields.map((f) => [f.name, f]));
+  return {
+    pageDetails: { title: cfg.title, subtitle: cfg.subtitle },
+    // Table headers: readable display names (column shortlist first) + tags from raw column keys;
+    // hidden columns are left out and masked ones flagged; array columns (rendered as lists, not sortable)
+    // and GEOGRAPHY columns (rendered as coordinates) are flagged too
+    tableHeaders: formatTableHeaders(columnNames, shortlist).map((h) => ({
+      ...h,
+      ...(access.masked.has(h.key) ? { masked: true } : {}),
+      ...(fieldByName.get(h.key).arrayPath ? { array: true } : {}),
+      ...(String(fieldByName.get(h.key).type).toUpperCase() === 'GEOGRAPHY' ? { geography: true } : {})
+    })),
+    filterConfig: await loadFilterConfig(page),
+    savedFilters: savedFilters.map(({ identifier, displayName, source, visibility, editable }) => ({ identifier, displayName, source, visibility, editable })),
+    actions: cfg.actions || []
+  };
+}
+
+// Validated filter tree and order for the current saved filter + user filters + sort
+// (shared by page rows and exports)
+// - timeZone (optional): the caller's IANA zone for relative dates; defaults to the page's `timeZone`, then UTC
+// - Returns { savedFilter, savedFilterDefinition, where, sortResolution, orderKeys, keysetEnabled }
+//   or { failure: { status, error, details } } for invalid user filters, sort or time zone
+async function resolveRowsQuery({ cfg, dataSource, pageCache, fields, savedFilters, scope, access }, { savedFilterIdentifier, userFilters, sort, timeZone }) {
+  if (timeZone != null && !isValidTimeZone(timeZone)) {
+    return { failure: { status: 400, error: `Unknown time zone: ${timeZone}` } };
+  }
+
+  // 1) Filter conditions from saved + user filters (validated here, compiled by the data source)
+  const savedFilter = savedFilters.find((sf) => sf.identifier === savedFilterIdentifier);
+  const savedFilterDefinition = savedFilter && savedFilter.filterDefinition ? savedFilter.filterDefinition : {};
+
+  // Saved and user layers share one DSL; saved-filter problems are page config mistakes, so they
+  // are logged and skipped, while user-filter problems are reported back as structured errors
+  const { where: filterWhere, errors: filterErrors } = buildFilterConditions({
+    fields, savedFilterDefinition, userFilters, userFields: access.filterableFields, timeZone: timeZone || cfg.timeZone || DEFAULT_TIME_ZONE
+  });
+  const savedErrors = filterErrors.filter((e) => e.origin === 'saved');
+  const userErrors = filterErrors.filter((e) => e.origin === 'user');
+  if (savedErrors.length) {
+    // eslint-disable-next-line no-console
+    console.warn('[WARN] Saved filter has invalid conditions; skipping', savedErrors);
+  }
+  if (userErrors.length) {
+    return { failure: { status: 400, error: 'Invalid filters', details: userErrors } };
+  }
+  // Top/bottom N% conditions compare against the column's percentiles over the page's (scoped) rows
+  const scopeSignature = computeSignature(scope);
+  await annotatePercentileThresholds(filterWhere, (column) => pageCache.wrap('filterConfig', { stats: column, scope: scopeSignature },
+    () => dataSource.numericStats(fields.find((f) => f.name === column), { where: scope })));
+  // The tenant scope is AND-ed in front of every data and count query
+  const where = scope ? { op: 'AND', not: false, conditions: [scope, filterWhere] } : filterWhere;
+
+  // 2) Sort: request > saved filter > page default, validated against the schema
+  const sortResolution = resolveSort(fields, { requested: sort, savedFilter, page: cfg, requestFields: access.filterableFields });
+  if (sortResolution.configErrors.length) {
+    // eslint-disable-next-line no-console
+    console.warn('[WARN] Page/saved filter sort is invalid; ignoring', sortResolution.configErrors);
+  }
+  if (sortResolution.errors.length) {
+    return { failure: { status: 400, error: 'Invalid sort', details: sortResolution.errors } };
+  }
+
+  // 3) Order keys: keyset (cursor) paging when the page defines a unique rowKey, OFFSET otherwise
+  // - rowKey is appended to the order as a tiebreaker so every page is deterministic
+  const fieldTypeByName = new Map(fields.map((f) => [f.name, (f.type || '').toUpperCase()]));
+  const hasRowKey = Boolean(cfg.rowKey && fieldTypeByName.has(cfg.rowKey));
+  const orderKeys = sortResolution.sort.map((s) => ({ ...s, fieldType: fieldTypeByName.get(s.column) }));
+  if (hasRowKey && !orderKeys.some((k) => k.column === cfg.rowKey)) {
+    orderKeys.push({ column: cfg.rowKey, direction: 'asc', fieldType: fieldTypeByName.get(cfg.rowKey) });
+  }
+  // Cursors carry raw sort values, so keyset paging is off when an order key is hidden or masked for the caller
+  const keysetEnabled = hasRowKey && orderKeys.every((k) => access.filterableFields.some((f) => f.name === k.column));
+  return { savedFilter, savedFilterDefinition, where, sortResolution, orderKeys, keysetEnabled };
+}
+
+// Applied saved filter as echoed to the frontend (renders the saved chips)
+function describeAppliedSavedFilter(fields, savedFilter, savedFilterDefinition) {
+  return savedFilter
+    ? {
+      identifier: savedFilter.identifier,
+      displayName: savedFilter.displayName,
+      filterDefinition: normalizeDefinition(fields, savedFilterDefinition),
+      columns: savedFilter.columns || null
+    }
+    : null;
+}
+
+// Summary (footer) row over every row of the view: { [column]: { [stat]: value } }, null when the page
+// has no `summary` config (utils/columnSummary.js)
+// - Only configured columns the caller may filter by are summarized (no stats over masked values)
+// - Cached per filter signature (own namespace, so `countCached` keeps describing the row count); a
+//   failing query drops the footer, not the rows
+async function buildPageSummary({ cfg, dataSource, pageCache, access }, where, whereSignature) {
+  const { columns } = resolveSummary(access.filterableFields, cfg.summary);
+  if (!columns.length) return null;
+  try {
+    const summary = await pageCache.wrap('summary', { where: whereSignature, columns },
+      () => dataSource.summarizeColumns({ where, columns }));
+    return Object.fromEntries(Object.entries(summary).map(([column, stats]) => [column,
+      Object.fromEntries(Object.entries(stats).map(([stat, value]) => [stat, cursorValue(value)]))]));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('[WARN] Summary query failed; omitting the summary row', { pageIdentifier: cfg.pageIdentifier, error: String(e) });
+    return null;
+  }
+}
+
+// Facet counts for the filter panel's chips under the view's filters: { [column]: { [option]: count } }
+// (utils/facetCounts.js); counted in one pass and cached per filter signature
+async function buildFacetCounts(page, where, timeZone) {
+  const { cfg, dataSource, pageCache, access } = page;
+  const queries = buildFacetQueries({
+    where,
+    filterConfig: await loadFilterConfig(page),
+    fields: access.filterableFields,
+    timeZone: timeZone || cfg.timeZone || DEFAULT_TIME_ZONE
+  });
+  const signature = computeSignature({ source: dataSource.description, facets: queries });
+  const counts = await pageCache.wrap('facets', { where: signature }, () => dataSource.countMatching({ conditions: queries.map((q) => q.tree) }));
+  return groupFacetCounts(queries, counts);
+}
+
+// One page of rows for the current filters/sort/pagination
+// - facets: also return the chips' facet counts (`facetCounts`), see buildFacetCounts
+// - summary: also return the page's summary row (`summary`), see buildPageSummary
+// - Returns { failure: { status, error, details } } for invalid user filters or sort
+async function buildPageRows(page, { savedFilterIdentifier, userFilters, sort, pagination, timeZone, summary = false, facets = false }) {
+  const { cfg, dataSource, pageCache, fields, access } = page;
+  const query = await resolveRowsQuery(page, { savedFilterIdentifier, userFilters, sort, timeZone });
+  if (query.failure) return query;
+  const { savedFilter, savedFilterDefinition, where, sortResolution, orderKeys, keysetEnabled } = query;
+
+  const limit = Math.max(1, Math.min(1000, pagination.pageSize || 10)); // clamp page size 1..1000
+  const offset = Math.max(0, ((pagination.page || 1) - 1) * limit); // calculate offset
+  const whereSignature = computeSignature({ source: dataSource.description, where });
+  const cursorSignature = computeSignature({ where: whereSignature, orderKeys });
+  const after = keysetEnabled ? decodeCursor(pagination.cursor, cursorSignature, orderKeys) : null;
+  if (pagination.cursor && !after) {
+    // eslint-disable-next-line no-console
+    console.warn('[WARN] Cursor does not match this view; falling back to offset', { pageIdentifier: cfg.pageIdentifier });
+  }
+  const rows = await pageCache.wrap('rows', { view: cursorSignature, columns: access.columns, limit, offset: after ? null : offset, after },
+    () => dataSource.selectRows({ where, sort: orderKeys, limit, offset, after, columns: access.columns && rootColumns(access.columns) }));
+  const nextCursor = keysetEnabled && rows.length === limit ? encodeCursor(cursorSignature, rows[rows.length - 1], orderKeys) : null;
+
+  // Count for pagination, cached per filter signature so paging does not recount
+  let totalRecords;
+  try {
+    totalRecords = await pageCache.wrap('count', { where: whereSignature }, () => dataSource.countRows({ where }));
+  } catch (e) {
+    totalRecords = rows.length;
+  }
+  // metrics.count holds the namespace's latest lookup, so read it right after the count's own
+  const countCached = pageCache.metrics.count === 'hit';
+
+  const totalPages = Math.max(1, Math.ceil(totalRecords / limit));
+  const summaryRow = summary && cfg.summary ? await buildPageSummary(page, where, whereSignature) : null;
+  const facetCounts = facets ? await buildFacetCounts(page, where, timeZone) : null;
+
+  // appliedSavedFilter lets the frontend render saved chips
+  return {
+    // Rows are flattened to dot-path columns and masked after the cursor is taken from the raw rows
+    data: access.apply(rows.map((row) => flattenRow(row, access.visibleFields))),
+    appliedSort: { sort: sortResolution.sort, source: sortResolution.source },
+    pagination: {
+      currentPage: pagination.page || 1,
+      pageSize: limit,
+      totalRecords,
+      totalPages,
+      mode: after ? 'keyset' : 'offset',
+      nextCursor,
+      countCached
+    },
+    appliedSavedFilter: describeAppliedSavedFilter(fields, savedFilter, savedFilterDefinition),
+    ...(summary ? { summary: summaryRow } : {}),
+    ...(facets ? { facetCounts } : {})
+  };
+}
+
+// One page of groups for group-by mode (utils/groupBy.js): same saved + user filters and tenant scope
+// as the rows, aggregated per group, plus totals over every matching row
+// - Groups and metrics only use columns the caller may filter by (masked values are not aggregated)
+// - Each group carries `filter`, the user filter definition that drills down into its rows
+// - Returns { failure: { status, error, details } } for invalid user filters, grouping or sort
+async function buildPageGroups(page, { savedFilterIdentifier, userFilters, sort, groupBy, pagination, timeZone, facets = false }) {
+  const { cfg, dataSource, pageCache, fields, access } = page;
+  const query = await resolveRowsQuery(page, { savedFilterIdentifier, userFilters, sort: null, timeZone });
+  if (query.failure) return query;
+  const { savedFilter, savedFilterDefinition, where } = query;
+
+  const grouping = validateGroupBy(access.filterableFields, groupBy, { timeZone: timeZone || cfg.timeZone || DEFAULT_TIME_ZONE });
+  if (grouping.errors.length) return { failure: { status: 400, error: 'Invalid group by', details: grouping.errors } };
+  const groupSort = resolveGroupSort(grouping.groupBy, sort);
+  if (groupSort.errors.length) return { failure: { status: 400, error: 'Invalid sort', details: groupSort.errors } };
+
+  const limit = Math.max(1, Math.min(1000, pagination.pageSize || 10));
+  const offset = Math.max(0, ((pagination.page || 1) - 1) * limit);
+  const whereSignature = computeSignature({ source: dataSource.description, where });
+  const groupSignature = computeSignature({ where: whereSignature, groupBy: grouping.groupBy });
+  const rows = await pageCache.wrap('rows', { groups: groupSignature, sort: groupSort.aliasSort, limit, offset },
+    () => dataSource.groupRows({ where, groupBy: grouping.groupBy, sort: groupSort.aliasSort, limit, offset }));
+  const totalGroups = await pageCache.wrap('count', { groups: groupSignature }, () => dataSource.countGroups({ where, groupBy: grouping.groupBy }));
+  const countCached = pageCache.metrics.count === 'hit'; // before the totals lookup records its own outcome
+  const [totals] = await pageCache.wrap('count', { totals: groupSignature },
+    () => dataSource.groupRows({ where, groupBy: { columns: [], metrics: grouping.groupBy.metrics } }));
+  const facetCounts = facets ? await buildFacetCounts(page, where, timeZone) : null;
+
+  const { columns, metrics } = grouping.groupBy;
+  const metricValues = (values) => Object.fromEntries(metrics.map((m, i) => [m.key, cursorValue(values[i])]));
+  return {
+    groupBy: { columns: columns.map((c) => c.column), metrics: metrics.map(({ key, fn, column }) => ({ key, fn, column })) },
+    groups: rows.map((row) => {
+      const key = Object.fromEntries(columns.map((c, i) => [c.column, cursorValue(row.key[i])]));
+      return { key, metrics: metricValues(row.metrics), filter: groupDrillDown(grouping.groupBy, key) };
+    }),
+    totals: metricValues(totals.metrics),
+    appliedSort: { sort: groupSort.sort, source: sort && sort.length ? 'request' : 'groupBy' },
+    pagination: {
+      currentPage: pagination.page || 1,
+      pageSize: limit,
+      totalRecords: totalGroups,
+      totalPages: Math.max(1, Math.ceil(totalGroups / limit)),
+      mode: 'offset',
+      nextCursor: null,
+      countCached
+    },
+    appliedSavedFilter: describeAppliedSavedFilter(fields, savedFilter, savedFilterDefinition),
+    ...(facets ? { facetCounts } : {})
+  };
+}
+
+// Stream every row of the current view (same filters, sort, column access and masks as the table)
+// - Rows are read in batches (keyset when available, OFFSET otherwise) and bypass the row cache
+// - At most EXPORT_MAX_ROWS rows are written; X-Export-Total-Rows / X-Export-Truncated report the cut
+// - Columns follow the applied saved filter's column list, with display names as headers
+const EXPORT_MAX_ROWS = Number(process.env.EXPORT_MAX_ROWS) || 100000;
+const EXPORT_BATCH_SIZE = 1000;
+
+async function streamExport(res, page, query, format) {
+  const { cfg, dataSource, pageCache, shortlist, access } = page;
+  const prepared = await resolveRowsQuery(page, query);
+  if (prepared.failure) return sendFailure(res, prepared.failure);
+  const { savedFilter, where, orderKeys, keysetEnabled } = prepared;
+
+  const whereSignature = computeSignature({ source: dataSource.description, where });
+  const totalRecords = await pageCache.wrap('count', { where: whereSignature }, () => dataSource.countRows({ where }));
+  const rowCap = Math.min(totalRecords, EXPORT_MAX_ROWS);
+
+  let columnNames = access.visibleFields.filter((f) => f.display).map((f) => f.name);
+  if (savedFilter && Array.isArray(savedFilter.columns) && savedFilter.columns.length) {
+    columnNames = savedFilter.columns.filter((name) => columnNames.includes(name));
+  }
+  const headers = formatTableHeaders(columnNames, shortlist);
+  const writer = format.createWriter(headers);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': format.contentType,
+    'Content-Disposition': `attachment; filename="${cfg.pageIdentifier}-${stamp}.${format.extension}"`,
+    'X-Export-Total-Rows': String(totalRecords),
+    'X-Export-Truncated': String(totalRecords > rowCap)
+  });
+  // eslint-disable-next-line no-console
+  console.log('[EXPORT] start', { pageIdentifier: cfg.pageIdentifier, format: format.extension, rows: rowCap, totalRecords });
+
+  // Stop reading from the data source as soon as the client goes away
+  let aborted = false;
+  res.on('close', () => { aborted = !res.writableFinished; });
+  const write = async (chunk) => {
+    if (!chunk.length || res.write(chunk) || aborted) return;
+    await new Promise((resolve) => {
+      res.once('drain', resolve);
+      res.once('close', resolve);
+    });
+  };
+
+  await write(writer.head());
+  let written = 0;
+  let after = null;
+  while (written < rowCap && !aborted) {
+    const limit = Math.min(EXPORT_BATCH_SIZE, rowCap - written);
+    const rows = await dataSource.selectRows({ where, sort: orderKeys, limit, offset: written, after, columns: access.columns && rootColumns(access.columns) });
+    if (!rows.length) break;
+    for (const row of access.apply(rows.map((r) => flattenRow(r, access.visibleFields)))) {
+      await write(writer.row(headers.map((h) => exportCell(row[h.key]))));
+    }
+    written += rows.length;
+    if (keysetEnabled) after = orderKeys.map((k) => cursorValue(readColumn(rows[rows.length - 1], k.column)));
+  }
+  if (aborted) {
+    // eslint-disable-next-line no-console
+    console.warn('[EXPORT] client disconnected', { pageIdentifier: cfg.pageIdentifier, written });
+    return res.destroy();
+  }
+  res.end(writer.tail());
+  // eslint-disable-next-line no-console
+  console.log('[EXPORT] done', { pageIdentifier: cfg.pageIdentifier, written });
+  return undefined;
+}
+
+// Validate a request's pagination: { page?, pageSize?, cursor? }
+// - page and pageSize are positive integers (numeric strings accepted), pageSize is capped at 1000 later
+// - Returns { pagination } (numbers normalized) or { errors }
+function readPagination(pagination) {
+  if (!pagination || typeof pagination !== 'object' || Array.isArray(pagination)) {
+    return { errors: [{ field: 'pagination', code: 'INVALID_VALUE', message: 'pagination must be an object' }] };
+  }
+  const errors = [];
+  const normalized = { ...pagination };
+  ['page', 'pageSize'].forEach((key) => {
+    if (pagination[key] == null) return;
+    const n = typeof pagination[key] === 'boolean' || pagination[key] === '' ? NaN : Number(pagination[key]);
+    if (Number.isInteger(n) && n >= 1) normalized[key] = n;
+    else errors.push({ field: `pagination.${key}`, code: 'INVALID_VALUE', message: `${key} must be a positive integer, got: ${JSON.stringify(pagination[key])}` });
+  });
+  if (pagination.cursor != null && typeof pagination.cursor !== 'string') {
+    errors.push({ field: 'pagination.cursor', code: 'INVALID_VALUE', message: 'cursor must be a string' });
+  }
+  return errors.length ? { errors } : { pagination: normalized };
+}
+
+// Read the rows-query part of a request body (shared by /api/page-rows, /api/page-data and /api/page-export)
+// - Returns { pageIdentifier, query } or { failure } for a malformed pagination
+function readRowsRequest(body, route) {
+  const { pageIdentifier, savedFilterIdentifier = null, userFilters = {}, sort = null, groupBy = null, pagination = { page: 1, pageSize: 10 }, timeZone = null, summary = false, facets = false } = body || {};
   // Request log (shape only) to aid debugging
   // eslint-disable-next-line no-console
-  console.log('[REQUEST] /api/page-data', {
+  console.log(`[REQUEST] ${route}`, {
     pageIdentifier,
     savedFilterIdentifier,
     pagination,
+    sort,
+    groupBy,
+    timeZone,
+    summary,
+    facets,
     userFilterKeys: Object.keys(userFilters || {})
   });
+  const paging = readPagination(pagination);
+  if (paging.errors) return { failure: { status: 400, error: 'Invalid pagination', details: paging.errors } };
+  return { pageIdentifier, query: { savedFilterIdentifier, userFilters, sort, groupBy, pagination: paging.pagination, timeZone, summary: summary === true, facets: facets === true } };
+}
 
-  // Resolve page configuration (dataset/table/savedFilters)
-  const cfg = getPageConfiguration(pageIdentifier);
-  if (!cfg) return res.status(400).json({ ok: false, error: 'Invalid pageIdentifier' });
-  if (!bigquery) return res.status(500).json({ ok: false, error: 'BigQuery client not initialized' });
+// Page bootstrap: headers, filter config, saved filters, actions and page details
+// - Fetched once per page selection; rows come from /api/page-rows
+app.get('/api/pages/:id/metadata', async (req, res) => {
+  if (!getVisiblePage(req.params.id, req.context)) return res.status(404).json({ ok: false, error: 'Page not found' });
+  try {
+    const page = await openPage(req.params.id, req.context);
+    if (page.failure) return sendFailure(res, page.failure);
+    const metadata = await buildPageMetadata(page);
+    return res.json({ ok: true, ...metadata, cache: page.pageCache.metrics });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[ERROR] /api/pages/:id/metadata failed', error);
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
+// Option search for one column: distinct values with row counts, most frequent first
+// - Query: q (search text, case-insensitive), mode ('prefix' | 'contains', default prefix), limit (1..100, default 20), offset
+// - Only columns the caller may filter by; values come from rows inside the tenant scope
+// - Returns { values: [{ value, count }], hasMore } (one extra row is read to detect the next page)
+const OPTION_SEARCH_MODES = { prefix: 'starts with', contains: 'contains' };
+
+app.get('/api/pages/:id/options/:column', async (req, res) => {
+  const { column } = req.params;
+  const q = String(req.query.q || '').trim();
+  const mode = req.query.mode || 'prefix';
+  const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 20));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  if (!OPTION_SEARCH_MODES[mode]) return res.status(400).json({ ok: false, error: 'mode must be prefix or contains' });
+  if (!getVisiblePage(req.params.id, req.context)) return res.status(404).json({ ok: false, error: 'Page not found' });
   try {
-    // Read table schema to compute headers + filter config
-    const dataset = bigquery.dataset(cfg.datasetId);
-    const table = dataset.table(cfg.tableId);
-    const [metadata] = await table.getMetadata();
-    const fields = (metadata.schema && metadata.schema.fields) || [];
-    const columnNames = fields.filter((f) => f.type !== 'RECORD').map((f) => f.name);
-
-    // 1) Table headers: readable display names from raw column keys
-    const tableHeaders = formatTableHeaders(columnNames);
-
-    // 2) Filter config: dynamic options (distinct/top-10) + type-driven defaults
-    const filterConfig = await generateFilterConfig(bigquery, bigquery.projectId, cfg.datasetId, cfg.tableId, fields);
-
-    // 3) WHERE clause construction from saved + user filters
-    const savedFilter = (cfg.savedFilters || []).find((sf) => sf.identifier === savedFilterIdentifier);
-    const savedFilterDefinition = savedFilter && savedFilter.filterDefinition ? savedFilter.filterDefinition : {};
-
-    // --- Helpers: SQL literal + shared predicates for empty/not-empty ---
-    function sqlStringLiteral(value) {
-      if (value == null) return 'NULL';
-      return `'${String(value).replace(/'/g, "''")}'`;
-    }
+    const page = await openPage(req.params.id, req.context);
+    if (page.failure) return sendFailure(res, page.failure);
+    const { dataSource, pageCache, scope, access } = page;
+    const field = access.filterableFields.find((f) => f.name === column);
+    if (!field || field.type === 'RECORD') return res.status(400).json({ ok: false, error: `Column cannot be searched: ${column}` });
+
+    // The search applies to each value, so array columns list only their matching elements
+    const search = q ? { text: q, modality: OPTION_SEARCH_MODES[mode] } : null;
+    const found = await pageCache.wrap('filterConfig', { search: { column, q, mode, limit, offset }, scope: computeSignature(scope) },
+      () => dataSource.valueCounts(field, { where: scope, search, limit: limit + 1, offset }));
+    return res.json({ ok: true, column, values: found.slice(0, limit), hasMore: found.length > limit, limit, offset });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[ERROR] /api/pages/:id/options/:column failed', error);
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    function buildEmptyNotEmpty(column) {
-      const ident = `\`${column}\``; // wrap column name in backticks to handle reserved words/special chars
-      return {
-        // Treat NULL or empty string as "Empty" for non-date types
-        empty: `(${ident} IS NULL OR CAST(${ident} AS STRING) = '')`,
-        // Not Empty: anything that is not NULL and not empty string
-        notEmpty: `(NOT (${ident} IS NULL OR CAST(${ident} AS STRING) = ''))`
-      };
-    }
+// Lean rows endpoint for filter/sort/page changes
+// - With `summary: true` the response carries the page's summary row (per-column stats over every matching row)
+// - With `facets: true` it carries `facetCounts` for the filter chips ({ [column]: { [option]: count } })
+// - With `groupBy` ({ columns, metrics }) it answers with groups + totals instead of rows (buildPageGroups)
+app.post('/api/page-rows', async (req, res) => {
+  const { pageIdentifier, query, failure } = readRowsRequest(req.body, '/api/page-rows');
+  if (failure) return sendFailure(res, failure);
+  try {
+    const page = await openPage(pageIdentifier, req.context);
+    if (page.failure) return sendFailure(res, page.failure);
+    const rows = query.groupBy ? await buildPageGroups(page, query) : await buildPageRows(page, query);
+    if (rows.failure) return sendFailure(res, rows.failure);
+    return res.json({ ok: true, ...rows, cache: page.pageCache.metrics });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[ERROR] /api/page-rows failed', error);
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    // Normalize modality to a lowercase string (supports array form in saved filters)
-    function normalizeModality(mod) {
-      // Saved filters may send modality as string or array of strings (take first)
-      if (Array.isArray(mod) && mod.length > 0) return String(mod[0]).toLowerCase();
-      if (typeof mod === 'string') return mod.toLowerCase();
-      return '';
+// Combined endpoint (metadata + rows in one response), kept for existing clients
+app.post('/api/page-data', async (req, res) => {
+  const { pageIdentifier, query, failure } = readRowsRequest(req.body, '/api/page-data');
+  if (failure) return sendFailure(res, failure);
+  try {
+    const page = await openPage(pageIdentifier, req.context);
+    if (page.failure) return sendFailure(res, page.failure);
+    const metadata = await buildPageMetadata(page);
+    const rows = query.groupBy ? await buildPageGroups(page, query) : await buildPageRows(page, query);
+    if (rows.failure) return sendFailure(res, rows.failure);
+    // Facet counts also annotate the filter config entries they belong to
+    if (rows.facetCounts) {
+      metadata.filterConfig = metadata.filterConfig.map((fc) => (rows.facetCounts[fc.columnName] ? { ...fc, facetCounts: rows.facetCounts[fc.columnName] } : fc));
     }
+    // Per-namespace 'hit' | 'miss' | 'bypass' for this request
+    return res.json({ ...metadata, ...rows, cache: page.pageCache.metrics });
+  } catch (error) {
+    // Log full error for diagnosis in dev
+    // eslint-disable-next-line no-console
+    console.error('[ERROR] /api/page-data failed', error);
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    // Build predicate for a saved filter definition entry
-    // - Supports LIST/BOOLEAN/NUMERIC/DATE/TIMESTAMP/FREETEXT
-    // - Adds explicit empty/not-empty handling for non-date types via modality
-    function buildPredicateFromDef(column, def) {
-      const ident = `\`${column}\``; // quoted column identifier
-      const type = (def.type || '').toUpperCase(); // normalize type
-      const modality = normalizeModality(def.modality); // normalize modality
-      const values = Array.isArray(def.values) ? def.values : []; // guard against non-array
-
-      // Empty/Not Empty via modality for non-date types
-      if (!['DATE', 'DATETIME', 'TIMESTAMP'].includes(type)) {
-        if (['is_null', 'empty', 'is empty'].includes(modality)) {
-          const en = buildEmptyNotEmpty(column);
-          return en.empty;
-        }
-        if (['is_not_null', 'not_empty', 'is not empty'].includes(modality)) {
-          const en = buildEmptyNotEmpty(column);
-          return en.notEmpty;
-        }
-      }
-
-      if (type === 'LIST') {
-        if (!values.length) return null;
-        const inList = values.map(sqlStringLiteral).join(', ');
-        return `${ident} IN (${inList})`;
-      }
-      if (type === 'BOOLEAN' || type === 'BOOL') {
-        if (!values.length) return null;
-        return `${ident} = ${values[0] ? 'TRUE' : 'FALSE'}`;
-      }
-      if (type === 'NUMERIC') {
-        const v0 = values[0];
-        const v1 = values[1];
-        if (modality === 'greater than') return `${ident} > ${Number(v0)}`;
-        if (modality === 'less than') return `${ident} < ${Number(v0)}`;
-        if (modality === 'between') return `${ident} BETWEEN ${Number(v0)} AND ${Number(v1)}`;
-        return `${ident} = ${Number(v0)}`; // equals default
-      }
-      if (type === 'DATE' || type === 'DATETIME' || type === 'TIMESTAMP') {
-        // Expect YYYY-MM-DD values for saved filters
-        const v0 = values[0];
-        const v1 = values[1];
-        if (!v0 && !v1) return null;
-        const colDate = `DATE(${ident})`;
-        if (modality === 'before') return `${colDate} < DATE(${sqlStringLiteral(v0)})`;
-        if (modality === 'after') return `${colDate} > DATE(${sqlStringLiteral(v0)})`;
-        if (modality === 'between') return `${colDate} BETWEEN DATE(${sqlStringLiteral(v0)}) AND DATE(${sqlStringLiteral(v1)})`;
-        return `${colDate} = DATE(${sqlStringLiteral(v0)})`;
-      }
-      // FREETEXT: contains/exact/starts with
-      if (values.length) {
-        let pattern = `%${String(values[0])}%`;
-        if (modality === 'exact') pattern = String(values[0]);
-        if (modality === 'starts with') pattern = `${String(values[0])}%`;
-        const op = modality === 'exact' ? '=' : 'LIKE';
-        const rhs = modality === 'exact' ? `LOWER(${sqlStringLiteral(pattern)})` : `LOWER(${sqlStringLiteral(pattern)})`;
-        return `LOWER(CAST(${ident} AS STRING)) ${op} ${rhs}`;
-      }
-      return null;
-    }
+// Export of the current view: body is a rows request plus { format: 'csv' | 'xlsx' | 'ndjson' }
+app.post('/api/page-export', async (req, res) => {
+  const format = getExportFormat(req.body && req.body.format);
+  if (!format) {
+    return res.status(400).json({ ok: false, error: `Unsupported export format; use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  const { pageIdentifier, query, failure } = readRowsRequest(req.body, '/api/page-export');
+  if (failure) return sendFailure(res, failure);
+  try {
+    const page = await openPage(pageIdentifier, req.context);
+    if (page.failure) return sendFailure(res, page.failure);
+    return await streamExport(res, page, query, format);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[ERROR] /api/page-export failed', error);
+    if (res.headersSent) return res.destroy(error);
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    // Build predicate for a user-applied filter (chips or popover)
-    // - Mirrors saved filter behavior but also supports common relative DATE tokens
-    function buildPredicateFromUser(column, userDef, fieldType) {
-      const type = (userDef.type || fieldType || '').toUpperCase(); // prefer explicit type, else from schema
-      const values = Array.isArray(userDef.values) ? userDef.values : []; // ensure array
-      const ident = `\`${column}\``; // quoted column identifier
-      const modality = normalizeModality(userDef.modality); // normalize modality
-
-      // Unified Empty/Not Empty handling when user selects a designated token
-      if (values.length === 1 && (values[0] === 'Empty' || values[0] === 'Not Empty')) {
-        const en = buildEmptyNotEmpty(column);
-        return values[0] === 'Empty' ? en.empty : en.notEmpty;
-      }
-      // Empty/Not Empty via modality for non-date types
-      if (!['DATE', 'DATETIME', 'TIMESTAMP'].includes(type)) {
-        if (['is_null', 'empty', 'is empty'].includes(modality)) {
-          const en = buildEmptyNotEmpty(column);
-          return en.empty;
-        }
-        if (['is_not_null', 'not_empty', 'is not empty'].includes(modality)) {
-          const en = buildEmptyNotEmpty(column);
-          return en.notEmpty;
-        }
-      }
-
-      if (type === 'LIST') {
-        if (!values.length) return null;
-        const inList = values.map(sqlStringLiteral).join(', ');
-        return `${ident} IN (${inList})`;
-      }
-      if (type === 'BOOLEAN' || type === 'BOOL') {
-        if (!values.length) return null;
-        return `${ident} = ${values[0] ? 'TRUE' : 'FALSE'}`;
-      }
-      if (type === 'NUMERIC') {
-        // Minimal numeric support for chips/popover single-entry
-        if (!values.length) return null;
-        if (typeof values[0] === 'string' && /top 10%|bottom 10%/i.test(values[0])) return null; // skip unsupported tokens
-        return `${ident} = ${Number(values[0])}`;
-      }
-      if (type === 'DATE' || type === 'DATETIME' || type === 'TIMESTAMP') {
-        // Support relative tokens for convenience
-        const colDate = `DATE(${ident})`;
-        const token = values[0];
-        if (!token) return null;
-        if (token === 'today') return `${colDate} = CURRENT_DATE()`;
-        if (token === 'yesterday') return `${colDate} = DATE_SUB(CURRENT_DATE(), INTERVAL 1 DAY)`;
-        if (token === 'last 7 days') return `${colDate} BETWEEN DATE_SUB(CURRENT_DATE(), INTERVAL 7 DAY) AND CURRENT_DATE()`;
-        if (token === 'this month') return `${colDate} BETWEEN DATE_TRUNC(CURRENT_DATE(), MONTH) AND CURRENT_DATE()`;
-        if (token === 'last month') return `${colDate} BETWEEN DATE_SUB(DATE_TRUNC(CURRENT_DATE(), MONTH), INTERVAL 1 MONTH) AND DATE_SUB(DATE_TRUNC(CURRENT_DATE(), MONTH), INTERVAL 1 DAY)`;
-        if (token === 'tomorrow') return `${colDate} = DATE_ADD(CURRENT_DATE(), INTERVAL 1 DAY)`;
-        if (token === 'next 7 days') return `${colDate} BETWEEN CURRENT_DATE() AND DATE_ADD(CURRENT_DATE(), INTERVAL 7 DAY)`;
-        if (token === 'next month') return `${colDate} BETWEEN DATE_TRUNC(DATE_ADD(CURRENT_DATE(), INTERVAL 1 MONTH), MONTH) AND DATE_SUB(DATE_TRUNC(DATE_ADD(CURRENT_DATE(), INTERVAL 2 MONTH), MONTH), INTERVAL 1 DAY)`;
-        return null;
-      }
-      // FREETEXT: contains/exact/starts with
-      if (values.length) {
-        let pattern = `%${String(values[0])}%`;
-        if (modality === 'exact') pattern = String(values[0]);
-        if (modality === 'starts with') pattern = `${String(values[0])}%`;
-        const op = modality === 'exact' ? '=' : 'LIKE';
-        const rhs = modality === 'exact' ? `LOWER(${sqlStringLiteral(pattern)})` : `LOWER(${sqlStringLiteral(pattern)})`;
-        return `LOWER(CAST(${ident} AS STRING)) ${op} ${rhs}`;
-      }
-      return null;
-    }
+// Saved filters (views) of a page: page-defined tabs + user-created views
+// - GET lists them in the caller's tab order
+// - POST saves the current view: { displayName, visibility?, baseSavedFilterIdentifier?, userFilters?, sort?, columns? }
+//   userFilters are merged with the base saved filter's definition (and its sort when none is given);
+//   a full `filterDefinition` may be sent instead of baseSavedFilterIdentifier/userFilters
+// - PATCH updates { displayName?, visibility?, filterDefinition?, sort?, columns? } (owner only)
+// - DELETE removes a view (owner only); PUT .../order stores the caller's tab order
+const SAVED_FILTER_FAILURES = {
+  NOT_FOUND: { status: 404, error: 'Saved filter not found' },
+  FORBIDDEN: { status: 403, error: 'Only the owner can change this saved filter' }
+};
+
+function toSavedFilterResponse(savedFilter, userId) {
+  return { ...savedFilter, source: 'user', editable: savedFilter.ownerId === userId };
+}
 
-    // Aggregate WHERE clauses and compose SELECT and COUNT queries
-    const whereClauses = [];
-    const fieldTypeByName = new Map(fields.map((f) => [f.name, (f.type || '').toUpperCase()]));
-
-    // Saved filter predicates
-    for (const [col, def] of Object.entries(savedFilterDefinition || {})) {
-      if (!fieldTypeByName.has(col)) {
-        // eslint-disable-next-line no-console
-        console.warn('[WARN] Saved filter references unknown column; skipping', { col });
-        continue;
-      }
-      const pred = buildPredicateFromDef(col, def || {});
-      if (pred) whereClauses.push(pred);
+app.get('/api/pages/:id/saved-filters', async (req, res) => {
+  const cfg = getVisiblePage(req.params.id, req.context);
+  if (!cfg) return res.status(404).json({ ok: false, error: 'Page not found' });
+  try {
+    return res.json({ ok: true, savedFilters: await listSavedFilters(cfg, req.context) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
+
+app.post('/api/pages/:id/saved-filters', async (req, res) => {
+  if (!getVisiblePage(req.params.id, req.context)) return res.status(404).json({ ok: false, error: 'Page not found' });
+  const userId = req.context.userId;
+  const body = req.body || {};
+  try {
+    const page = await openPage(req.params.id, req.context);
+    if (page.failure) return sendFailure(res, page.failure);
+    let { filterDefinition, sort } = body;
+    if (filterDefinition === undefined) {
+      const base = page.savedFilters.find((sf) => sf.identifier === body.baseSavedFilterIdentifier);
+      if (body.baseSavedFilterIdentifier && !base) return res.status(400).json({ ok: false, error: 'Unknown baseSavedFilterIdentifier' });
+      filterDefinition = mergeFilterDefinitions(base ? base.filterDefinition : {}, body.userFilters || {});
+      if (sort == null && base) sort = base.sort;
     }
+    const { value, errors } = validateSavedFilterInput(page.access.filterableFields, { ...body, filterDefinition, sort });
+    if (errors.length) return res.status(400).json({ ok: false, error: 'Invalid saved filter', details: errors });
+    const { savedFilter } = await savedFilterStore.create(page.cfg.pageIdentifier, req.context, value);
+    // eslint-disable-next-line no-console
+    console.log('[SAVED_FILTER] created', { pageIdentifier: page.cfg.pageIdentifier, identifier: savedFilter.identifier, userId, companyId: req.context.companyId });
+    return res.status(201).json({ ok: true, savedFilter: toSavedFilterResponse(savedFilter, userId) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    // User filter predicates
-    for (const [col, def] of Object.entries(userFilters || {})) {
-      if (!fieldTypeByName.has(col)) {
-        // eslint-disable-next-line no-console
-        console.warn('[WARN] User filter references unknown column; skipping', { col });
-        continue;
-      }
-      const pred = buildPredicateFromUser(col, def || {}, fieldTypeByName.get(col));
-      if (pred) whereClauses.push(pred);
+app.put('/api/pages/:id/saved-filters/order', async (req, res) => {
+  const cfg = getVisiblePage(req.params.id, req.context);
+  if (!cfg) return res.status(404).json({ ok: false, error: 'Page not found' });
+  const userId = req.context.userId;
+  const { order } = req.body || {};
+  try {
+    const known = new Set((await listSavedFilters(cfg, req.context)).map((sf) => sf.identifier));
+    if (!Array.isArray(order) || order.some((id) => !known.has(id))) {
+      return res.status(400).json({ ok: false, error: 'order must be an array of saved filter identifiers of this page' });
     }
+    await savedFilterStore.setTabOrder(cfg.pageIdentifier, req.context, [...new Set(order)]);
+    return res.json({ ok: true, savedFilters: await listSavedFilters(cfg, req.context) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    const qualified = `\`${bigquery.projectId}.${cfg.datasetId}.${cfg.tableId}\``; // fully-qualified table name
-    const whereSql = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : ''; // join conditions
+app.patch('/api/pages/:id/saved-filters/:filterId', async (req, res) => {
+  if (!getVisiblePage(req.params.id, req.context)) return res.status(404).json({ ok: false, error: 'Page not found' });
+  const userId = req.context.userId;
+  try {
+    const page = await openPage(req.params.id, req.context);
+    if (page.failure) return sendFailure(res, page.failure);
+    const { value, errors } = validateSavedFilterInput(page.access.filterableFields, req.body, { partial: true });
+    if (errors.length) return res.status(400).json({ ok: false, error: 'Invalid saved filter', details: errors });
+    const result = await savedFilterStore.update(page.cfg.pageIdentifier, req.params.filterId, req.context, value);
+    if (result.failure) return sendFailure(res, SAVED_FILTER_FAILURES[result.failure]);
+    return res.json({ ok: true, savedFilter: toSavedFilterResponse(result.savedFilter, userId) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    const limit = Math.max(1, Math.min(1000, pagination.pageSize || 10)); // clamp page size 1..1000
-    const offset = Math.max(0, ((pagination.page || 1) - 1) * limit); // calculate offset
-    const query = `SELECT * FROM ${qualified} ${whereSql} LIMIT ${limit} OFFSET ${offset}`; // data query
+app.delete('/api/pages/:id/saved-filters/:filterId', async (req, res) => {
+  const cfg = getVisiblePage(req.params.id, req.context);
+  if (!cfg) return res.status(404).json({ ok: false, error: 'Page not found' });
+  const userId = req.context.userId;
+  try {
+    const result = await savedFilterStore.remove(cfg.pageIdentifier, req.params.filterId, req.context);
+    if (result.failure) return sendFailure(res, SAVED_FILTER_FAILURES[result.failure]);
     // eslint-disable-next-line no-console
-    console.log('[QUERY] data', query);
+    console.log('[SAVED_FILTER] deleted', { pageIdentifier: cfg.pageIdentifier, identifier: req.params.filterId, userId });
+    return res.json({ ok: true, deleted: req.params.filterId });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    const [rows] = await bigquery.query({ query });
+// Short links for shared views whose URL state is too long to pass around
+// - POST { query } stores the frontend's view-state query string and returns { id }
+// - GET resolves an id back into the query; page access is still checked when the view loads
+const MAX_SHORT_LINK_QUERY_LENGTH = 16000;
 
-    // Count for pagination (could be optimized e.g., cached or approximated)
-    let totalRecords = 0;
-    try {
-      const countQuery = `SELECT COUNT(1) AS c FROM ${qualified} ${whereSql}`;
-      // eslint-disable-next-line no-console
-      console.log('[QUERY] count', countQuery);
-      const [countRows] = await bigquery.query({ query: countQuery });
-      totalRecords = Number(countRows[0].c) || 0;
-    } catch (e) {
-      totalRecords = rows.length;
-    }
+app.post('/api/short-links', async (req, res) => {
+  const { query } = req.body || {};
+  if (typeof query !== 'string' || !query || query.length > MAX_SHORT_LINK_QUERY_LENGTH) {
+    return res.status(400).json({ ok: false, error: `query must be a non-empty string of at most ${MAX_SHORT_LINK_QUERY_LENGTH} characters` });
+  }
+  try {
+    const { shortLink } = await shortLinkStore.create(query.replace(/^\?/, ''), req.context.userId);
+    return res.status(201).json({ ok: true, shortLink: { id: shortLink.id, query: shortLink.query } });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
 
-    const totalPages = Math.max(1, Math.ceil(totalRecords / limit));
-
-    // Response includes appliedSavedFilter for frontend to render saved chips
-    const responsePayload = {
-      pageDetails: { title: cfg.title, subtitle: cfg.subtitle },
-      tableHeaders,
-      data: rows,
-      filterConfig,
-      savedFilters: (cfg.savedFilters || []).map(({ identifier, displayName }) => ({ identifier, displayName })),
-      pagination: {
-        currentPage: pagination.page || 1,
-        pageSize: limit,
-        totalRecords,
-        totalPages
-      },
-      appliedSavedFilter: savedFilter
-        ? { identifier: savedFilter.identifier, displayName: savedFilter.displayName, filterDefinition: savedFilter.filterDefinition || {} }
-        : null
-    };
-
-    return res.json(responsePayload);
+app.get('/api/short-links/:id', async (req, res) => {
+  try {
+    const shortLink = await shortLinkStore.get(req.params.id);
+    if (!shortLink) return res.status(404).json({ ok: false, error: 'Short link not found' });
+    return res.json({ ok: true, shortLink: { id: shortLink.id, query: shortLink.query } });
   } catch (error) {
-    // Log full error for diagnosis in dev
-    // eslint-disable-next-line no-console
-    console.error('[ERROR] /api/page-data failed', error);
     return res.status(500).json({ ok: false, error: String(error) });
   }
 });
 
-// Simple pages listing for UI to populate page selector
-app.get('/api/pages', (req, res) => {
-  res.json({ ok: true, pages: listPages() });
+// Filter DSL description: types, modalities, value arity, relative date grammar and presets
+app.get('/api/filters/schema', (req, res) => {
+  res.json({ ok: true, schema: describeFilterSchema() });
 });
 
-// Return a single page definition (debug aid)
-app.get('/api/pages/:id', (req, res) => {
+// Validate a filter definition against a page's schema without running the data query
+// - Body: { pageIdentifier, filterDefinition }
+// - Returns the canonical (normalized) definition alongside any errors
+app.post('/api/filters/validate', async (req, res) => {
+  const { pageIdentifier, filterDefinition = {} } = req.body || {};
+  try {
+    const page = await openPage(pageIdentifier, req.context);
+    if (page.failure) return sendFailure(res, page.failure);
+    const fields = page.access.filterableFields;
+    const { errors } = resolveFilterDefinition(fields, filterDefinition, 'user', { timeZone: page.cfg.timeZone || DEFAULT_TIME_ZONE });
+    return res.json({ ok: true, valid: errors.length === 0, errors, normalized: normalizeDefinition(fields, filterDefinition) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
+
+// Cache inspection and invalidation
+// - GET returns store info, default TTLs and hit/miss counters per namespace
+// - DELETE /api/cache drops everything; DELETE /api/cache/pages/:id drops one page's entries
+app.get('/api/cache', adminOnly, (req, res) => {
+  res.json({ ok: true, cache: cache.describe() });
+});
+
+app.delete('/api/cache', adminOnly, async (req, res) => {
+  await cache.invalidateAll();
+  // eslint-disable-next-line no-console
+  console.log('[CACHE] invalidated all pages');
+  res.json({ ok: true, invalidated: 'all' });
+});
+
+app.delete('/api/cache/pages/:id', adminOnly, async (req, res) => {
   const cfg = getPageConfiguration(req.params.id);
   if (!cfg) return res.status(404).json({ ok: false, error: 'Page not found' });
+  await cache.invalidatePage(cfg.pageIdentifier);
+  // eslint-disable-next-line no-console
+  console.log('[CACHE] invalidated page', { pageIdentifier: cfg.pageIdentifier });
+  return res.json({ ok: true, invalidated: cfg.pageIdentifier });
+});
+
+// Page registry
+// - GET /api/pages lists pages for the page selector (grouped client-side by category)
+// - GET /api/pages/schema returns the JSON schema of a page definition
+// - POST creates, PUT replaces (send `version` to reject concurrent edits), DELETE removes a page;
+//   definitions are validated against the schema and their data source before being stored
+// - GET /api/pages/:id/versions[/:version] inspects the edit history
+const PAGE_REGISTRY_FAILURES = {
+  EXISTS: { status: 409, error: 'Page already exists' },
+  NOT_FOUND: { status: 404, error: 'Page not found' },
+  VERSION_CONFLICT: { status: 409, error: 'Page was changed by someone else; reload and retry' }
+};
+
+app.get('/api/pages', (req, res) => {
+  const pages = pageRegistry.list().filter((cfg) => canSeePage(cfg, req.context)).map(({ pageIdentifier, title, subtitle, category, version }) => ({
+    pageIdentifier,
+    title,
+    subtitle,
+    category: category || null,
+    version
+  }));
+  res.json({ ok: true, pages });
+});
+
+app.get('/api/pages/schema', adminOnly, (req, res) => {
+  res.json({ ok: true, schema: pageDefinitionSchema });
+});
+
+// Return a single page definition
+app.get('/api/pages/:id', adminOnly, (req, res) => {
+  const cfg = getVisiblePage(req.params.id, req.context);
+  if (!cfg) return res.status(404).json({ ok: false, error: 'Page not found' });
   return res.json({ ok: true, page: cfg });
 });
 
+// Strip registry-managed fields and validate; returns { definition } or { failure }
+async function readPageDefinition(body, pageIdentifier) {
+  const { version, updatedAt, updatedBy, ...definition } = body || {};
+  if (pageIdentifier) {
+    if (definition.pageIdentifier && definition.pageIdentifier !== pageIdentifier) {
+      return { failure: { status: 400, error: 'pageIdentifier cannot be changed' } };
+    }
+    definition.pageIdentifier = pageIdentifier;
+  }
+  const { errors } = await validatePageDefinition(definition, { bigquery });
+  if (errors.length) return { failure: { status: 400, error: 'Invalid page definition', details: errors } };
+  return { definition, expectedVersion: version };
+}
+
+app.post('/api/pages', adminOnly, async (req, res) => {
+  try {
+    const input = await readPageDefinition(req.body);
+    if (input.failure) return sendFailure(res, input.failure);
+    const result = await pageRegistry.create(input.definition, { userId: req.context.userId });
+    if (result.failure) return sendFailure(res, PAGE_REGISTRY_FAILURES[result.failure]);
+    // eslint-disable-next-line no-console
+    console.log('[PAGES] created', { pageIdentifier: result.page.pageIdentifier, version: result.page.version });
+    return res.status(201).json({ ok: true, page: result.page });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
+
+app.put('/api/pages/:id', adminOnly, async (req, res) => {
+  if (!getPageConfiguration(req.params.id)) return res.status(404).json({ ok: false, error: 'Page not found' });
+  try {
+    const input = await readPageDefinition(req.body, req.params.id);
+    if (input.failure) return sendFailure(res, input.failure);
+    const result = await pageRegistry.update(input.definition, { userId: req.context.userId, expectedVersion: input.expectedVersion });
+    if (result.failure) return sendFailure(res, PAGE_REGISTRY_FAILURES[result.failure]);
+    await cache.invalidatePage(req.params.id);
+    // eslint-disable-next-line no-console
+    console.log('[PAGES] updated', { pageIdentifier: req.params.id, version: result.page.version });
+    return res.json({ ok: true, page: result.page });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
+
+app.delete('/api/pages/:id', adminOnly, async (req, res) => {
+  try {
+    const result = await pageRegistry.remove(req.params.id, { userId: req.context.userId });
+    if (result.failure) return sendFailure(res, PAGE_REGISTRY_FAILURES[result.failure]);
+    await cache.invalidatePage(req.params.id);
+    // eslint-disable-next-line no-console
+    console.log('[PAGES] deleted', { pageIdentifier: req.params.id });
+    return res.json({ ok: true, deleted: req.params.id });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
+
+app.get('/api/pages/:id/versions', adminOnly, async (req, res) => {
+  try {
+    const versions = await pageRegistry.versions(req.params.id);
+    if (!versions.length) return res.status(404).json({ ok: false, error: 'Page not found' });
+    return res.json({ ok: true, versions });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
+
+app.get('/api/pages/:id/versions/:version', adminOnly, async (req, res) => {
+  try {
+    const definition = await pageRegistry.getVersion(req.params.id, Number(req.params.version));
+    if (!definition) return res.status(404).json({ ok: false, error: 'Version not found' });
+    return res.json({ ok: true, page: definition });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error) });
+  }
+});
+
 // Health check: run a trivial query to verify BigQuery connectivity
 app.get('/api/health/bigquery', async (req, res) => {
   if (!bigquery) {
@@ -342,7 +946,7 @@ app.get('/api/health/bigquery', async (req, res) => {
 });
 
 // Explorer endpoints to list datasets and tables (useful for setup and debugging)
-app.get('/api/bq/datasets', async (req, res) => {
+app.get('/api/bq/datasets', adminOnly, async (req, res) => {
   if (!bigquery) {
     return res.status(500).json({ ok: false, error: 'BigQuery client not initialized' });
   }
@@ -355,7 +959,7 @@ app.get('/api/bq/datasets', async (req, res) => {
   }
 });
 
-app.get('/api/bq/tables', async (req, res) => {
+app.get('/api/bq/tables', adminOnly, async (req, res) => {
   if (!bigquery) {
     return res.status(500).json({ ok: false, error: 'BigQuery client not initialized' });
   }
@@ -366,39 +970,21 @@ app.get('/api/bq/tables', async (req, res) => {
     return res.status(400).json({ ok: false, error: 'Missing required query param: dataset' });
   }
   try {
-    const dataset = projectId ? bigquery.dataset(datasetId, { projectId }) : bigquery.dataset(datasetId);
-
     if (tableId) {
       // Return table schema flattened for nested RECORD fields
-      const table = dataset.table(tableId);
-      const [metadata] = await table.getMetadata();
-      const fields = (metadata.schema && metadata.schema.fields) || [];
-
-      const flattenFields = (arr, prefix = '') => {
-        const out = [];
-        for (const f of arr) {
-          const name = prefix ? `${prefix}.${f.name}` : f.name;
-          if (f.type === 'RECORD' && Array.isArray(f.fields) && f.fields.length > 0) {
-            out.push({ name, type: f.type, mode: f.mode || 'NULLABLE', description: f.description || '' });
-            out.push(...flattenFields(f.fields, name));
-          } else {
-            out.push({ name, type: f.type, mode: f.mode || 'NULLABLE', description: f.description || '' });
-          }
-        }
-        return out;
-      };
-
-      const schema = flattenFields(fields);
+      const table = await describeTable({ bigquery, projectId, datasetId, tableId });
+      if (!table) return res.status(404).json({ ok: false, error: 'Table not found' });
       return res.json({
         ok: true,
         project: projectId || bigquery.projectId,
         dataset: datasetId,
         table: tableId,
-        schema
+        schema: table.schema
       });
     }
 
     // Otherwise list tables for dataset
+    const dataset = projectId ? bigquery.dataset(datasetId, { projectId }) : bigquery.dataset(datasetId);
     const [tables] = await dataset.getTables();
     const items = tables.map((t) => ({ id: t.id })).sort((a, b) => a.id.localeCompare(b.id));
     return res.json({ ok: true, dataset: datasetId, project: projectId || bigquery.projectId, tables: items });
@@ -412,9 +998,26 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(frontendDir, 'index.html'));
 });
 
-app.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`Server listening on http://localhost:${PORT}`);
-});
+// Page registry must be loaded before serving requests
+pageRegistry.load()
+  .then(({ seeded, reseeded, skipped }) => {
+    if (seeded.length || reseeded.length) {
+      // eslint-disable-next-line no-console
+      console.log('[PAGES] applied seed definitions', { seeded, reseeded });
+    }
+    if (skipped.length) {
+      // eslint-disable-next-line no-console
+      console.warn('[PAGES] seed definitions not applied; these pages were changed through the admin API', skipped);
+    }
+    app.listen(PORT, () => {
+      // eslint-disable-next-line no-console
+      console.log(`Server listening on http://localhost:${PORT}`);
+    });
+  })
+  .catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error('[ERROR] Failed to load page registry', error);
+    process.exit(1);
+  });
 
 
@@ -0,0 +1,45 @@
+// JSON document persisted to a local file
+// - read() returns the parsed document (defaults when the file does not exist yet)
+// - update(mutator) applies a mutation and writes the result; updates are serialized so concurrent
+//   requests never interleave, and each write goes through a temp file + rename so a crash cannot
+//   leave a half-written document behind
+
+const fs = require('fs');
+const path = require('path');
+
+function createJsonFile({ file, defaults }) {
+  const filePath = path.resolve(__dirname, '..', file);
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return JSON.parse(JSON.stringify(defaults));
+      throw e;
+    }
+  }
+
+  async function write(doc) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(doc, null, 2));
+    await fs.promises.rename(tmp, filePath);
+  }
+
+  // mutator(doc) edits doc in place and may return a result, which update() resolves with
+  function update(mutator) {
+    const run = queue.then(async () => {
+      const doc = await read();
+      const result = await mutator(doc);
+      await write(doc);
+      return result;
+    });
+    queue = run.catch(() => {}); // keep the queue alive after a failed update
+    return run;
+  }
+
+  return { read, update, filePath };
+}
+
+module.exports = { createJsonFile };
@@ -0,0 +1,126 @@
+// Page definition registry persisted in a JSON file
+// - Seeded from the definitions in pageDefinitions.js, then managed via the admin API
+// - Every load() re-applies the seed: new seed pages are added and pages still at their seeded
+//   definition pick up changes to it; pages edited or deleted through the admin API are left alone
+// - Every change bumps the page's `version` and appends a snapshot to its history (kept after deletes),
+//   so older versions can be inspected or re-submitted
+// - Reads are served from memory (load() must complete before the first request)
+//
+// Mutations return { page } or { failure: 'EXISTS' | 'NOT_FOUND' | 'VERSION_CONFLICT' }.
+
+const { createJsonFile } = require('./jsonFile');
+
+const MAX_VERSIONS = 50; // history entries kept per page
+const PAGE_METADATA = ['version', 'updatedAt', 'updatedBy'];
+
+// A stored page without the registry's bookkeeping, comparable to a seed definition
+function definitionOf(page) {
+  return Object.fromEntries(Object.entries(page).filter(([key]) => !PAGE_METADATA.includes(key)));
+}
+
+function createPageRegistry({ file, seed }) {
+  const doc = createJsonFile({ file, defaults: { pages: {}, history: {} } });
+  let pages = {};
+
+  function record(data, definition, { action, userId }) {
+    const id = definition.pageIdentifier;
+    const previous = data.pages[id] || null;
+    const history = data.history[id] || [];
+    const lastVersion = history.length ? history[history.length - 1].version : 0;
+    const page = { ...definition, version: lastVersion + 1, updatedAt: new Date().toISOString(), updatedBy: userId };
+    if (action === 'delete') delete data.pages[id];
+    else data.pages[id] = page;
+    data.history[id] = [...history, { version: page.version, action, updatedAt: page.updatedAt, updatedBy: userId, definition: action === 'delete' ? previous : page }]
+      .slice(-MAX_VERSIONS);
+    return page;
+  }
+
+  // Run a mutation and refresh the in-memory copy from the written document
+  async function mutate(mutator) {
+    return doc.update((data) => {
+      const result = mutator(data);
+      pages = data.pages;
+      return result;
+    });
+  }
+
+  return {
+    // Returns { seeded, reseeded, skipped: [{ pageIdentifier, reason: 'EDITED' | 'DELETED' }] }
+    async load() {
+      return mutate((data) => {
+        const report = { seeded: [], reseeded: [], skipped: [] };
+        Object.values(seed).forEach((definition) => {
+          const id = definition.pageIdentifier;
+          const history = data.history[id] || [];
+          const last = history[history.length - 1];
+          const current = data.pages[id];
+          if (!last) {
+            record(data, definition, { action: 'seed', userId: 'system' });
+            report.seeded.push(id);
+          } else if (!current) {
+            report.skipped.push({ pageIdentifier: id, reason: 'DELETED' });
+          } else if (JSON.stringify(definitionOf(current)) === JSON.stringify(definition)) {
+            // up to date
+          } else if (last.action === 'seed') {
+            record(data, definition, { action: 'seed', userId: 'system' });
+            report.reseeded.push(id);
+          } else {
+            report.skipped.push({ pageIdentifier: id, reason: 'EDITED' });
+          }
+        });
+        data.seededAt = data.seededAt || new Date().toISOString();
+        return report;
+      });
+    },
+
+    get(pageIdentifier) {
+      return pages[pageIdentifier] || null;
+    },
+
+    list() {
+      return Object.values(pages);
+    },
+
+    async create(definition, { userId }) {
+      return mutate((data) => {
+        if (data.pages[definition.pageIdentifier]) return { failure: 'EXISTS' };
+        return { page: record(data, definition, { action: 'create', userId }) };
+      });
+    },
+
+    // expectedVersion (optional): reject the edit when someone else changed the page in between
+    async update(definition, { userId, expectedVersion }) {
+      return mutate((data) => {
+        const current = data.pages[definition.pageIdentifier];
+        if (!current) return { failure: 'NOT_FOUND' };
+        if (expectedVersion != null && expectedVersion !== current.version) return { failure: 'VERSION_CONFLICT' };
+        return { page: record(data, definition, { action: 'update', userId }) };
+      });
+    },
+
+    async remove(pageIdentifier, { userId }) {
+      return mutate((data) => {
+        const current = data.pages[pageIdentifier];
+        if (!current) return { failure: 'NOT_FOUND' };
+        record(data, { pageIdentifier }, { action: 'delete', userId });
+        return { page: current };
+      });
+    },
+
+    // Version summaries, newest first
+    async versions(pageIdentifier) {
+      const data = await doc.read();
+      return (data.history[pageIdentifier] || [])
+        .map(({ version, action, updatedAt, updatedBy }) => ({ version, action, updatedAt, updatedBy }))
+        .reverse();
+    },
+
+    async getVersion(pageIdentifier, version) {
+      const data = await doc.read();
+      const entry = (data.history[pageIdentifier] || []).find((h) => h.version === version);
+      return entry ? entry.definition : null;
+    }
+  };
+}
+
+module.exports = { createPageRegistry };
@@ -0,0 +1,99 @@
+// User-created saved filters ("views"), persisted in a JSON file
+// Record: { identifier, pageIdentifier, displayName, filterDefinition, sort, columns,
+//           visibility: 'private' | 'shared', ownerId, companyId, createdAt, updatedAt }
+// - Views belong to the company they were created for (companyId, null without one) and are never
+//   seen from another company, shared or not
+// - private views are only visible to their owner; shared views are visible to everyone in the company
+// - only the owner may change or delete a view
+// - tab order is kept per user, company and page: tabOrder[orderKey][pageIdentifier] = [identifier, ...]
+//   (it may also list the saved filters defined on the page itself)
+// - viewer: { userId, companyId } of the caller (req.context)
+//
+// Mutations return { savedFilter } or { failure: 'NOT_FOUND' | 'FORBIDDEN' }.
+
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+const EDITABLE_FIELDS = ['displayName', 'visibility', 'filterDefinition', 'sort', 'columns'];
+
+function createSavedFilterStore({ file }) {
+  const doc = createJsonFile({ file, defaults: { savedFilters: [], tabOrder: {} } });
+
+  // Records created before views were company-scoped have no companyId and stay with "no company"
+  const sameCompany = (record, companyId) => (record.companyId || null) === (companyId || null);
+  const isVisible = (record, { userId, companyId }) => sameCompany(record, companyId) && (record.visibility === 'shared' || record.ownerId === userId);
+  const orderKey = ({ userId, companyId }) => (companyId ? `${companyId}/${userId}` : userId);
+
+  // Locate a record and check ownership inside an update
+  function findOwned(data, pageIdentifier, identifier, viewer) {
+    const index = data.savedFilters.findIndex((sf) => sf.pageIdentifier === pageIdentifier && sf.identifier === identifier);
+    const record = data.savedFilters[index];
+    if (!record || !isVisible(record, viewer)) return { failure: 'NOT_FOUND' };
+    if (record.ownerId !== viewer.userId) return { failure: 'FORBIDDEN' };
+    return { index, record };
+  }
+
+  return {
+    // Views of a page visible to the viewer, oldest first
+    async listVisible(pageIdentifier, viewer) {
+      const data = await doc.read();
+      return data.savedFilters.filter((sf) => sf.pageIdentifier === pageIdentifier && isVisible(sf, viewer));
+    },
+
+    async getTabOrder(pageIdentifier, viewer) {
+      const data = await doc.read();
+      return ((data.tabOrder[orderKey(viewer)] || {})[pageIdentifier]) || [];
+    },
+
+    async create(pageIdentifier, { userId, companyId }, fields) {
+      return doc.update((data) => {
+        const now = new Date().toISOString();
+        const savedFilter = {
+          identifier: `view_${crypto.randomBytes(6).toString('hex')}`,
+          pageIdentifier,
+          ...fields,
+          ownerId: userId,
+          companyId: companyId || null,
+          createdAt: now,
+          updatedAt: now
+        };
+        data.savedFilters.push(savedFilter);
+        return { savedFilter };
+      });
+    },
+
+    async update(pageIdentifier, identifier, viewer, changes) {
+      return doc.update((data) => {
+        const found = findOwned(data, pageIdentifier, identifier, viewer);
+        if (found.failure) return found;
+        EDITABLE_FIELDS.forEach((key) => {
+          if (changes[key] !== undefined) found.record[key] = changes[key];
+        });
+        found.record.updatedAt = new Date().toISOString();
+        return { savedFilter: found.record };
+      });
+    },
+
+    async remove(pageIdentifier, identifier, viewer) {
+      return doc.update((data) => {
+        const found = findOwned(data, pageIdentifier, identifier, viewer);
+        if (found.failure) return found;
+        data.savedFilters.splice(found.index, 1);
+        Object.values(data.tabOrder).forEach((pages) => {
+          if (pages[pageIdentifier]) pages[pageIdentifier] = pages[pageIdentifier].filter((id) => id !== identifier);
+        });
+        return { savedFilter: found.record };
+      });
+    },
+
+    async setTabOrder(pageIdentifier, viewer, order) {
+      return doc.update((data) => {
+        const key = orderKey(viewer);
+        data.tabOrder[key] = { ...(data.tabOrder[key] || {}), [pageIdentifier]: order };
+        return order;
+      });
+    }
+  };
+}
+
+module.exports = { createSavedFilterStore };
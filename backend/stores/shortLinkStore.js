@@ -0,0 +1,36 @@
+// Short links for shared views, persisted in a JSON file
+// Record: { id, query, createdBy, createdAt }
+// - query is the frontend's view-state query string (page, tab, filters, sort, page number, ...)
+// - ids are derived from the query, so sharing the same view twice returns the same link
+
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+const ID_LENGTH = 10;
+
+function shortLinkId(query) {
+  return crypto.createHash('sha256').update(query).digest('base64url').slice(0, ID_LENGTH);
+}
+
+function createShortLinkStore({ file }) {
+  const doc = createJsonFile({ file, defaults: { shortLinks: {} } });
+
+  return {
+    async get(id) {
+      const data = await doc.read();
+      return data.shortLinks[id] || null;
+    },
+
+    async create(query, userId) {
+      return doc.update((data) => {
+        const id = shortLinkId(query);
+        if (!data.shortLinks[id]) {
+          data.shortLinks[id] = { id, query, createdBy: userId, createdAt: new Date().toISOString() };
+        }
+        return { shortLink: data.shortLinks[id] };
+      });
+    }
+  };
+}
+
+module.exports = { createShortLinkStore };
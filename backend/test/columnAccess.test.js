@@ -0,0 +1,62 @@
+// Hidden and masked fields of a repeated record must not leak through the parent array column
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveColumnAccess } = require('../utils/columnAccess');
+const { flattenSchema, flattenRow } = require('../utils/columnPaths');
+
+const fields = flattenSchema([
+  { name: 'id', type: 'STRING' },
+  {
+    name: 'contacts',
+    type: 'RECORD',
+    mode: 'REPEATED',
+    fields: [
+      { name: 'name', type: 'STRING' },
+      { name: 'email', type: 'STRING' },
+      { name: 'info', type: 'RECORD', fields: [{ name: 'phone', type: 'STRING' }] }
+    ]
+  }
+]);
+const row = {
+  id: 'a1',
+  contacts: [
+    { name: 'Ann', email: 'secret@x.com', info: { phone: '5551234567' } },
+    { name: 'Bob', email: null, info: null }
+  ]
+};
+
+function returnedRow(columnAccess, roles = []) {
+  const access = resolveColumnAccess({ columnAccess }, fields, roles);
+  return access.apply([flattenRow(row, access.visibleFields)])[0];
+}
+
+test('a hidden field inside an array of records is removed from every element', () => {
+  const out = returnedRow({ 'contacts.email': { access: 'hidden' } });
+  assert.deepEqual(out.contacts, [{ name: 'Ann', info: { phone: '5551234567' } }, { name: 'Bob', info: null }]);
+  assert.ok(!JSON.stringify(out).includes('secret@x.com'));
+});
+
+test('a masked field inside an array of records is masked in every element', () => {
+  const out = returnedRow({ 'contacts.email': { access: 'masked', mask: 'email' } });
+  assert.equal(out.contacts[0].email, 's***@x.com');
+  assert.equal(out.contacts[1].email, null);
+  assert.equal(out.contacts[0].name, 'Ann');
+});
+
+test('rules on nested records inside elements reach their leaves', () => {
+  const out = returnedRow({ 'contacts.info': { access: 'masked', mask: 'last4' } });
+  assert.deepEqual(out.contacts[0].info, { phone: '****4567' });
+  assert.equal(out.contacts[1].info, null);
+});
+
+test('a rule on the array column covers its fields', () => {
+  assert.ok(!('contacts' in returnedRow({ contacts: { access: 'hidden' } })));
+  const out = returnedRow({ contacts: { access: 'masked' } });
+  assert.deepEqual(out.contacts[0], { name: '***', email: '***', info: { phone: '***' } });
+});
+
+test('roles granting access see the raw elements', () => {
+  const out = returnedRow({ 'contacts.email': { access: 'hidden', roles: { support: 'visible' } } }, ['support']);
+  assert.equal(out.contacts[0].email, 'secret@x.com');
+});
@@ -0,0 +1,35 @@
+// withoutUserColumn: lifting one column's user filter for its chip counts must never narrow the view
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withoutUserColumn } = require('../utils/facetCounts');
+
+const leaf = (column, value, origin = 'user') => ({ column, not: false, filter: { type: 'LIST', modality: 'is', values: [value] }, origin });
+const group = (op, conditions, not = false) => ({ op, not, conditions });
+
+test('drops the column from a plain AND of user filters', () => {
+  const where = group('AND', [leaf('status', 'Open'), leaf('priority', 'High')]);
+  assert.deepEqual(withoutUserColumn(where, 'status'), group('AND', [leaf('priority', 'High')]));
+});
+
+test('keeps a negated group that mixes the column with other filters', () => {
+  const negated = group('AND', [leaf('status', 'Open'), leaf('priority', 'High')], true);
+  const where = group('AND', [leaf('owner', 'ann', 'saved'), negated]);
+  assert.deepEqual(withoutUserColumn(where, 'status'), where);
+});
+
+test('drops a negated group made only of the column', () => {
+  const where = group('AND', [group('OR', [leaf('status', 'Open'), leaf('status', 'Won')], true), leaf('priority', 'High')]);
+  assert.deepEqual(withoutUserColumn(where, 'status'), group('AND', [leaf('priority', 'High')]));
+});
+
+test('drops a "Match any" group that mixes the column with other filters', () => {
+  const where = group('AND', [leaf('owner', 'ann', 'saved'), group('OR', [leaf('status', 'Open'), leaf('priority', 'High')])]);
+  assert.deepEqual(withoutUserColumn(where, 'status'), group('AND', [leaf('owner', 'ann', 'saved')]));
+});
+
+test('leaves saved and tenant conditions on the column in place', () => {
+  const where = group('AND', [leaf('status', 'Open', 'saved'), leaf('status', 'Won')]);
+  assert.deepEqual(withoutUserColumn(where, 'status'), group('AND', [leaf('status', 'Open', 'saved')]));
+  assert.equal(withoutUserColumn(group('AND', [leaf('status', 'Won')]), 'status'), null);
+});
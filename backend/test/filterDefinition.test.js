@@ -0,0 +1,19 @@
+// DATE filter values: only real YYYY-MM-DD calendar days get past validation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFilterDefinition } = require('../utils/filterDefinition');
+
+const dateProblems = (...values) => validateFilterDefinition({ type: 'DATE', modality: 'between', values }, 'DATE');
+
+test('DATE values must be real calendar days', () => {
+  assert.deepEqual(dateProblems('2024-02-29', '2025-12-31'), []);
+  ['2025-13-45', '2025-02-29', '2025-04-31', '2025-00-10'].forEach((value) => {
+    assert.deepEqual(dateProblems(value, '2025-12-31').map((p) => p.code), ['INVALID_VALUE'], value);
+  });
+});
+
+test('DATE values must be YYYY-MM-DD', () => {
+  assert.deepEqual(dateProblems('2025-1-5', '2025-12-31').map((p) => p.code), ['INVALID_VALUE']);
+  assert.deepEqual(dateProblems('2025-01-05T00:00:00Z', '2025-12-31').map((p) => p.code), ['INVALID_VALUE']);
+});
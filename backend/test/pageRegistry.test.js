@@ -0,0 +1,53 @@
+// Page registry seeding: pageDefinitions.js changes reach an existing pages file on the next load,
+// unless an admin changed the page in between
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPageRegistry } = require('../stores/pageRegistry');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pages-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let files = 0;
+const pagesFile = () => {
+  files += 1;
+  return path.join(dir, `pages_${files}.json`);
+};
+const page = (pageIdentifier, title) => ({ pageIdentifier, title, datasetId: 'd', tableId: 't' });
+
+test('new and changed seed pages reach an existing registry', async () => {
+  const file = pagesFile();
+  assert.deepEqual((await createPageRegistry({ file, seed: { a: page('a', 'A') } }).load()).seeded, ['a']);
+
+  const registry = createPageRegistry({ file, seed: { a: page('a', 'A2'), b: page('b', 'B') } });
+  const report = await registry.load();
+  assert.deepEqual(report, { seeded: ['b'], reseeded: ['a'], skipped: [] });
+  assert.equal(registry.get('a').title, 'A2');
+  assert.equal(registry.get('a').version, 2);
+  assert.equal(registry.get('b').title, 'B');
+});
+
+test('unchanged seed pages are left as they are', async () => {
+  const file = pagesFile();
+  const seed = { a: page('a', 'A') };
+  await createPageRegistry({ file, seed }).load();
+  const registry = createPageRegistry({ file, seed });
+  assert.deepEqual(await registry.load(), { seeded: [], reseeded: [], skipped: [] });
+  assert.equal(registry.get('a').version, 1);
+});
+
+test('pages edited or deleted through the admin API are skipped', async () => {
+  const file = pagesFile();
+  const first = createPageRegistry({ file, seed: { a: page('a', 'A'), b: page('b', 'B') } });
+  await first.load();
+  await first.update(page('a', 'Edited'), { userId: 'admin' });
+  await first.remove('b', { userId: 'admin' });
+
+  const registry = createPageRegistry({ file, seed: { a: page('a', 'A2'), b: page('b', 'B2') } });
+  const report = await registry.load();
+  assert.deepEqual(report.skipped, [{ pageIdentifier: 'a', reason: 'EDITED' }, { pageIdentifier: 'b', reason: 'DELETED' }]);
+  assert.equal(registry.get('a').title, 'Edited');
+  assert.equal(registry.get('b'), null);
+});
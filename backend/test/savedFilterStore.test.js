@@ -0,0 +1,49 @@
+// A saved view belongs to the company it was created in: listing, editing, deleting and tab order
+// never cross companies
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSavedFilterStore } = require('../stores/savedFilterStore');
+
+const acmeOwner = { userId: 'u1', companyId: 'acme' };
+const acmeColleague = { userId: 'u2', companyId: 'acme' };
+const globexUser = { userId: 'u2', companyId: 'globex' };
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-filters-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let files = 0;
+
+// A fresh store (own file) holding one shared view created by acmeOwner
+async function storeWithSharedView() {
+  files += 1;
+  const store = createSavedFilterStore({ file: path.join(dir, `saved_filters_${files}.json`) });
+  const { savedFilter } = await store.create('leads', acmeOwner, { displayName: 'Open', filterDefinition: {}, visibility: 'shared' });
+  return { store, savedFilter };
+}
+
+test('shared views are listed only within the creating company', async () => {
+  const { store, savedFilter } = await storeWithSharedView();
+  assert.equal(savedFilter.companyId, 'acme');
+  assert.deepEqual((await store.listVisible('leads', acmeColleague)).map((sf) => sf.identifier), [savedFilter.identifier]);
+  assert.deepEqual(await store.listVisible('leads', globexUser), []);
+  assert.deepEqual(await store.listVisible('leads', { userId: 'u2', companyId: null }), []);
+});
+
+test('views cannot be changed or deleted from another company', async () => {
+  const { store, savedFilter } = await storeWithSharedView();
+  const asOwnerElsewhere = { userId: 'u1', companyId: 'globex' };
+  assert.equal((await store.update('leads', savedFilter.identifier, asOwnerElsewhere, { displayName: 'X' })).failure, 'NOT_FOUND');
+  assert.equal((await store.remove('leads', savedFilter.identifier, asOwnerElsewhere)).failure, 'NOT_FOUND');
+  assert.equal((await store.update('leads', savedFilter.identifier, acmeColleague, { displayName: 'X' })).failure, 'FORBIDDEN');
+  assert.equal((await store.remove('leads', savedFilter.identifier, acmeOwner)).failure, undefined);
+});
+
+test('tab order is kept per company', async () => {
+  const { store, savedFilter } = await storeWithSharedView();
+  await store.setTabOrder('leads', acmeOwner, [savedFilter.identifier]);
+  assert.deepEqual(await store.getTabOrder('leads', acmeOwner), [savedFilter.identifier]);
+  assert.deepEqual(await store.getTabOrder('leads', { userId: 'u1', companyId: 'globex' }), []);
+});
@@ -0,0 +1,30 @@
+// BigQuery explorer helpers shared by the /api/bq endpoints and page definition validation
+
+// Flatten nested RECORD fields into dotted names (parent row kept before its children)
+function flattenFields(arr, prefix = '') {
+  const out = [];
+  for (const f of arr) {
+    const name = prefix ? `${prefix}.${f.name}` : f.name;
+    out.push({ name, type: f.type, mode: f.mode || 'NULLABLE', description: f.description || '' });
+    if (f.type === 'RECORD' && Array.isArray(f.fields) && f.fields.length > 0) {
+      out.push(...flattenFields(f.fields, name));
+    }
+  }
+  return out;
+}
+
+// Table metadata lookup; resolves null when the dataset or table does not exist
+// - Returns { fields, schema } (raw top-level fields and the flattened schema)
+async function describeTable({ bigquery, projectId, datasetId, tableId }) {
+  const dataset = projectId ? bigquery.dataset(datasetId, { projectId }) : bigquery.dataset(datasetId);
+  try {
+    const [metadata] = await dataset.table(tableId).getMetadata();
+    const fields = (metadata.schema && metadata.schema.fields) || [];
+    return { fields, schema: flattenFields(fields) };
+  } catch (error) {
+    if (error.code === 404) return null;
+    throw error;
+  }
+}
+
+module.exports = { flattenFields, describeTable };
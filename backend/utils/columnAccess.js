@@ -0,0 +1,98 @@
+// Column-level access rules (page definition `columnAccess`)
+//   columnAccess: { [column]: { access: 'visible' | 'masked' | 'hidden', mask?, roles?: { [role]: access } } }
+// - `access` applies to callers holding none of the listed roles; with several matching roles the most
+//   permissive level wins; admins always see the raw value
+// - hidden columns are never selected from the data source; masked columns are replaced server-side
+//   before rows are returned (mask: email | hash | last4 | redact, default redact)
+// - Only visible columns may be filtered or sorted by the caller and get filter options, so neither
+//   hidden nor masked values can be probed through filters
+// - A rule on a RECORD column (e.g. `address`) applies to every nested column without a rule of its own
+// - Fields inside arrays of records (e.g. `contacts.email`) are returned as part of their parent array
+//   column (`contacts`), so hidden ones are removed from, and masked ones masked in, every element
+
+const crypto = require('crypto');
+const { ADMIN_ROLE } = require('../middleware/authenticate');
+
+const ACCESS_LEVELS = ['hidden', 'masked', 'visible']; // least to most permissive
+const MASKS = ['email', 'hash', 'last4', 'redact'];
+
+// Keyed hash so hashed values stay stable (groupable) without being reversible by lookup tables
+const HASH_KEY = process.env.MASK_HASH_SECRET || crypto.randomBytes(32);
+
+const MASKERS = {
+  email: (v) => {
+    const [local, domain] = String(v).split('@');
+    return domain === undefined ? '***' : `${local.slice(0, 1)}***@${domain}`;
+  },
+  hash: (v) => crypto.createHmac('sha256', HASH_KEY).update(String(v)).digest('hex').slice(0, 12),
+  last4: (v) => `****${String(v).slice(-4)}`,
+  redact: () => '***'
+};
+
+// Copy of one array element with the value at `path` removed (hidden) or masked
+function scrubElement(element, path, level, mask) {
+  if (element == null || typeof element !== 'object') return element;
+  const [key, ...rest] = path;
+  if (!(key in element)) return element;
+  const copy = { ...element };
+  if (rest.length) copy[key] = scrubElement(copy[key], rest, level, mask);
+  else if (level === 'hidden') delete copy[key];
+  else if (copy[key] != null) copy[key] = MASKERS[mask](copy[key]);
+  return copy;
+}
+
+function accessFor(rule, roles) {
+  if (roles.includes(ADMIN_ROLE)) return 'visible';
+  const granted = Object.entries(rule.roles || {}).filter(([role]) => roles.includes(role)).map(([, level]) => level);
+  if (!granted.length) return rule.access || 'visible';
+  return granted.reduce((best, level) => (ACCESS_LEVELS.indexOf(level) > ACCESS_LEVELS.indexOf(best) ? level : best));
+}
+
+// Resolve the page's rules for one caller
+// Returns {
+//   visibleFields     schema fields the caller receives (visible + masked)
+//   filterableFields  schema fields the caller may filter/sort by and get options for (visible only)
+//   columns           column names to select, or null when nothing is hidden (SELECT *)
+//   masked            Map column -> mask
+//   apply(rows)       copies of rows with masks applied
+// }
+function resolveColumnAccess(cfg, fields, roles = []) {
+  const rules = cfg.columnAccess || {};
+  // Closest rule along a dot path: 'address.city', then 'address'
+  const ruleFor = (name) => {
+    const parts = name.split('.');
+    for (let n = parts.length; n > 0; n -= 1) {
+      const rule = rules[parts.slice(0, n).join('.')];
+      if (rule) return rule;
+    }
+    return null;
+  };
+  const levelByName = new Map(fields.map((f) => [f.name, ruleFor(f.name) ? accessFor(ruleFor(f.name), roles) : 'visible']));
+  const masked = new Map([...levelByName].filter(([, level]) => level === 'masked').map(([name]) => [name, ruleFor(name).mask || 'redact']));
+  const visibleFields = fields.filter((f) => levelByName.get(f.name) !== 'hidden');
+  const maskValue = (mask, value) => (Array.isArray(value) ? value.map((v) => (v == null ? v : MASKERS[mask](v))) : MASKERS[mask](value));
+  // Restricted fields inside arrays of records whose parent array column is still returned
+  const elementRules = fields
+    .filter((f) => f.arrayPath && f.elementPath.length && levelByName.get(f.arrayPath.join('.')) !== 'hidden')
+    .filter((f) => levelByName.get(f.name) !== 'visible')
+    .map((f) => ({ parent: f.arrayPath.join('.'), path: f.elementPath, level: levelByName.get(f.name), mask: masked.get(f.name) }));
+  const apply = (rows) => (masked.size === 0 && !elementRules.length ? rows : rows.map((row) => {
+    const copy = { ...row };
+    elementRules.forEach(({ parent, path, level, mask }) => {
+      if (Array.isArray(copy[parent])) copy[parent] = copy[parent].map((element) => scrubElement(element, path, level, mask));
+    });
+    masked.forEach((mask, column) => {
+      if (copy[column] != null && !elementRules.some((r) => r.parent === column)) copy[column] = maskValue(mask, copy[column]);
+    });
+    return copy;
+  }));
+  return {
+    visibleFields,
+    filterableFields: fields.filter((f) => levelByName.get(f.name) === 'visible'),
+    columns: visibleFields.length === fields.length ? null : visibleFields.map((f) => f.name),
+    masked,
+    apply
+  };
+}
+
+module.exports = { ACCESS_LEVELS, MASKS, resolveColumnAccess };
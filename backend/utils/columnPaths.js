@@ -0,0 +1,86 @@
+// Nested (RECORD) and repeated (ARRAY) columns as flat, dot-path columns
+//
+// flattenSchema() turns raw data source fields into the columns the rest of the backend works with:
+//   { name, type, mode, description, path, arrayPath, elementPath, display }
+//   - name         dot path, e.g. 'address.city' (top-level columns keep their plain name)
+//   - path         name segments
+//   - arrayPath    segments of the REPEATED field the column lives in (null for scalar columns);
+//                  elementPath is the rest of the path inside one array element ([] for scalar arrays)
+//   - display      true for table columns: scalars, scalar arrays and whole arrays of records;
+//                  fields inside arrays of records (e.g. 'items.sku') are filter-only
+// Non-repeated RECORDs are replaced by their leaves; arrays nested inside arrays of records are
+// shown with their parent array but are not filterable.
+//
+// Rows keep their nested shape through data sources, the caches and cursors; flattenRow() turns
+// one into { [display column]: value } just before it is masked and returned.
+
+const PATH_NAME = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+function isRepeated(field) {
+  return String(field.mode || '').toUpperCase() === 'REPEATED';
+}
+
+function isRecord(field) {
+  return ['RECORD', 'STRUCT'].includes(String(field.type || '').toUpperCase());
+}
+
+function flattenSchema(fields, prefix = [], arrayPath = null) {
+  const out = [];
+  for (const f of fields || []) {
+    const path = [...prefix, f.name];
+    const column = (extra) => ({
+      name: path.join('.'),
+      type: f.type,
+      mode: f.mode || 'NULLABLE',
+      description: f.description || '',
+      path,
+      arrayPath,
+      elementPath: arrayPath ? path.slice(arrayPath.length) : [],
+      display: !arrayPath,
+      ...extra
+    });
+    if (arrayPath && isRepeated(f)) continue; // arrays inside arrays: shown with their parent only
+    if (isRecord(f) && isRepeated(f)) {
+      out.push(column({ arrayPath: path, elementPath: [] }));
+      out.push(...flattenSchema(f.fields, path, path));
+    } else if (isRecord(f)) {
+      out.push(...flattenSchema(f.fields, path, arrayPath));
+    } else if (isRepeated(f)) {
+      out.push(column({ arrayPath: path, elementPath: [] }));
+    } else {
+      out.push(column({}));
+    }
+  }
+  return out;
+}
+
+// Column descriptor for a field or a plain (scalar) column name
+function columnRef(column) {
+  if (column && typeof column === 'object') return column;
+  return { name: column, path: String(column).split('.'), arrayPath: null, elementPath: [] };
+}
+
+function readPath(value, path) {
+  return path.reduce((v, key) => (v == null ? null : v[key]), value);
+}
+
+// Value of a column in a nested row: a scalar, or the array of element values for repeated columns
+function readColumn(row, column) {
+  const ref = columnRef(column);
+  if (!ref.arrayPath) return readPath(row, ref.path);
+  const items = readPath(row, ref.arrayPath);
+  if (!Array.isArray(items)) return [];
+  return ref.elementPath.length ? items.map((item) => readPath(item, ref.elementPath)) : items;
+}
+
+// Nested row -> { [display column name]: value }
+function flattenRow(row, columns) {
+  return Object.fromEntries(columns.filter((c) => c.display).map((c) => [c.name, readColumn(row, c)]));
+}
+
+// Top-level source columns needed to read these (dot-path) columns
+function rootColumns(names) {
+  return [...new Set(names.map((name) => String(name).split('.')[0]))];
+}
+
+module.exports = { PATH_NAME, flattenSchema, columnRef, readPath, readColumn, flattenRow, rootColumns };
@@ -0,0 +1,54 @@
+// Summary (footer) row: per-column statistics over every row of the filtered view
+// - Page definitions opt in with `summary: { [column]: [stat, ...] | true | false }` (true = the type's
+//   defaults, false = none)
+// - Stats by column type (defaults marked *):
+//     NUMERIC                   sum*, avg, min, max
+//     BOOLEAN                   true*, false* (row counts)
+//     STRING                    distinct* (distinct non-NULL values)
+//     DATE/DATETIME/TIMESTAMP   min*, max*
+// - NULLs are ignored as in SQL (an all-NULL sum/avg/min/max is null)
+// - Data sources receive [{ column, alias, fieldType, stats }] and answer { [column]: { [stat]: value } }
+
+const { DATE_TYPES, NUMERIC_COLUMN_TYPES } = require('./filterDefinition');
+
+const SUMMARY_STATS = {
+  NUMERIC: { stats: ['sum', 'avg', 'min', 'max'], defaults: ['sum'] },
+  BOOLEAN: { stats: ['true', 'false'], defaults: ['true', 'false'] },
+  STRING: { stats: ['distinct'], defaults: ['distinct'] },
+  DATE: { stats: ['min', 'max'], defaults: ['min', 'max'] }
+};
+
+function summaryFamily(type) {
+  const t = String(type || '').toUpperCase();
+  if (NUMERIC_COLUMN_TYPES.includes(t)) return 'NUMERIC';
+  if (t === 'BOOL' || t === 'BOOLEAN') return 'BOOLEAN';
+  if (t === 'STRING') return 'STRING';
+  if (DATE_TYPES.includes(t)) return 'DATE';
+  return null;
+}
+
+// Returns { columns, errors } for a page's `summary` config
+// - fields: the columns available to the caller; configured columns missing from it are reported as
+//   UNKNOWN_COLUMN (page validation) and simply left out of the footer at request time (hidden/masked)
+function resolveSummary(fields, summary) {
+  const errors = [];
+  const columns = [];
+  const fail = (column, code, message) => errors.push({ column, code, message });
+  const fieldByName = new Map(fields.map((f) => [f.name, f]));
+  Object.entries(summary || {}).filter(([, requested]) => requested !== false).forEach(([column, requested]) => {
+    const field = fieldByName.get(column);
+    const family = field && !field.arrayPath ? summaryFamily(field.type) : null;
+    if (!field) return fail(column, 'UNKNOWN_COLUMN', `Column does not exist: ${column}`);
+    if (!family) return fail(column, 'UNSUPPORTED_COLUMN', `Column ${column} (${field.arrayPath ? 'array' : field.type}) cannot be summarized`);
+    const stats = requested === true ? SUMMARY_STATS[family].defaults : requested;
+    const unsupported = stats.filter((s) => !SUMMARY_STATS[family].stats.includes(s));
+    if (unsupported.length) {
+      return fail(column, 'UNSUPPORTED_STAT', `${family} columns support ${SUMMARY_STATS[family].stats.join(', ')}; got ${unsupported.join(', ')}`);
+    }
+    columns.push({ column, alias: `s${columns.length}`, fieldType: String(field.type).toUpperCase(), stats: [...new Set(stats)] });
+    return undefined;
+  });
+  return { columns, errors };
+}
+
+module.exports = { SUMMARY_STATS, resolveSummary };
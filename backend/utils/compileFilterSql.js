@@ -0,0 +1,187 @@
+// Filter-to-SQL compiler (BigQuery dialect)
+// - Consumes the canonical filter tree from filterConditions.js (saved and user filters alike)
+// - Groups compile to parenthesized AND/OR; negation uses NOT COALESCE(..., FALSE) so rows where the
+//   inner predicate is NULL (e.g. NULL column) count as "not matching" and survive the NOT
+// - Emits named query parameters (@p0, @p1, ...) for every user-supplied value
+// - Column identifiers are only ever taken from validated conditions; dot paths address RECORD fields
+// - Relative DATE tokens are resolved to day ranges (utils/relativeDates.js) and bound as parameters;
+//   TIMESTAMP columns are mapped to calendar days in the condition's time zone
+// - NUMERIC top/bottom N% compile against the leaf's precomputed percentile `threshold`
+// - GEO radius conditions compile to ST_DWITHIN, boxes and polygons to ST_WITHIN a GeoJSON polygon
+
+const { EMPTY, NOT_EMPTY } = require('./filterDefinition');
+const { resolveRelativeDate } = require('./relativeDates');
+const { conditionRing, ringGeoJson } = require('./geography');
+
+// Collects named parameters while predicates are compiled
+function createParamBag() {
+  const params = {};
+  let counter = 0;
+  return {
+    params,
+    add(value) {
+      const name = `p${counter}`;
+      counter += 1;
+      params[name] = value;
+      return `@${name}`;
+    }
+  };
+}
+
+function buildEmptyNotEmpty(ident) {
+  return {
+    // Treat NULL or empty string as "Empty"
+    empty: `(${ident} IS NULL OR CAST(${ident} AS STRING) = '')`,
+    // Not Empty: anything that is not NULL and not empty string
+    notEmpty: `(NOT (${ident} IS NULL OR CAST(${ident} AS STRING) = ''))`
+  };
+}
+
+// Text modalities shared by FREETEXT and LIST (case-insensitive)
+function compileText(ident, modality, value, bag) {
+  const text = String(value);
+  if (modality === 'exact') return `LOWER(CAST(${ident} AS STRING)) = LOWER(${bag.add(text)})`;
+  return `LOWER(CAST(${ident} AS STRING)) LIKE LOWER(${bag.add(likePattern(text, modality))})`;
+}
+
+// LIKE pattern for 'starts with' / 'contains' (user text is literal, not a LIKE pattern)
+function likePattern(text, modality) {
+  const escaped = String(text).replace(/[\\%_]/g, (c) => `\\${c}`);
+  return modality === 'starts with' ? `${escaped}%` : `%${escaped}%`;
+}
+
+// Column reference for a dot path: address.city -> `address`.`city`
+// - safe: names are validated against the schema and the identifier pattern
+function columnSql(column) {
+  return String(column).split('.').map((part) => `\`${part}\``).join('.');
+}
+
+// Compile one condition over a value expression (a column, or an array element) to a SQL predicate
+// (null when it is a no-op)
+function compilePredicate(ident, { filter, fieldType, timeZone, range, threshold }, bag) {
+  const { type, modality, values } = filter;
+
+  // Empty/Not Empty applies to every type
+  if (modality === EMPTY) return buildEmptyNotEmpty(ident).empty;
+  if (modality === NOT_EMPTY) return buildEmptyNotEmpty(ident).notEmpty;
+
+  if (type === 'LIST' && modality === 'is') {
+    return `CAST(${ident} AS STRING) IN UNNEST(${bag.add(values.map(String))})`;
+  }
+  if (type === 'LIST' || type === 'FREETEXT') return compileText(ident, modality, values[0], bag);
+  if (type === 'BOOLEAN') return `${ident} = ${bag.add(values[0])}`;
+  if (type === 'NUMERIC') {
+    if (modality === 'top' || modality === 'bottom') {
+      // threshold is resolved from the column's percentiles beforehand (utils/numericStats.js); none = no values
+      if (threshold == null) return 'FALSE';
+      return `${ident} ${modality === 'top' ? '>=' : '<='} ${bag.add(threshold)}`;
+    }
+    if (modality === 'greater than') return `${ident} > ${bag.add(values[0])}`;
+    if (modality === 'less than') return `${ident} < ${bag.add(values[0])}`;
+    if (modality === 'between') return `${ident} BETWEEN ${bag.add(values[0])} AND ${bag.add(values[1])}`;
+    return `${ident} = ${bag.add(values[0])}`; // equals
+  }
+  if (type === 'DATE') {
+    const colDate = fieldType === 'TIMESTAMP' && timeZone ? `DATE(${ident}, ${bag.add(timeZone)})` : `DATE(${ident})`;
+    if (modality === 'relative') {
+      const [from, to] = range || resolveRelativeDate(values[0], { timeZone });
+      return `${colDate} BETWEEN DATE(${bag.add(from)}) AND DATE(${bag.add(to)})`;
+    }
+    if (modality === 'before') return `${colDate} < DATE(${bag.add(values[0])})`;
+    if (modality === 'after') return `${colDate} > DATE(${bag.add(values[0])})`;
+    if (modality === 'between') return `${colDate} BETWEEN DATE(${bag.add(values[0])}) AND DATE(${bag.add(values[1])})`;
+    return `${colDate} = DATE(${bag.add(values[0])})`; // on
+  }
+  if (type === 'GEO') {
+    if (modality === 'within radius') {
+      const [lat, lng, meters] = values;
+      return `ST_DWITHIN(${ident}, ST_GEOGPOINT(${bag.add(lng)}, ${bag.add(lat)}), ${bag.add(meters)})`;
+    }
+    return `ST_WITHIN(${ident}, ST_GEOGFROMGEOJSON(${bag.add(ringGeoJson(conditionRing(modality, values)))}))`;
+  }
+  return null;
+}
+
+// Compile one canonical condition to a SQL predicate (null when it is a no-op)
+// - Repeated columns: true when any array element matches (EXISTS over UNNEST); "contains all" counts
+//   the distinct wanted values present; Empty means no non-empty element
+function compileCondition(leaf, bag) {
+  const { column, filter, repeated } = leaf;
+  if (!repeated) return compilePredicate(columnSql(column), leaf, bag);
+  const array = columnSql(repeated.arrayPath.join('.'));
+  const element = repeated.elementPath.length ? `_elem.${columnSql(repeated.elementPath.join('.'))}` : '_elem';
+  const { modality, values } = filter;
+  if (modality === EMPTY || modality === NOT_EMPTY) {
+    const anyValue = `EXISTS(SELECT 1 FROM UNNEST(${array}) AS _elem WHERE ${buildEmptyNotEmpty(element).notEmpty})`;
+    return modality === EMPTY ? `NOT ${anyValue}` : anyValue;
+  }
+  if (modality === 'contains all') {
+    const wanted = [...new Set(values.map(String))];
+    return `(SELECT COUNT(DISTINCT CAST(${element} AS STRING)) FROM UNNEST(${array}) AS _elem `
+      + `WHERE CAST(${element} AS STRING) IN UNNEST(${bag.add(wanted)})) = ${wanted.length}`;
+  }
+  const elementFilter = modality === 'contains any' ? { ...filter, modality: 'is' } : filter;
+  const predicate = compilePredicate(element, { ...leaf, filter: elementFilter }, bag);
+  return predicate && `EXISTS(SELECT 1 FROM UNNEST(${array}) AS _elem WHERE ${predicate})`;
+}
+
+// Compile a tree node (group or leaf) to SQL (null when it is a no-op)
+function compileNode(node, bag) {
+  let sql;
+  if (node.conditions) {
+    const parts = node.conditions.map((child) => compileNode(child, bag)).filter(Boolean);
+    if (!parts.length) return null;
+    sql = parts.length === 1 ? parts[0] : `(${parts.join(` ${node.op} `)})`;
+  } else {
+    sql = compileCondition(node, bag);
+    if (!sql) return null;
+  }
+  return node.not ? `NOT COALESCE(${sql}, FALSE)` : sql;
+}
+
+// CAST target for keyset parameters (legacy type names map to standard SQL)
+const CAST_TYPES = { INTEGER: 'INT64', FLOAT: 'FLOAT64', BOOLEAN: 'BOOL' };
+
+// Keyset predicate: rows strictly after the cursor in the (validated) order
+// - keyset: { keys: [{ column, direction, fieldType }], values: [...] }
+// - NULLs sort first ascending and last descending, matching BigQuery's ORDER BY defaults
+function compileKeyset({ keys, values }, bag) {
+  const typed = (i) => `CAST(${bag.add(values[i])} AS ${CAST_TYPES[keys[i].fieldType] || keys[i].fieldType})`;
+  const eq = (i) => {
+    const ident = columnSql(keys[i].column);
+    return values[i] == null ? `${ident} IS NULL` : `${ident} = ${typed(i)}`;
+  };
+  const after = (i) => {
+    const ident = columnSql(keys[i].column);
+    if (keys[i].direction === 'desc') return values[i] == null ? 'FALSE' : `(${ident} < ${typed(i)} OR ${ident} IS NULL)`;
+    return values[i] == null ? `${ident} IS NOT NULL` : `${ident} > ${typed(i)}`;
+  };
+  const branches = keys.map((k, i) => [...keys.slice(0, i).map((_, j) => eq(j)), after(i)].join(' AND '));
+  return `(${branches.map((b) => `(${b})`).join(' OR ')})`;
+}
+
+// Compile a validated filter tree into a WHERE clause + named parameters
+// - where: canonical tree from buildFilterConditions
+// - keyset (optional): cursor position for keyset pagination, see compileKeyset
+// - whereSql is '' when nothing applies so callers can interpolate unconditionally
+function compileWhereClause(where, keyset = null) {
+  const bag = createParamBag();
+  const parts = [where ? compileNode(where, bag) : null, keyset ? compileKeyset(keyset, bag) : null].filter(Boolean);
+  return {
+    whereSql: parts.length ? `WHERE ${parts.join(' AND ')}` : '',
+    params: bag.params
+  };
+}
+
+// Compile several filter trees to COUNTIF expressions sharing one parameter set (facet counts)
+// - A tree that is a no-op counts every row
+function compileCountIfs(trees) {
+  const bag = createParamBag();
+  const counts = trees.map((tree) => {
+    const sql = compileNode(tree, bag);
+    return sql ? `COUNTIF(${sql})` : 'COUNT(1)';
+  });
+  return { counts, params: bag.params };
+}
+
+module.exports = { compileWhereClause, compileCountIfs, columnSql, likePattern };
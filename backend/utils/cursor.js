@@ -0,0 +1,31 @@
+// Opaque keyset-pagination cursors
+// - A cursor holds the order-key values of the last row of a page plus the signature of the
+//   filter/sort it was produced for, so it cannot be replayed against a different view
+
+const { readColumn } = require('./columnPaths');
+
+// Reduce a cell to a JSON-safe value comparable across requests (BigQuery wrappers expose .value)
+function cursorValue(cell) {
+  if (cell == null) return null;
+  if (typeof cell === 'object') return cell.value != null ? cell.value : String(cell);
+  return cell;
+}
+
+function encodeCursor(signature, row, orderKeys) {
+  const payload = { s: signature, v: orderKeys.map((k) => cursorValue(readColumn(row, k.column))) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Returns the key values when the cursor is well-formed and matches the signature, else null
+function decodeCursor(cursor, signature, orderKeys) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (payload.s !== signature || !Array.isArray(payload.v) || payload.v.length !== orderKeys.length) return null;
+    return payload.v;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { cursorValue, encodeCursor, decodeCursor };
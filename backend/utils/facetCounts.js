@@ -0,0 +1,59 @@
+// Facet counts for the filter panel's quick chips
+// - For every LIST / BOOLEAN / FREETEXT (top-N) option: the number of rows the chip's own condition
+//   matches under the applied filters, minus the user's filter on that same column (so the counts of a
+//   column's chips do not collapse to the one value already picked)
+// - The saved tab and the tenant scope always apply, and lifting the column's filter never narrows the
+//   rest of the view: a "Match any" (OR) group mixing the column with others is dropped whole, a
+//   negated group mixing them is kept as is
+// - A chip's condition is what clicking it applies: { type, values: [option] } (the type's default
+//   modality, e.g. "contains" for FREETEXT); repeated columns count rows with a matching element
+// - Data sources evaluate every counted condition in one pass (countMatching)
+
+const { resolveFilterDefinition } = require('./filterConditions');
+
+const FACET_TYPES = ['LIST', 'BOOLEAN', 'FREETEXT'];
+
+const isUserLeaf = (node, column) => node.origin === 'user' && node.column === column;
+const someLeaf = (node, test) => (node.conditions ? node.conditions.some((child) => someLeaf(child, test)) : test(node));
+const everyLeaf = (node, test) => (node.conditions ? node.conditions.every((child) => everyLeaf(child, test)) : test(node));
+
+// Canonical tree without the user layer's filter on one column (null when nothing is left)
+// - Leaves and groups made only of the column's user leaves go, negated or not
+// - A plain AND group loses just those parts (fewer conjuncts only widen the view)
+// - A mixed OR group goes whole; a mixed negated group stays (removing a part of either would narrow it)
+function withoutUserColumn(node, column) {
+  if (!someLeaf(node, (leaf) => isUserLeaf(leaf, column))) return node;
+  if (everyLeaf(node, (leaf) => isUserLeaf(leaf, column))) return null;
+  if (node.not) return node;
+  if (node.op === 'OR') return null;
+  const conditions = node.conditions.map((child) => withoutUserColumn(child, column)).filter(Boolean);
+  return conditions.length ? { ...node, conditions } : null;
+}
+
+// [{ column, option, tree }] to count: where (minus the column's user filter) AND the chip's condition
+// - filterConfig: the page's generated filter config; fields: columns the caller may filter by
+// - Options that do not form a valid condition for their column are skipped
+function buildFacetQueries({ where, filterConfig, fields, timeZone }) {
+  const queries = [];
+  filterConfig.filter((fc) => FACET_TYPES.includes(fc.filterType)).forEach((fc) => {
+    const base = withoutUserColumn(where, fc.columnName) || { op: 'AND', not: false, conditions: [] };
+    (fc.options || []).forEach((option) => {
+      const chip = resolveFilterDefinition(fields, { [fc.columnName]: { type: fc.filterType, values: [option] } }, 'facet', { timeZone });
+      if (chip.errors.length) return;
+      queries.push({ column: fc.columnName, option, tree: { op: 'AND', not: false, conditions: [base, chip.tree] } });
+    });
+  });
+  return queries;
+}
+
+// { [column]: { [option]: count } } from the queries and their counts (same order)
+function groupFacetCounts(queries, counts) {
+  const byColumn = {};
+  queries.forEach(({ column, option }, i) => {
+    byColumn[column] = byColumn[column] || {};
+    byColumn[column][String(option)] = Number(counts[i]) || 0;
+  });
+  return byColumn;
+}
+
+module.exports = { FACET_TYPES, withoutUserColumn, buildFacetQueries, groupFacetCounts };
@@ -0,0 +1,172 @@
+// Resolution of saved + user filter definitions into a validated, canonical filter tree
+// - Both layers go through the same DSL (see filterDefinition.js), so a saved tab and a
+//   user-built filter with the same definition always compile to the same predicate
+// - Errors are collected ({ column, origin, path, code, message }) rather than thrown so the API can report them all
+//
+// Accepted definition shapes:
+//   column map   { [column]: condition | condition[] | group }     (entries are AND-ed; an array ANDs
+//                                                                  several conditions on one column)
+//   group        { op: 'AND' | 'OR', not?, column?, conditions: [condition | group, ...] }
+//   condition    { column?, type?, modality?, values?, not? }      (column inherited from the enclosing
+//                                                                  group or map key)
+//
+// Canonical tree consumed by the compilers:
+//   group  { op, not, conditions: [...] }
+//   leaf   { column, not, filter: { type, modality, values }, origin, fieldType }
+//          DATE leaves also carry the evaluation `timeZone`, and relative ones the resolved
+//          inclusive day `range` ([from, to] as YYYY-MM-DD), so a view's signature changes with the day
+//          NUMERIC top/bottom leaves get a percentile `threshold` once the server has the column's stats
+//          Leaves on repeated columns (utils/columnPaths.js) carry `repeated: { arrayPath, elementPath }`;
+//          their conditions match when any element matches ("contains all" needs every listed value)
+
+const { normalizeFilterDefinition, validateFilterDefinition } = require('./filterDefinition');
+const { DEFAULT_TIME_ZONE, resolveRelativeDate } = require('./relativeDates');
+const { PATH_NAME } = require('./columnPaths');
+
+const GROUP_OPS = ['AND', 'OR'];
+const MAX_GROUP_DEPTH = 5;
+
+function isGroupNode(node) {
+  return Boolean(node) && typeof node === 'object' && !Array.isArray(node) && typeof node.op === 'string' && Array.isArray(node.conditions);
+}
+
+function emptyGroup() {
+  return { op: 'AND', not: false, conditions: [] };
+}
+
+// Column map -> explicit AND group (arrays become AND groups scoped to their column)
+function mapToGroup(definition) {
+  return {
+    op: 'AND',
+    conditions: Object.entries(definition || {}).map(([column, entry]) => {
+      if (Array.isArray(entry)) return { op: 'AND', column, conditions: entry };
+      return { ...(entry && typeof entry === 'object' ? entry : { values: entry }), column };
+    })
+  };
+}
+
+// Walk one node of a definition; returns { node, errors } with node === null when nothing valid remains
+function resolveNode(node, ctx, inheritedColumn, path, depth) {
+  const errors = [];
+  const fail = (column, code, message) => errors.push({ column, origin: ctx.origin, path, code, message });
+
+  if (isGroupNode(node)) {
+    const op = String(node.op).toUpperCase();
+    const column = node.column || inheritedColumn;
+    if (!GROUP_OPS.includes(op)) {
+      fail(column || null, 'INVALID_GROUP', `Group op must be AND or OR, got: ${node.op}`);
+      return { node: null, errors };
+    }
+    if (depth >= MAX_GROUP_DEPTH) {
+      fail(column || null, 'GROUP_TOO_DEEP', `Filter groups may nest at most ${MAX_GROUP_DEPTH} levels`);
+      return { node: null, errors };
+    }
+    const conditions = [];
+    node.conditions.forEach((child, i) => {
+      const resolved = resolveNode(child, ctx, column, `${path}.conditions[${i}]`, depth + 1);
+      if (resolved.node) conditions.push(resolved.node);
+      errors.push(...resolved.errors);
+    });
+    return { node: { op, not: Boolean(node.not), conditions }, errors };
+  }
+
+  const def = node && typeof node === 'object' && !Array.isArray(node) ? node : null;
+  const column = (def && def.column) || inheritedColumn;
+  if (!column) {
+    fail(null, 'MISSING_COLUMN', 'Condition has no column');
+    return { node: null, errors };
+  }
+  if (!PATH_NAME.test(String(column))) {
+    fail(column, 'INVALID_COLUMN_NAME', `Column name is not a valid identifier: ${column}`);
+    return { node: null, errors };
+  }
+  if (!ctx.fieldTypeByName.has(column)) {
+    fail(column, 'UNKNOWN_COLUMN', `Column does not exist in the table schema: ${column}`);
+    return { node: null, errors };
+  }
+  if (!def || (def.values != null && !Array.isArray(def.values))) {
+    fail(column, 'INVALID_DEFINITION', 'Filter definition must be an object with a values array');
+    return { node: null, errors };
+  }
+  const fieldType = ctx.fieldTypeByName.get(column);
+  if (fieldType === 'RECORD' || fieldType === 'STRUCT') {
+    fail(column, 'UNFILTERABLE_COLUMN', `Record column ${column} cannot be filtered; filter on one of its fields instead`);
+    return { node: null, errors };
+  }
+  const field = ctx.fieldByName.get(column);
+  const filter = normalizeFilterDefinition(def, fieldType);
+  validateFilterDefinition(filter, fieldType, { repeated: Boolean(field.arrayPath) }).forEach((p) => fail(column, p.code, p.message));
+  if (errors.length) return { node: null, errors };
+  const leaf = { column, not: Boolean(def.not), filter, origin: ctx.origin, fieldType };
+  if (field.arrayPath) leaf.repeated = { arrayPath: field.arrayPath, elementPath: field.elementPath };
+  if (filter.type === 'DATE') {
+    leaf.timeZone = ctx.timeZone;
+    if (filter.modality === 'relative') leaf.range = resolveRelativeDate(filter.values[0], ctx);
+  }
+  return { node: leaf, errors };
+}
+
+// Resolve a definition (column map or group) into a canonical tree
+// - fields: flattened columns of the page's data source (utils/columnPaths.js)
+// - origin: 'saved' | 'user' (only used to attribute errors)
+// - timeZone / now (optional): IANA zone and instant that DATE conditions are evaluated in
+function resolveFilterDefinition(fields, definition, origin, { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) {
+  if (!definition || typeof definition !== 'object') return { tree: emptyGroup(), errors: [] };
+  const ctx = {
+    origin,
+    timeZone,
+    now,
+    fieldByName: new Map(fields.map((f) => [f.name, f])),
+    fieldTypeByName: new Map(fields.map((f) => [f.name, (f.type || '').toUpperCase()]))
+  };
+  const root = isGroupNode(definition) ? definition : mapToGroup(definition);
+  const { node, errors } = resolveNode(root, ctx, null, '$', 0);
+  return { tree: node || emptyGroup(), errors };
+}
+
+// Combine saved + user layers into one tree (the two layers are always AND-ed)
+// - userFields (optional): the subset of fields the caller may filter by (column access rules)
+// - timeZone (optional): zone for relative dates and TIMESTAMP days, shared by both layers
+function buildFilterConditions({ fields, savedFilterDefinition, userFilters, userFields = fields, timeZone = DEFAULT_TIME_ZONE }) {
+  const dates = { timeZone, now: new Date() };
+  const saved = resolveFilterDefinition(fields, savedFilterDefinition, 'saved', dates);
+  const user = resolveFilterDefinition(userFields, userFilters, 'user', dates);
+  return {
+    where: { op: 'AND', not: false, conditions: [saved.tree, user.tree] },
+    errors: [...saved.errors, ...user.errors]
+  };
+}
+
+// Canonical form of a definition, keeping its shape (for echoing back to clients)
+function normalizeDefinition(fields, definition) {
+  const fieldTypeByName = new Map(fields.map((f) => [f.name, (f.type || '').toUpperCase()]));
+  const normalizeNode = (node, column) => {
+    if (isGroupNode(node)) {
+      const scoped = node.column || column;
+      const group = { op: String(node.op).toUpperCase(), not: Boolean(node.not), conditions: node.conditions.map((c) => normalizeNode(c, scoped)) };
+      return node.column ? { ...group, column: node.column } : group;
+    }
+    const def = node && typeof node === 'object' ? node : {};
+    const target = def.column || column;
+    const out = { ...normalizeFilterDefinition(def, fieldTypeByName.get(target)), not: Boolean(def.not) };
+    return def.column ? { column: def.column, ...out } : out;
+  };
+  if (isGroupNode(definition)) return normalizeNode(definition, null);
+  return Object.fromEntries(Object.entries(definition || {}).map(([column, entry]) => [
+    column,
+    Array.isArray(entry) ? entry.map((c) => normalizeNode(c, column)) : normalizeNode(entry, column)
+  ]));
+}
+
+// Combine two definitions into one that matches rows satisfying both
+// - Column maps on disjoint columns stay a column map; anything else becomes an AND group
+function mergeFilterDefinitions(a, b) {
+  const isEmpty = (def) => !def || (isGroupNode(def) ? def.conditions.length === 0 : Object.keys(def).length === 0);
+  if (isEmpty(a)) return b || {};
+  if (isEmpty(b)) return a;
+  if (!isGroupNode(a) && !isGroupNode(b) && !Object.keys(a).some((column) => column in b)) return { ...a, ...b };
+  const toGroup = (def) => (isGroupNode(def) ? def : mapToGroup(def));
+  return { op: 'AND', conditions: [toGroup(a), toGroup(b)] };
+}
+
+module.exports = { buildFilterConditions, resolveFilterDefinition, normalizeDefinition, mergeFilterDefinitions };
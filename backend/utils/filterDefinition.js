@@ -0,0 +1,254 @@
+// Filter definition DSL shared by page definitions (saved filters), the frontend popover/chips and the API
+//
+// A filter definition maps column names to conditions:
+//   { [columnName]: { type, modality, values } }
+//
+//   type      FREETEXT | LIST | NUMERIC | DATE | BOOLEAN | GEO (defaults from the column's schema type)
+//   modality  one of the type's modalities below (string; a one-element array is accepted for legacy saved filters)
+//   values    array of scalars; how many depends on the modality (see FILTER_TYPES)
+//
+// Column names may be dot paths into RECORD columns ('address.city'). On REPEATED columns every
+// modality matches when any element matches; LIST 'contains any' / 'contains all' compare the
+// array against several values.
+//
+// GEO conditions (GEOGRAPHY columns) take latitude/longitude numbers; see utils/geography.js.
+//
+// Conditions can also be negated (`not: true`), stacked per column and combined into nested
+// AND/OR groups; those shapes are resolved in filterConditions.js.
+//
+// normalizeFilterDefinition() turns any accepted spelling into the canonical form that the
+// validator, the SQL compiler and the in-memory matcher all consume.
+
+const { normalizeRelativeDate, describeRelativeDates } = require('./relativeDates');
+const { geoValueProblems } = require('./geography');
+
+const DATE_TYPES = ['DATE', 'DATETIME', 'TIMESTAMP'];
+const NUMERIC_COLUMN_TYPES = ['INT64', 'INTEGER', 'NUMERIC', 'BIGNUMERIC', 'FLOAT64', 'FLOAT'];
+const BOOLEAN_COLUMN_TYPES = ['BOOL', 'BOOLEAN'];
+const GEOGRAPHY_TYPE = 'GEOGRAPHY';
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const EMPTY = 'is empty';
+const NOT_EMPTY = 'is not empty';
+
+// Canonical modalities per filter type; the first one is the default
+// - arity: number of values the modality expects ('many' = one or more)
+const FILTER_TYPES = {
+  FREETEXT: {
+    modalities: { contains: 1, exact: 1, 'starts with': 1, [EMPTY]: 0, [NOT_EMPTY]: 0 },
+    valueType: 'string'
+  },
+  LIST: {
+    modalities: { is: 'many', contains: 1, exact: 1, 'starts with': 1, 'contains any': 'many', 'contains all': 'many', [EMPTY]: 0, [NOT_EMPTY]: 0 },
+    valueType: 'string'
+  },
+  NUMERIC: {
+    modalities: { equals: 1, 'greater than': 1, 'less than': 1, between: 2, top: 1, bottom: 1, [EMPTY]: 0, [NOT_EMPTY]: 0 },
+    valueType: 'number'
+  },
+  DATE: {
+    modalities: { on: 1, before: 1, after: 1, between: 2, relative: 1, [EMPTY]: 0, [NOT_EMPTY]: 0 },
+    valueType: 'date'
+  },
+  BOOLEAN: {
+    modalities: { is: 1, [EMPTY]: 0, [NOT_EMPTY]: 0 },
+    valueType: 'boolean'
+  },
+  // within radius: [lat, lng, meters]; within box: [south, west, north, east]; within polygon: [lat, lng, ...]
+  GEO: {
+    modalities: { 'within radius': 3, 'within box': 4, 'within polygon': 'many', [EMPTY]: 0, [NOT_EMPTY]: 0 },
+    valueType: 'number'
+  }
+};
+
+// Accepted spellings -> canonical modality (applied before per-type checks)
+const MODALITY_ALIASES = {
+  is_null: EMPTY,
+  empty: EMPTY,
+  is_not_null: NOT_EMPTY,
+  not_empty: NOT_EMPTY,
+  '=': 'equals',
+  '>': 'greater than',
+  '<': 'less than',
+  'within radius of point': 'within radius',
+  'within bounding box': 'within box'
+};
+
+// Legacy quick-chip tokens for NUMERIC columns ("top 10%" / "bottom 10%")
+const NUMERIC_RANK_TOKEN = /^(top|bottom)\s+(\d+(?:\.\d+)?)%$/i;
+
+// Normalize modality to a lowercase string (supports array form in saved filters)
+function normalizeModality(mod) {
+  // Saved filters may send modality as string or array of strings (take first)
+  if (Array.isArray(mod) && mod.length > 0) return String(mod[0]).toLowerCase();
+  if (typeof mod === 'string') return mod.toLowerCase();
+  return '';
+}
+
+// Parse a boolean filter value; accepts real booleans and 'true'/'false' strings, else null
+function parseBooleanValue(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return null;
+}
+
+// YYYY-MM-DD naming a real calendar day (2025-02-29 and 2025-13-45 are rejected)
+function isCalendarDate(value) {
+  if (!ISO_DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Parse a numeric filter value; empty strings and non-finite numbers are rejected (null)
+function parseNumericValue(value) {
+  if (value == null || value === '' || typeof value === 'boolean') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Filter type implied by a schema column type
+function defaultFilterType(fieldType) {
+  const t = String(fieldType || '').toUpperCase();
+  if (DATE_TYPES.includes(t)) return 'DATE';
+  if (NUMERIC_COLUMN_TYPES.includes(t)) return 'NUMERIC';
+  if (BOOLEAN_COLUMN_TYPES.includes(t)) return 'BOOLEAN';
+  if (t === GEOGRAPHY_TYPE) return 'GEO';
+  return 'FREETEXT';
+}
+
+// Canonical filter type for an explicit type (aliases such as BOOL/TIMESTAMP collapse)
+function normalizeFilterType(type, fieldType) {
+  const t = String(type || '').toUpperCase();
+  if (!t) return defaultFilterType(fieldType);
+  if (t === 'BOOL') return 'BOOLEAN';
+  if (DATE_TYPES.includes(t)) return 'DATE';
+  if (t === 'STRING') return 'FREETEXT';
+  if (NUMERIC_COLUMN_TYPES.includes(t)) return 'NUMERIC';
+  if (t === GEOGRAPHY_TYPE) return 'GEO';
+  return t;
+}
+
+// Convert any accepted spelling of a condition into { type, modality, values }
+// - Unparseable values are kept as-is so validation can report them
+function normalizeFilterDefinition(def, fieldType) {
+  const src = def && typeof def === 'object' ? def : {};
+  const type = normalizeFilterType(src.type, fieldType);
+  let modality = normalizeModality(src.modality);
+  modality = MODALITY_ALIASES[modality] || modality;
+  let values = Array.isArray(src.values) ? [...src.values] : [];
+
+  // "Empty"/"Not Empty" chips are modality-only selections
+  if (values.length === 1 && (values[0] === 'Empty' || values[0] === 'Not Empty')) {
+    return { type, modality: values[0] === 'Empty' ? EMPTY : NOT_EMPTY, values: [] };
+  }
+  if (modality === EMPTY || modality === NOT_EMPTY) return { type, modality, values: [] };
+
+  if (type === 'FREETEXT' && (modality === 'is' || modality === 'equals')) modality = 'exact';
+  if (type === 'BOOLEAN' && modality === 'equals') modality = 'is';
+  if (type === 'NUMERIC') {
+    const rank = typeof values[0] === 'string' ? NUMERIC_RANK_TOKEN.exec(values[0].trim()) : null;
+    if (rank) {
+      modality = rank[1].toLowerCase();
+      values = [Number(rank[2])];
+    }
+    values = values.map((v) => (parseNumericValue(v) === null ? v : parseNumericValue(v)));
+  }
+  if (type === 'BOOLEAN') values = values.map((v) => (parseBooleanValue(v) === null ? v : parseBooleanValue(v)));
+  if (type === 'GEO') values = values.map((v) => (parseNumericValue(v) === null ? v : parseNumericValue(v)));
+  if (type === 'DATE' && (!modality || modality === 'on' || modality === 'relative') && normalizeRelativeDate(values[0])) {
+    // Relative tokens (utils/relativeDates.js) are stored in their canonical spelling
+    modality = 'relative';
+    values = [normalizeRelativeDate(values[0])];
+  }
+
+  const spec = FILTER_TYPES[type];
+  if (!modality && spec) modality = Object.keys(spec.modalities)[0];
+  return { type, modality, values };
+}
+
+// Modalities that only make sense on REPEATED (array) columns
+const ARRAY_MODALITIES = ['contains any', 'contains all'];
+
+// Validate a canonical condition against the column's schema type
+// - repeated: the column is an array (or a field inside an array of records)
+// - Returns [{ code, message }] (empty when valid)
+function validateFilterDefinition(filter, fieldType, { repeated = false } = {}) {
+  const problems = [];
+  const fail = (code, message) => problems.push({ code, message });
+  const spec = FILTER_TYPES[filter.type];
+  if (!spec) {
+    fail('UNKNOWN_TYPE', `Unknown filter type: ${filter.type}`);
+    return problems;
+  }
+  const arity = spec.modalities[filter.modality];
+  if (arity === undefined) {
+    fail('UNSUPPORTED_MODALITY', `${filter.type} filters do not support modality: ${filter.modality}`);
+    return problems;
+  }
+
+  if (ARRAY_MODALITIES.includes(filter.modality) && !repeated) {
+    fail('UNSUPPORTED_MODALITY', `"${filter.modality}" only applies to REPEATED columns`);
+    return problems;
+  }
+
+  const columnType = String(fieldType || '').toUpperCase();
+  if (filter.type === 'NUMERIC' && !NUMERIC_COLUMN_TYPES.includes(columnType)) fail('TYPE_MISMATCH', `NUMERIC filter on ${columnType} column`);
+  if (filter.type === 'DATE' && !DATE_TYPES.includes(columnType)) fail('TYPE_MISMATCH', `DATE filter on ${columnType} column`);
+  if (filter.type === 'BOOLEAN' && !BOOLEAN_COLUMN_TYPES.includes(columnType)) fail('TYPE_MISMATCH', `BOOLEAN filter on ${columnType} column`);
+  if (filter.type === 'GEO' && columnType !== GEOGRAPHY_TYPE) fail('TYPE_MISMATCH', `GEO filter on ${columnType} column`);
+
+  const { values } = filter;
+  if (arity === 0) return problems;
+  if (arity === 'many' ? values.length < 1 : values.length < arity) {
+    fail('MISSING_VALUE', `Modality "${filter.modality}" expects ${arity === 'many' ? 'at least one value' : `${arity} value(s)`}`);
+    return problems;
+  }
+  const checked = arity === 'many' ? values : values.slice(0, arity);
+  for (const v of checked) {
+    if (!['string', 'number', 'boolean'].includes(typeof v)) {
+      fail('INVALID_VALUE', 'Filter values must be strings, numbers or booleans');
+    } else if (spec.valueType === 'number' && typeof v !== 'number') {
+      fail('INVALID_VALUE', `Expected a number, got: ${JSON.stringify(v)}`);
+    } else if (spec.valueType === 'boolean' && typeof v !== 'boolean') {
+      fail('INVALID_VALUE', `Expected true or false, got: ${JSON.stringify(v)}`);
+    } else if (spec.valueType === 'date' && filter.modality === 'relative' && !normalizeRelativeDate(v)) {
+      fail('INVALID_VALUE', `Unsupported relative date: ${JSON.stringify(v)}`);
+    } else if (spec.valueType === 'date' && filter.modality !== 'relative' && !isCalendarDate(String(v))) {
+      fail('INVALID_VALUE', `Expected a valid YYYY-MM-DD date, got: ${JSON.stringify(v)}`);
+    } else if (spec.valueType === 'string' && String(v) === '') {
+      fail('MISSING_VALUE', 'Filter text must not be empty');
+    }
+  }
+  if (['top', 'bottom'].includes(filter.modality) && !(values[0] > 0 && values[0] <= 100)) {
+    fail('INVALID_VALUE', 'Percent must be between 0 and 100');
+  }
+  if (filter.type === 'GEO' && !problems.length) geoValueProblems(filter.modality, values).forEach((message) => fail('INVALID_VALUE', message));
+  return problems;
+}
+
+// Machine-readable description of the DSL (served by GET /api/filters/schema)
+function describeFilterSchema() {
+  return {
+    types: Object.fromEntries(Object.entries(FILTER_TYPES).map(([type, spec]) => [type, {
+      defaultModality: Object.keys(spec.modalities)[0],
+      valueType: spec.valueType,
+      modalities: spec.modalities
+    }])),
+    relativeDates: describeRelativeDates(),
+    arrayModalities: ARRAY_MODALITIES, // only offered for REPEATED columns
+    modalityAliases: MODALITY_ALIASES
+  };
+}
+
+module.exports = {
+  DATE_TYPES,
+  NUMERIC_COLUMN_TYPES,
+  FILTER_TYPES,
+  EMPTY,
+  NOT_EMPTY,
+  normalizeModality,
+  parseBooleanValue,
+  parseNumericValue,
+  normalizeFilterDefinition,
+  validateFilterDefinition,
+  describeFilterSchema
+};
@@ -0,0 +1,19 @@
+// Stable signatures for filter trees / sort orders (cache keys, cursor binding)
+
+const crypto = require('crypto');
+
+// JSON.stringify with sorted object keys so equal structures always serialize identically
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Short hash of any JSON-compatible value
+function computeSignature(value) {
+  return crypto.createHash('sha1').update(stableStringify(value)).digest('hex').slice(0, 16);
+}
+
+module.exports = { computeSignature };
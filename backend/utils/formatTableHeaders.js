@@ -1,6 +1,6 @@
-const defaultOverrides = {
-  // Example: owner_company: 'Company'
-};
+// Table headers: readable display names (and shortlist tags) for raw column keys
+// - shortlist: Map from resolveColumnShortlist(); columns without a display name there are title-cased
+//   (nested dot-path columns segment by segment: 'address.zip_code' -> 'Address › Zip Code')
 
 function toTitleCaseFromSnake(name) {
   return name
@@ -12,13 +12,12 @@ function toTitleCaseFromSnake(name) {
     .join(' ');
 }
 
-function formatTableHeaders(columnNames, overrides = defaultOverrides) {
+function formatTableHeaders(columnNames, shortlist = new Map()) {
   return columnNames.map((key) => {
-    const displayName = overrides[key] || toTitleCaseFromSnake(key);
-    return { key, displayName };
+    const entry = shortlist.get(key) || {};
+    const displayName = entry.displayName || key.split('.').map(toTitleCaseFromSnake).join(' › ');
+    return { key, displayName, tags: entry.tags || [] };
   });
 }
 
 module.exports = { formatTableHeaders };
-
-
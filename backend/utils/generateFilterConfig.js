@@ -1,3 +1,7 @@
+const { PAST_PRESETS, FUTURE_PRESETS, dayKeyInZone } = require('./relativeDates');
+const { summarizeNumericStats } = require('./numericStats');
+const { NUMERIC_COLUMN_TYPES } = require('./filterDefinition');
+
 function generateFilterConfigFromSchema(schemaFields) {
   const config = [];
   for (const f of schemaFields) {
@@ -10,11 +14,11 @@ function generateFilterConfigFromSchema(schemaFields) {
     const type = (f.type || '').toUpperCase();
     if (type === 'DATE' || type === 'DATETIME' || type === 'TIMESTAMP') {
       filterType = 'DATE';
-      options = ['today', 'yesterday', 'last 7 days', 'this month', 'last month'];
+      options = PAST_PRESETS;
     } else if (type === 'BOOL' || type === 'BOOLEAN') {
       filterType = 'BOOLEAN';
       options = [true, false];
-    } else if (['INT64', 'NUMERIC', 'BIGNUMERIC', 'FLOAT64'].includes(type)) {
+    } else if (NUMERIC_COLUMN_TYPES.includes(type)) {
       filterType = 'NUMERIC';
       options = ['top 10%', 'bottom 10%'];
     } else if (type === 'STRING') {
@@ -31,42 +35,69 @@ function generateFilterConfigFromSchema(schemaFields) {
   return config;
 }
 
-async function generateFilterConfig(bigquery, projectId, datasetId, tableId, schemaFields) {
-  const qualified = `\`${projectId}.${datasetId}.${tableId}\``;
+// Relative date presets: forward-looking ones when the column's data reaches past today
+// (or the shortlist tags it FUTURE_DATE), backward-looking ones otherwise
+async function dateOptions(dataSource, column, tags, scope) {
+  if (tags.includes('FUTURE_DATE')) return FUTURE_PRESETS;
+  const latest = dataSource.maxDate ? await dataSource.maxDate(column, scope) : null;
+  return latest && latest > dayKeyInZone(new Date()) ? FUTURE_PRESETS : PAST_PRESETS;
+}
+
+// Forced filter types from the column shortlist only apply when the column type supports them
+function forcedStringFilterType(entry, type) {
+  return type === 'STRING' && entry && ['LIST', 'FREETEXT'].includes(entry.filterType) ? entry.filterType : null;
+}
+
+// Build filter config for each column using the page's data source
+// - dataSource: adapter from dataSources/ (BigQuery, JSON file, ...)
+// - schemaFields: flattened columns (utils/columnPaths.js); arrays of records are skipped, their
+//   fields get their own entries (flagged `repeated`)
+// - shortlist: Map from resolveColumnShortlist() (tags, forced filter type, mandatory options)
+// - where (optional): filter tree every option query is restricted to (tenant row scope)
+async function generateFilterConfig(dataSource, schemaFields, shortlist = new Map(), { where = null } = {}) {
   const config = [];
+  const scope = { where };
 
   for (const f of schemaFields) {
     if (f.type === 'RECORD') continue;
     const columnName = f.name;
     const type = (f.type || '').toUpperCase();
+    const entry = shortlist.get(columnName) || null;
+    const tags = entry ? entry.tags : [];
+    const forced = forcedStringFilterType(entry, type);
+    const repeated = Boolean(f.arrayPath);
     let filterType = 'FREETEXT';
     let options = [];
+    let stats = null;
+    let extent = null;
 
     try {
       if (type === 'DATE' || type === 'DATETIME' || type === 'TIMESTAMP') {
         filterType = 'DATE';
-        options = ['today', 'yesterday', 'last 7 days', 'this month', 'last month', 'tomorrow', 'next 7 days', 'next month'];
+        options = PAST_PRESETS; // fallback if the max-date query fails
+        options = await dateOptions(dataSource, f, tags, scope);
       } else if (type === 'BOOL' || type === 'BOOLEAN') {
         filterType = 'BOOLEAN';
         options = [true, false];
-      } else if (['INT64', 'NUMERIC', 'BIGNUMERIC', 'FLOAT64'].includes(type)) {
+      } else if (NUMERIC_COLUMN_TYPES.includes(type)) {
         filterType = 'NUMERIC';
         options = ['top 10%', 'bottom 10%'];
+        // Min/max/quantiles + histogram drive the popover's range slider
+        if (dataSource.numericStats) stats = summarizeNumericStats(await dataSource.numericStats(f, scope), { integer: type === 'INT64' || type === 'INTEGER' });
+      } else if (type === 'GEOGRAPHY') {
+        filterType = 'GEO';
+        // Data extent frames the popover's mini map
+        if (dataSource.geoExtent) extent = await dataSource.geoExtent(f, scope);
       } else if (type === 'STRING') {
-        // Decide LIST vs FREETEXT using approx distinct count
-        const countQuery = `SELECT APPROX_COUNT_DISTINCT(\`${columnName}\`) AS c FROM ${qualified}`;
-        const [countRows] = await bigquery.query({ query: countQuery });
-        const distinctCount = Number(countRows[0].c) || 0;
-        if (distinctCount <= 20) {
+        // Decide LIST vs FREETEXT using approx distinct count (unless the shortlist forces one)
+        // Arrays are always LIST so chips and "contains any/all" pick among their element values
+        const distinctCount = forced || repeated ? null : await dataSource.countDistinct(f, scope);
+        if (forced === 'LIST' || repeated || (!forced && distinctCount <= 20)) {
           filterType = 'LIST';
-          const listQuery = `SELECT DISTINCT CAST(\`${columnName}\` AS STRING) AS v FROM ${qualified} WHERE \`${columnName}\` IS NOT NULL ORDER BY v LIMIT 20`;
-          const [vals] = await bigquery.query({ query: listQuery });
-          options = vals.map((r) => r.v);
+          options = await dataSource.distinctValues(f, 20, scope);
         } else {
           filterType = 'FREETEXT';
-          const topQuery = `SELECT CAST(\`${columnName}\` AS STRING) AS v, COUNT(1) AS c FROM ${qualified} WHERE \`${columnName}\` IS NOT NULL GROUP BY v ORDER BY c DESC LIMIT 10`;
-          const [vals] = await bigquery.query({ query: topQuery });
-          options = vals.map((r) => r.v);
+          options = await dataSource.topValues(f, 10, scope);
         }
       } else {
         filterType = 'FREETEXT';
@@ -77,16 +108,24 @@ async function generateFilterConfig(bigquery, projectId, datasetId, tableId, sch
       options = options;
     }
 
+    // Mandatory options come first (in their configured order), followed by the discovered ones
+    const mandatory = entry ? entry.mandatoryOptions : [];
+    if (mandatory.length) {
+      options = [...mandatory, ...(options || []).filter((o) => !mandatory.includes(o))];
+    }
+
     if (!options || options.length === 0) {
       options = ['Empty', 'Not Empty'];
     }
 
-    config.push({ columnName, filterType, options });
+    const item = { columnName, filterType, options, tags };
+    if (repeated) item.repeated = true;
+    if (stats) item.stats = stats;
+    if (extent) item.extent = extent;
+    config.push(item);
   }
 
   return config;
 }
 
 module.exports = { generateFilterConfigFromSchema, generateFilterConfig };
-
-
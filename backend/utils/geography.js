@@ -0,0 +1,121 @@
+// GEOGRAPHY values and the geometry of GEO filters
+// - GEO filter values are plain numbers in latitude, longitude order:
+//     within radius   [lat, lng, meters]
+//     within box      [south, west, north, east]
+//     within polygon  [lat1, lng1, lat2, lng2, lat3, lng3, ...] (3+ vertices, ring closed automatically)
+// - Cells may be WKT strings ('POINT(13.4 52.5)'), BigQuery Geography wrappers ({ value: WKT }),
+//   GeoJSON Points or { lat, lng } / { latitude, longitude } objects
+// - BigQuery evaluates boxes and polygons with geodesic edges; in-memory matching (JSON pages) treats
+//   edges as straight lines in latitude/longitude and only matches points. The two agree except near
+//   the edges of very large areas. Boxes must not cross the antimeridian (west < east).
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const WKT_POINT = /^\s*POINT\s*\(\s*(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s+(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s*\)\s*$/i;
+const WKT_SHAPE = /^\s*(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\b/i;
+
+const isLatitude = (v) => typeof v === 'number' && v >= -90 && v <= 90;
+const isLongitude = (v) => typeof v === 'number' && v >= -180 && v <= 180;
+
+// { lat, lng } of a point cell, null for empty cells and non-point shapes
+function parsePoint(value) {
+  if (value == null) return null;
+  if (typeof value === 'string') {
+    const m = WKT_POINT.exec(value);
+    return m ? { lng: Number(m[1]), lat: Number(m[2]) } : null;
+  }
+  if (typeof value !== 'object') return null;
+  if (value.value != null) return parsePoint(value.value);
+  if (value.type === 'Point' && Array.isArray(value.coordinates)) return { lng: Number(value.coordinates[0]), lat: Number(value.coordinates[1]) };
+  const lat = value.lat != null ? value.lat : value.latitude;
+  const lng = value.lng != null ? value.lng : value.longitude;
+  return lat != null && lng != null ? { lat: Number(lat), lng: Number(lng) } : null;
+}
+
+// True for values that look like a geography (used by JSON schema inference)
+function looksLikeGeography(value) {
+  if (typeof value === 'string') return WKT_SHAPE.test(value);
+  return Boolean(value) && typeof value === 'object' && typeof value.type === 'string' && Array.isArray(value.coordinates);
+}
+
+// Great-circle distance (haversine) in meters
+function distanceMeters(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Closed ring of { lat, lng } vertices for a box or polygon condition
+function conditionRing(modality, values) {
+  let vertices;
+  if (modality === 'within box') {
+    const [south, west, north, east] = values;
+    vertices = [{ lat: south, lng: west }, { lat: south, lng: east }, { lat: north, lng: east }, { lat: north, lng: west }];
+  } else {
+    vertices = [];
+    for (let i = 0; i + 1 < values.length; i += 2) vertices.push({ lat: values[i], lng: values[i + 1] });
+  }
+  return [...vertices, vertices[0]];
+}
+
+// GeoJSON Polygon for a ring (BigQuery ST_GEOGFROMGEOJSON)
+function ringGeoJson(ring) {
+  return JSON.stringify({ type: 'Polygon', coordinates: [ring.map((p) => [p.lng, p.lat])] });
+}
+
+// Even-odd ray casting in latitude/longitude
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i, i += 1) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) && point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng) inside = !inside;
+  }
+  return inside;
+}
+
+// Problems with a GEO condition's (numeric) values: [message] (empty when valid)
+function geoValueProblems(modality, values) {
+  const problems = [];
+  const pairs = [];
+  if (modality === 'within radius') {
+    pairs.push([values[0], values[1]]);
+    if (!(values[2] > 0)) problems.push('Radius must be a positive number of meters');
+  } else if (modality === 'within box') {
+    const [south, west, north, east] = values;
+    pairs.push([south, west], [north, east]);
+    if (south >= north) problems.push('Box south latitude must be below its north latitude');
+    if (west >= east) problems.push('Box west longitude must be below its east longitude');
+  } else if (modality === 'within polygon') {
+    if (values.length % 2 !== 0 || values.length < 6) problems.push('Polygon needs at least 3 vertices given as latitude, longitude pairs');
+    for (let i = 0; i + 1 < values.length; i += 2) pairs.push([values[i], values[i + 1]]);
+  }
+  if (pairs.some(([lat, lng]) => !isLatitude(lat) || !isLongitude(lng))) {
+    problems.push('Coordinates must be latitudes in [-90, 90] and longitudes in [-180, 180]');
+  }
+  return problems;
+}
+
+// Bounding box of point values: { south, west, north, east }, null when there are none
+function pointExtent(values) {
+  const points = values.map(parsePoint).filter(Boolean);
+  if (!points.length) return null;
+  return points.reduce((box, p) => ({
+    south: Math.min(box.south, p.lat),
+    west: Math.min(box.west, p.lng),
+    north: Math.max(box.north, p.lat),
+    east: Math.max(box.east, p.lng)
+  }), { south: 90, west: 180, north: -90, east: -180 });
+}
+
+module.exports = {
+  parsePoint,
+  looksLikeGeography,
+  distanceMeters,
+  conditionRing,
+  ringGeoJson,
+  pointInRing,
+  geoValueProblems,
+  pointExtent
+};
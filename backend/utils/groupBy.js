@@ -0,0 +1,96 @@
+// Group-by mode: rows aggregated per distinct combination of one or more columns
+// - groupBy: { columns: [column, ...], metrics: [{ fn: 'count' | 'sum' | 'avg' | 'min' | 'max', column? }] }
+//   count takes no column; the other aggregates need a NUMERIC column (NULLs are ignored, as in SQL)
+// - DATE/DATETIME/TIMESTAMP columns group by calendar day (TIMESTAMPs in the request's time zone),
+//   so a group's drill-down filter ("on <day>") selects exactly its rows
+// - Metrics are keyed 'count' / 'sum(deal_value)' in responses; sort entries may name a group column
+//   or a metric key (default: group columns ascending)
+// - Data sources receive positional aliases (g0.., m0..) in groupBy and sort
+
+const { DATE_TYPES, NUMERIC_COLUMN_TYPES } = require('./filterDefinition');
+
+const MAX_GROUP_COLUMNS = 3;
+const MAX_METRICS = 10;
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+const UNGROUPABLE_TYPES = ['RECORD', 'STRUCT', 'GEOGRAPHY', 'JSON'];
+
+const metricKey = ({ fn, column }) => (fn === 'count' ? 'count' : `${fn}(${column})`);
+
+// Returns { groupBy, errors } with errors shaped like sort errors ({ column, code, message })
+// - fields: the columns the caller may group and aggregate by (visible, unmasked)
+// - groupBy.columns: [{ column, alias, fieldType, timeZone }], groupBy.metrics: [{ key, alias, fn, column }]
+function validateGroupBy(fields, groupBy, { timeZone }) {
+  const errors = [];
+  const fail = (column, code, message) => errors.push({ column, code, message });
+  const columns = groupBy && groupBy.columns;
+  if (!Array.isArray(columns) || !columns.length || columns.length > MAX_GROUP_COLUMNS) {
+    fail(null, 'INVALID_GROUP_BY', `groupBy.columns must list 1 to ${MAX_GROUP_COLUMNS} columns`);
+    return { groupBy: null, errors };
+  }
+  const metrics = groupBy.metrics == null ? [{ fn: 'count' }] : groupBy.metrics;
+  if (!Array.isArray(metrics) || !metrics.length || metrics.length > MAX_METRICS) {
+    fail(null, 'INVALID_GROUP_BY', `groupBy.metrics must list 1 to ${MAX_METRICS} metrics`);
+    return { groupBy: null, errors };
+  }
+  const fieldByName = new Map(fields.map((f) => [f.name, f]));
+  const typeOf = (f) => String(f.type || '').toUpperCase();
+
+  const resolvedColumns = [];
+  columns.forEach((column) => {
+    const field = fieldByName.get(column);
+    if (!field) fail(column || null, 'UNKNOWN_COLUMN', `Cannot group by unknown column: ${column}`);
+    else if (UNGROUPABLE_TYPES.includes(typeOf(field)) || field.arrayPath) fail(column, 'UNGROUPABLE_COLUMN', `Column ${column} cannot be grouped by`);
+    else if (!resolvedColumns.some((c) => c.column === column)) {
+      const fieldType = typeOf(field);
+      resolvedColumns.push({ column, alias: `g${resolvedColumns.length}`, fieldType, timeZone: fieldType === 'TIMESTAMP' ? timeZone : null });
+    }
+  });
+
+  const resolvedMetrics = [];
+  metrics.forEach((metric) => {
+    const fn = String((metric && metric.fn) || '').toLowerCase();
+    const column = fn === 'count' ? null : metric && metric.column;
+    const field = column ? fieldByName.get(column) : null;
+    if (!AGGREGATES.includes(fn)) fail(column || null, 'UNSUPPORTED_AGGREGATE', `Aggregate must be one of: ${AGGREGATES.join(', ')}`);
+    else if (fn !== 'count' && !field) fail(column || null, 'UNKNOWN_COLUMN', `Cannot aggregate unknown column: ${column}`);
+    else if (fn !== 'count' && (!NUMERIC_COLUMN_TYPES.includes(typeOf(field)) || field.arrayPath)) {
+      fail(column, 'TYPE_MISMATCH', `${fn} needs a numeric column, ${column} is ${field.type}`);
+    } else if (!resolvedMetrics.some((m) => m.key === metricKey({ fn, column }))) {
+      resolvedMetrics.push({ key: metricKey({ fn, column }), alias: `m${resolvedMetrics.length}`, fn, column });
+    }
+  });
+  return { groupBy: errors.length ? null : { columns: resolvedColumns, metrics: resolvedMetrics }, errors };
+}
+
+// Sort for group mode: [{ column: group column or metric key, direction }] -> { sort, aliasSort, errors }
+// - aliasSort is what the data source orders by ([{ column: 'g0' | 'm1', direction }])
+function resolveGroupSort(groupBy, sort) {
+  const errors = [];
+  const aliasByKey = new Map([...groupBy.columns.map((c) => [c.column, c.alias]), ...groupBy.metrics.map((m) => [m.key, m.alias])]);
+  const requested = Array.isArray(sort) && sort.length ? sort : groupBy.columns.map((c) => ({ column: c.column, direction: 'asc' }));
+  const resolved = [];
+  requested.forEach((entry) => {
+    const column = entry && entry.column;
+    const direction = String((entry && entry.direction) || 'asc').toLowerCase();
+    if (!aliasByKey.has(column)) errors.push({ column: column || null, code: 'UNKNOWN_COLUMN', message: `Grouped rows can only be sorted by a group column or metric, got: ${column}` });
+    else if (!['asc', 'desc'].includes(direction)) errors.push({ column, code: 'INVALID_DIRECTION', message: `Sort direction must be asc or desc, got: ${entry.direction}` });
+    else if (!resolved.some((s) => s.column === column)) resolved.push({ column, direction });
+  });
+  // Group columns break ties so every page of groups is deterministic
+  groupBy.columns.forEach((c) => { if (!resolved.some((s) => s.column === c.column)) resolved.push({ column: c.column, direction: 'asc' }); });
+  return { sort: resolved, aliasSort: resolved.map((s) => ({ column: aliasByKey.get(s.column), direction: s.direction })), errors };
+}
+
+// User filter definition selecting one group's rows: { [column]: condition }
+function groupDrillDown(groupBy, key) {
+  return Object.fromEntries(groupBy.columns.map(({ column, fieldType }) => {
+    const value = key[column];
+    if (value == null || value === '') return [column, { type: 'LIST', modality: 'is empty', values: [] }];
+    if (DATE_TYPES.includes(fieldType)) return [column, { type: 'DATE', modality: 'on', values: [value] }];
+    if (NUMERIC_COLUMN_TYPES.includes(fieldType)) return [column, { type: 'NUMERIC', modality: 'equals', values: [value] }];
+    if (fieldType === 'BOOL' || fieldType === 'BOOLEAN') return [column, { type: 'BOOLEAN', modality: 'is', values: [value] }];
+    return [column, { type: 'LIST', modality: 'is', values: [String(value)] }];
+  }));
+}
+
+module.exports = { MAX_GROUP_COLUMNS, AGGREGATES, validateGroupBy, resolveGroupSort, groupDrillDown };
@@ -0,0 +1,65 @@
+// Minimal JSON Schema (draft-07 subset) validator for the schemas in backend/schemas/
+// Supported keywords: type, enum, required, properties, additionalProperties (boolean or schema), items,
+// pattern, minLength, maxLength, minItems, maxItems, minimum, $ref (local "#/definitions/...")
+// Returns [{ path, code: 'SCHEMA_VIOLATION', message }] (empty when valid)
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+}
+
+function validateNode(root, schema, value, path, errors) {
+  const fail = (message) => errors.push({ path, code: 'SCHEMA_VIOLATION', message });
+  if (schema.$ref) return validateNode(root, resolveRef(root, schema.$ref), value, path, errors);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) return fail(`Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) return fail(`Must be one of: ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) fail(`Must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) fail(`Must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`Must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number' && schema.minimum != null && value < schema.minimum) fail(`Must be >= ${schema.minimum}`);
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`Must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) fail(`Must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => validateNode(root, schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, code: 'SCHEMA_VIOLATION', message: 'Is required' });
+    });
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) validateNode(root, properties[key], child, `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, code: 'SCHEMA_VIOLATION', message: 'Unknown property' });
+      else if (typeOf(schema.additionalProperties) === 'object') validateNode(root, schema.additionalProperties, child, `${path}.${key}`, errors);
+    });
+  }
+  return undefined;
+}
+
+function validateJsonSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, schema, value, '$', errors);
+  return errors;
+}
+
+module.exports = { validateJsonSchema };
@@ -0,0 +1,54 @@
+// Local JWT verification (no network calls, no extra dependencies)
+// - HS256/384/512 with a shared secret, RS256/384/512 with a PEM public key
+// - Checks exp / nbf (with clock tolerance) and, when configured, iss / aud
+// Returns { payload } or { error } (error is a short reason safe to log, not to return to clients)
+
+const crypto = require('crypto');
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const RSA_ALGORITHMS = { RS256: 'RSA-SHA256', RS384: 'RSA-SHA384', RS512: 'RSA-SHA512' };
+const DEFAULT_CLOCK_TOLERANCE_SECONDS = 30;
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function verifySignature(alg, signingInput, signature, { secret, publicKey }) {
+  if (HMAC_ALGORITHMS[alg]) {
+    if (!secret) return false;
+    const expected = crypto.createHmac(HMAC_ALGORITHMS[alg], secret).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  if (RSA_ALGORITHMS[alg]) {
+    if (!publicKey) return false;
+    return crypto.createVerify(RSA_ALGORITHMS[alg]).update(signingInput).verify(publicKey, signature);
+  }
+  return false;
+}
+
+function verifyJwt(token, { secret = null, publicKey = null, issuer = null, audience = null, clockToleranceSeconds = DEFAULT_CLOCK_TOLERANCE_SECONDS } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return { error: 'malformed token' };
+  const header = decodeSegment(parts[0]);
+  const payload = decodeSegment(parts[1]);
+  if (!header || !payload || typeof payload !== 'object') return { error: 'malformed token' };
+  // The algorithm is pinned by which key is configured, so "none" or HS-with-public-key tricks fail here
+  if (!verifySignature(header.alg, `${parts[0]}.${parts[1]}`, Buffer.from(parts[2], 'base64url'), { secret, publicKey })) {
+    return { error: `invalid signature (alg ${header.alg})` };
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && now > payload.exp + clockToleranceSeconds) return { error: 'token expired' };
+  if (typeof payload.nbf === 'number' && now + clockToleranceSeconds < payload.nbf) return { error: 'token not yet valid' };
+  if (issuer && payload.iss !== issuer) return { error: 'unexpected issuer' };
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) return { error: 'unexpected audience' };
+  }
+  return { payload };
+}
+
+module.exports = { verifyJwt };
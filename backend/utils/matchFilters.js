@@ -0,0 +1,128 @@
+// In-memory evaluation of saved + user filter conditions
+// - Mirrors the semantics of compileFilterSql so JSON-backed pages filter like BigQuery ones
+// - Dates are compared on their calendar day in the condition's time zone (same as BigQuery DATE(ts, tz))
+// - GEO conditions match point cells only (see utils/geography.js for the in-memory approximations)
+
+const { EMPTY, NOT_EMPTY } = require('./filterDefinition');
+const { DEFAULT_TIME_ZONE, dayKeyInZone, resolveRelativeDate } = require('./relativeDates');
+const { readColumn } = require('./columnPaths');
+const { parsePoint, distanceMeters, conditionRing, pointInRing } = require('./geography');
+
+function isEmptyValue(value) {
+  return value == null || String(value) === '';
+}
+
+// Convert a Date/ISO string/BigQuery date wrapper into a YYYY-MM-DD key
+// - Plain dates are taken as-is; instants are mapped to their calendar day in timeZone (UTC by default)
+function toDateKey(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (value == null || value === '') return null;
+  const raw = typeof value === 'object' && value.value != null ? value.value : value;
+  if (typeof raw === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? null : dayKeyInZone(d, timeZone);
+}
+
+// Text modalities shared by FREETEXT and LIST (case-insensitive)
+function matchText(cell, modality, value) {
+  if (cell == null) return false; // NULL never matches LIKE/=
+  const hay = String(cell).toLowerCase();
+  const needle = String(value).toLowerCase();
+  if (modality === 'exact') return hay === needle;
+  if (modality === 'starts with') return hay.startsWith(needle);
+  return hay.includes(needle);
+}
+
+// Build a predicate over one cell value for a condition (null when it is a no-op)
+function buildValueMatcher({ filter, fieldType, timeZone, range, threshold }) {
+  const { type, modality, values } = filter;
+
+  if (modality === EMPTY) return (cell) => isEmptyValue(cell);
+  if (modality === NOT_EMPTY) return (cell) => !isEmptyValue(cell);
+
+  if (type === 'LIST' && modality === 'is') {
+    const allowed = new Set(values.map(String));
+    return (cell) => cell != null && allowed.has(String(cell));
+  }
+  if (type === 'LIST' || type === 'FREETEXT') return (cell) => matchText(cell, modality, values[0]);
+  if (type === 'BOOLEAN') return (cell) => cell != null && Boolean(cell) === values[0];
+  if (type === 'NUMERIC') {
+    const [v0, v1] = values;
+    const num = (cell) => (cell == null ? NaN : Number(cell));
+    if (modality === 'top' || modality === 'bottom') {
+      if (threshold == null) return () => false;
+      return modality === 'top' ? (cell) => num(cell) >= threshold : (cell) => num(cell) <= threshold;
+    }
+    if (modality === 'greater than') return (cell) => num(cell) > v0;
+    if (modality === 'less than') return (cell) => num(cell) < v0;
+    if (modality === 'between') return (cell) => num(cell) >= v0 && num(cell) <= v1;
+    return (cell) => num(cell) === v0; // equals
+  }
+  if (type === 'DATE') {
+    const [from, to] = modality === 'relative' ? range || resolveRelativeDate(values[0], { timeZone }) : values;
+    const zone = fieldType === 'TIMESTAMP' ? timeZone : undefined; // DATE/DATETIME values are civil days already
+    const day = (cell) => toDateKey(cell, zone);
+    if (modality === 'before') return (cell) => day(cell) != null && day(cell) < from;
+    if (modality === 'after') return (cell) => day(cell) != null && day(cell) > from;
+    if (modality === 'between' || modality === 'relative') return (cell) => day(cell) != null && day(cell) >= from && day(cell) <= to;
+    return (cell) => day(cell) === from; // on
+  }
+  if (type === 'GEO') {
+    if (modality === 'within radius') {
+      const [lat, lng, meters] = values;
+      return (cell) => { const p = parsePoint(cell); return p != null && distanceMeters(p, { lat, lng }) <= meters; };
+    }
+    if (modality === 'within box') {
+      const [south, west, north, east] = values;
+      return (cell) => { const p = parsePoint(cell); return p != null && p.lat >= south && p.lat <= north && p.lng >= west && p.lng <= east; };
+    }
+    const ring = conditionRing(modality, values);
+    return (cell) => { const p = parsePoint(cell); return p != null && pointInRing(p, ring); };
+  }
+  return null;
+}
+
+// Build a row predicate for one canonical condition (null when it is a no-op)
+// - Repeated columns match when any element matches ("contains all": every listed value is present);
+//   Empty means the array has no non-empty element, mirroring compileFilterSql
+function buildMatcher(leaf) {
+  const { column, filter, repeated } = leaf;
+  if (!repeated) {
+    const match = buildValueMatcher(leaf);
+    return match && ((row) => match(readColumn(row, column)));
+  }
+  const ref = { name: column, ...repeated };
+  const { modality, values } = filter;
+  if (modality === EMPTY) return (row) => readColumn(row, ref).every(isEmptyValue);
+  if (modality === NOT_EMPTY) return (row) => !readColumn(row, ref).every(isEmptyValue);
+  if (modality === 'contains all') {
+    return (row) => {
+      const present = new Set(readColumn(row, ref).filter((v) => v != null).map(String));
+      return values.every((v) => present.has(String(v)));
+    };
+  }
+  const match = buildValueMatcher(modality === 'contains any' ? { ...leaf, filter: { ...filter, modality: 'is' } } : leaf);
+  return match && ((row) => readColumn(row, ref).some(match));
+}
+
+// Build a row predicate for a tree node (group or leaf); null when it is a no-op
+function buildNodeMatcher(node) {
+  let match;
+  if (node.conditions) {
+    const children = node.conditions.map(buildNodeMatcher).filter(Boolean);
+    if (!children.length) return null;
+    match = node.op === 'OR' ? (row) => children.some((m) => m(row)) : (row) => children.every((m) => m(row));
+  } else {
+    match = buildMatcher(node);
+    if (!match) return null;
+  }
+  return node.not ? (row) => !match(row) : match;
+}
+
+// Compose a single row predicate from a canonical filter tree
+// - where: canonical tree from buildFilterConditions (leaves are two-valued, so NOT matches SQL's NOT COALESCE)
+function buildRowMatcher(where) {
+  const match = where ? buildNodeMatcher(where) : null;
+  return match || (() => true);
+}
+
+module.exports = { buildRowMatcher, toDateKey };
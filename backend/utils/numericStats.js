@@ -0,0 +1,97 @@
+// Numeric column statistics (min/max/percentiles/histogram) and percentile filter thresholds
+// - Data sources return stats from numericStats(column, { where, bins }) in the shape built here:
+//   { count, min, max, percentiles: [p0 .. p100] (101 values), histogram: [{ from, to, count }] }
+// - "top N%" keeps values >= the (100 - N)th percentile, "bottom N%" values <= the Nth percentile;
+//   percentiles are taken over the page's rows (tenant scope only), not over the other filters
+
+const HISTOGRAM_BINS = 20;
+
+// Equal-width bins covering [min, max]; a constant column gets a single bin
+function histogramBounds(min, max, bins = HISTOGRAM_BINS) {
+  if (min == null || max == null) return [];
+  if (max === min) return [{ from: min, to: max }];
+  const width = (max - min) / bins;
+  return Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: i === bins - 1 ? max : min + (i + 1) * width }));
+}
+
+// Bin index of a value (the last bin is closed on the right)
+function binIndex(value, min, max, bins) {
+  if (max === min) return 0;
+  return Math.min(bins - 1, Math.floor(((value - min) / (max - min)) * bins));
+}
+
+// Linear-interpolated percentile of sorted numbers
+function percentileOfSorted(sorted, percent) {
+  if (!sorted.length) return null;
+  const pos = (percent / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Exact stats from in-memory values (JSON data source)
+function computeNumericStats(values, bins = HISTOGRAM_BINS) {
+  const sorted = values.filter((v) => v != null && v !== '').map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return { count: 0, min: null, max: null, percentiles: [], histogram: [] };
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const histogram = histogramBounds(min, max, bins).map((b) => ({ ...b, count: 0 }));
+  sorted.forEach((v) => { histogram[binIndex(v, min, max, histogram.length)].count += 1; });
+  return {
+    count: sorted.length,
+    min,
+    max,
+    percentiles: Array.from({ length: 101 }, (_, p) => percentileOfSorted(sorted, p)),
+    histogram
+  };
+}
+
+// Value at a (possibly fractional) percent from the 101-point percentile table
+function percentileValue(stats, percent) {
+  if (!stats || !stats.count) return null;
+  return percentileOfSorted(stats.percentiles, Math.max(0, Math.min(100, percent)));
+}
+
+// Threshold for a top/bottom N% condition (null when the column has no values)
+function percentileThreshold(stats, modality, percent) {
+  return percentileValue(stats, modality === 'top' ? 100 - percent : percent);
+}
+
+// Set `threshold` on every top/bottom NUMERIC leaf of a canonical filter tree
+// - loadStats(column) resolves to the column's stats (callers cache it)
+async function annotatePercentileThresholds(where, loadStats) {
+  const leaves = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.conditions) node.conditions.forEach(walk);
+    else if (node.filter.type === 'NUMERIC' && ['top', 'bottom'].includes(node.filter.modality)) leaves.push(node);
+  };
+  walk(where);
+  for (const leaf of leaves) {
+    leaf.threshold = percentileThreshold(await loadStats(leaf.column), leaf.filter.modality, leaf.filter.values[0]);
+  }
+  return where;
+}
+
+// Compact summary for the filter config (frontend histogram + range slider)
+function summarizeNumericStats(stats, { integer = false } = {}) {
+  const at = (p) => percentileValue(stats, p);
+  return {
+    count: stats.count,
+    min: stats.min,
+    max: stats.max,
+    integer,
+    quantiles: stats.count ? { p10: at(10), p25: at(25), p50: at(50), p75: at(75), p90: at(90) } : null,
+    histogram: stats.histogram
+  };
+}
+
+module.exports = {
+  HISTOGRAM_BINS,
+  histogramBounds,
+  binIndex,
+  computeNumericStats,
+  percentileThreshold,
+  annotatePercentileThresholds,
+  summarizeNumericStats
+};
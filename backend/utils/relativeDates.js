@@ -0,0 +1,159 @@
+// Relative date engine shared by the SQL compiler, the in-memory matcher and the filter validator
+//
+// Tokens (case-insensitive; "previous" is accepted for "last", singular/plural units both work):
+//   today | yesterday | tomorrow
+//   this|last|next <unit>            a whole calendar period: current, previous or following
+//   <unit> to date                   start of the current period through today
+//   last|next N <unit>s              rolling: N units back from / ahead of today, today included
+//   last|next N calendar <unit>s     the N whole calendar periods before / after the current one
+// Units: day, week (ISO, Monday first), month, quarter, year
+//
+// Tokens resolve to an inclusive [from, to] range of YYYY-MM-DD day keys, with "today" taken in the
+// requested IANA time zone; TIMESTAMP values are mapped to days in that same zone before comparing.
+
+const UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+const MAX_AMOUNT = 1000;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Suggested tokens for filter options, by whether a column's data lies in the past or the future
+const PAST_PRESETS = ['today', 'yesterday', 'last 7 days', 'last 30 days', 'this week', 'last week', 'this month', 'last month',
+  'this quarter', 'last quarter', 'this year', 'last year'];
+const FUTURE_PRESETS = ['today', 'tomorrow', 'next 7 days', 'next 30 days', 'this week', 'next week', 'this month', 'next month',
+  'this quarter', 'next quarter'];
+
+const UNIT_PATTERN = '(day|week|month|quarter|year)s?';
+const PERIOD = new RegExp(`^(this|last|next) ${UNIT_PATTERN}$`);
+const TO_DATE = new RegExp(`^${UNIT_PATTERN} to date$`);
+const RANGE = new RegExp(`^(last|next) (\\d+) (calendar )?${UNIT_PATTERN}$`);
+
+const formatterCache = new Map();
+function dayFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    // en-CA formats as YYYY-MM-DD
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    dayFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Day key of an instant in a time zone
+function dayKeyInZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  return dayFormatter(timeZone).format(date);
+}
+
+// Canonical spelling of a token, or null when it is not a relative date
+function normalizeRelativeDate(token) {
+  if (typeof token !== 'string') return null;
+  const t = token.trim().toLowerCase().replace(/\s+/g, ' ').replace(/^previous /, 'last ');
+  if (['today', 'yesterday', 'tomorrow'].includes(t)) return t;
+  let m = PERIOD.exec(t);
+  if (m) return `${m[1]} ${m[2]}`;
+  m = TO_DATE.exec(t);
+  if (m) return m[1] === 'day' ? 'today' : `${m[1]} to date`;
+  m = RANGE.exec(t);
+  if (m) {
+    const n = Number(m[2]);
+    if (n < 1 || n > MAX_AMOUNT) return null;
+    return `${m[1]} ${n} ${m[3] || ''}${m[4]}${n === 1 ? '' : 's'}`;
+  }
+  return null;
+}
+
+// --- calendar arithmetic on UTC dates standing for civil days ---
+const fromKey = (key) => new Date(`${key}T00:00:00Z`);
+const toKey = (d) => d.toISOString().slice(0, 10);
+
+function addUnits(d, unit, n) {
+  const r = new Date(d.getTime());
+  if (unit === 'day') r.setUTCDate(r.getUTCDate() + n);
+  else if (unit === 'week') r.setUTCDate(r.getUTCDate() + 7 * n);
+  else {
+    const months = unit === 'month' ? n : unit === 'quarter' ? 3 * n : 12 * n;
+    const day = r.getUTCDate();
+    r.setUTCDate(1);
+    r.setUTCMonth(r.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(r.getUTCFullYear(), r.getUTCMonth() + 1, 0)).getUTCDate();
+    r.setUTCDate(Math.min(day, lastDay)); // Jan 31 + 1 month -> Feb 28/29
+  }
+  return r;
+}
+
+function periodStart(d, unit) {
+  const y = d.getUTCFullYear();
+  const mo = d.getUTCMonth();
+  if (unit === 'day') return new Date(d.getTime());
+  if (unit === 'week') return addUnits(d, 'day', -((d.getUTCDay() + 6) % 7));
+  if (unit === 'month') return new Date(Date.UTC(y, mo, 1));
+  if (unit === 'quarter') return new Date(Date.UTC(y, mo - (mo % 3), 1));
+  return new Date(Date.UTC(y, 0, 1));
+}
+
+// Inclusive [from, to] day keys for a token, or null when the token is not valid
+function resolveRelativeDate(token, { now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const canonical = normalizeRelativeDate(token);
+  if (!canonical) return null;
+  const today = fromKey(dayKeyInZone(now, timeZone));
+  const range = (a, b) => [toKey(a), toKey(b)];
+  const dayBefore = (d) => addUnits(d, 'day', -1);
+
+  if (canonical === 'today') return range(today, today);
+  if (canonical === 'yesterday') return range(dayBefore(today), dayBefore(today));
+  if (canonical === 'tomorrow') return range(addUnits(today, 'day', 1), addUnits(today, 'day', 1));
+
+  let m = PERIOD.exec(canonical);
+  if (m) {
+    const shift = { this: 0, last: -1, next: 1 }[m[1]];
+    const start = addUnits(periodStart(today, m[2]), m[2], shift);
+    return range(start, dayBefore(addUnits(start, m[2], 1)));
+  }
+  m = TO_DATE.exec(canonical);
+  if (m) return range(periodStart(today, m[1]), today);
+
+  m = RANGE.exec(canonical);
+  const [, direction, amount, calendar, unit] = m;
+  const n = Number(amount);
+  if (!calendar) {
+    return direction === 'last' ? range(addUnits(today, unit, -n), today) : range(today, addUnits(today, unit, n));
+  }
+  const current = periodStart(today, unit);
+  if (direction === 'last') return range(addUnits(current, unit, -n), dayBefore(current));
+  return range(addUnits(current, unit, 1), dayBefore(addUnits(current, unit, n + 1)));
+}
+
+// Machine-readable summary for GET /api/filters/schema
+function describeRelativeDates() {
+  return {
+    units: UNITS,
+    maxAmount: MAX_AMOUNT,
+    pastPresets: PAST_PRESETS,
+    futurePresets: FUTURE_PRESETS,
+    grammar: [
+      'today | yesterday | tomorrow',
+      'this|last|next <unit>',
+      '<unit> to date',
+      'last|next N <unit>s',
+      'last|next N calendar <unit>s'
+    ]
+  };
+}
+
+module.exports = {
+  UNITS,
+  DEFAULT_TIME_ZONE,
+  PAST_PRESETS,
+  FUTURE_PRESETS,
+  isValidTimeZone,
+  dayKeyInZone,
+  normalizeRelativeDate,
+  resolveRelativeDate,
+  describeRelativeDates
+};
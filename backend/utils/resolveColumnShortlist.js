@@ -0,0 +1,20 @@
+// Effective column shortlist for one company: global entries with the company's entries layered on top
+// - Returns Map columnName -> { displayName?, tags: [], filterType?, mandatoryOptions: [] }
+
+const { columnShortlist } = require('../columnShortlist');
+
+function resolveColumnShortlist(companyId = null, shortlist = columnShortlist) {
+  const merged = new Map();
+  const layers = [shortlist.global || [], (companyId && (shortlist.companies || {})[companyId]) || []];
+  layers.forEach((entries) => entries.forEach(({ columnName, ...entry }) => {
+    merged.set(columnName, { ...(merged.get(columnName) || {}), ...entry });
+  }));
+  return new Map([...merged.entries()].map(([columnName, entry]) => [columnName, {
+    displayName: entry.displayName,
+    tags: entry.tag ? [entry.tag] : [],
+    filterType: entry.filterType,
+    mandatoryOptions: entry.mandatoryOptions || []
+  }]));
+}
+
+module.exports = { resolveColumnShortlist };
@@ -0,0 +1,60 @@
+// Sort resolution: validates a requested sort against the schema and picks the effective order
+// - sort: [{ column, direction: 'asc' | 'desc' }] (first entry is the primary key)
+// - Precedence: request sort > saved filter sort > page default sort
+
+const MAX_SORT_KEYS = 5;
+const UNSORTABLE_TYPES = ['RECORD', 'STRUCT', 'GEOGRAPHY', 'JSON'];
+
+// Returns { sort, errors } with errors shaped like filter errors ({ column, code, message })
+function validateSort(fields, sort) {
+  const errors = [];
+  if (sort == null) return { sort: [], errors };
+  if (!Array.isArray(sort)) {
+    errors.push({ column: null, code: 'INVALID_SORT', message: 'sort must be an array of { column, direction }' });
+    return { sort: [], errors };
+  }
+  if (sort.length > MAX_SORT_KEYS) {
+    errors.push({ column: null, code: 'INVALID_SORT', message: `At most ${MAX_SORT_KEYS} sort columns are allowed` });
+    return { sort: [], errors };
+  }
+  const fieldByName = new Map(fields.map((f) => [f.name, f]));
+  const seen = new Set();
+  const resolved = [];
+  for (const entry of sort) {
+    const column = entry && entry.column;
+    const direction = String((entry && entry.direction) || 'asc').toLowerCase();
+    const field = fieldByName.get(column);
+    if (!field) {
+      errors.push({ column: column || null, code: 'UNKNOWN_COLUMN', message: `Cannot sort by unknown column: ${column}` });
+    } else if (UNSORTABLE_TYPES.includes(String(field.type).toUpperCase()) || field.mode === 'REPEATED' || field.arrayPath) {
+      const what = field.arrayPath ? 'Array column' : `Column of type ${field.type}`;
+      errors.push({ column, code: 'UNSORTABLE_COLUMN', message: `${what} cannot be sorted` });
+    } else if (!['asc', 'desc'].includes(direction)) {
+      errors.push({ column, code: 'INVALID_DIRECTION', message: `Sort direction must be asc or desc, got: ${entry.direction}` });
+    } else if (!seen.has(column)) {
+      seen.add(column);
+      resolved.push({ column, direction });
+    }
+  }
+  return { sort: resolved, errors };
+}
+
+// Pick the effective sort for a request; config-provided sorts that fail validation are dropped with errors
+// - requestFields (optional): the subset of fields the caller may sort by (column access rules)
+function resolveSort(fields, { requested, savedFilter, page, requestFields = fields }) {
+  const request = validateSort(requestFields, requested);
+  const saved = validateSort(fields, savedFilter && savedFilter.sort);
+  const fallback = validateSort(fields, page && page.defaultSort);
+  let sort = fallback.sort;
+  let source = 'page';
+  if (saved.sort.length) { sort = saved.sort; source = 'savedFilter'; }
+  if (request.sort.length) { sort = request.sort; source = 'request'; }
+  return {
+    sort,
+    source,
+    errors: request.errors,
+    configErrors: [...saved.errors, ...fallback.errors]
+  };
+}
+
+module.exports = { resolveSort, validateSort };
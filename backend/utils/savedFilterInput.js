@@ -0,0 +1,53 @@
+// Validation of user-supplied saved filter (view) fields against a page's schema
+// - input: { displayName, visibility, filterDefinition, sort, columns }
+// - partial: true for updates (only the fields present are checked and returned)
+// Returns { value, errors } with errors shaped like filter errors ({ field, column?, code, message })
+
+const { resolveFilterDefinition } = require('./filterConditions');
+const { validateSort } = require('./resolveSort');
+
+const VISIBILITIES = ['private', 'shared'];
+const MAX_DISPLAY_NAME = 80;
+
+function validateSavedFilterInput(fields, input, { partial = false } = {}) {
+  const src = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+  const has = (key) => src[key] !== undefined || !partial;
+
+  if (has('displayName')) {
+    const name = typeof src.displayName === 'string' ? src.displayName.trim() : '';
+    if (!name || name.length > MAX_DISPLAY_NAME) {
+      errors.push({ field: 'displayName', code: 'INVALID_NAME', message: `displayName must be 1-${MAX_DISPLAY_NAME} characters` });
+    }
+    value.displayName = name;
+  }
+  if (has('visibility')) {
+    const visibility = src.visibility == null ? 'private' : src.visibility;
+    if (!VISIBILITIES.includes(visibility)) {
+      errors.push({ field: 'visibility', code: 'INVALID_VISIBILITY', message: 'visibility must be private or shared' });
+    }
+    value.visibility = visibility;
+  }
+  if (has('filterDefinition')) {
+    const definition = src.filterDefinition || {};
+    resolveFilterDefinition(fields, definition, 'user').errors.forEach((e) => errors.push({ field: 'filterDefinition', ...e }));
+    value.filterDefinition = definition;
+  }
+  if (has('sort')) {
+    const { sort, errors: sortErrors } = validateSort(fields, src.sort);
+    sortErrors.forEach((e) => errors.push({ field: 'sort', ...e }));
+    value.sort = sort;
+  }
+  if (has('columns')) {
+    const known = new Set(fields.map((f) => f.name));
+    const columns = src.columns == null ? null : src.columns;
+    if (columns !== null && (!Array.isArray(columns) || columns.some((c) => !known.has(c)))) {
+      errors.push({ field: 'columns', code: 'INVALID_COLUMNS', message: 'columns must be an array of existing column names' });
+    }
+    value.columns = columns;
+  }
+  return { value, errors };
+}
+
+module.exports = { validateSavedFilterInput };
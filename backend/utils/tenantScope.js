@@ -0,0 +1,32 @@
+// Multi-tenant page access
+// - `companies` (page definition, optional): only these company ids may see the page
+// - `rowScope: { column }` (page definition, optional): every query of the page is restricted to rows
+//   whose column equals the requesting company id; the page is invisible without a company context
+//
+// The row scope is a canonical filter leaf (origin 'tenant') AND-ed into data, count and filter-option
+// queries, so neither saved nor user filters can widen it.
+
+const { resolveFilterDefinition } = require('./filterConditions');
+const { NUMERIC_COLUMN_TYPES } = require('./filterDefinition');
+
+function isPageVisible(cfg, companyId) {
+  if (cfg.rowScope && !companyId) return false;
+  if (Array.isArray(cfg.companies) && cfg.companies.length) return cfg.companies.includes(companyId);
+  return true;
+}
+
+// Returns { where } (null when the page is not row-scoped) or { failure: { status, error } }
+function buildTenantScope(cfg, fields, companyId) {
+  if (!cfg.rowScope) return { where: null };
+  const { column } = cfg.rowScope;
+  const field = fields.find((f) => f.name === column);
+  if (!field) return { failure: { status: 500, error: `Row scope column does not exist: ${column}` } };
+  const condition = NUMERIC_COLUMN_TYPES.includes(String(field.type).toUpperCase())
+    ? { type: 'NUMERIC', modality: 'equals', values: [String(companyId)] }
+    : { type: 'LIST', modality: 'is', values: [String(companyId)] };
+  const { tree, errors } = resolveFilterDefinition(fields, { [column]: condition }, 'tenant');
+  if (errors.length) return { failure: { status: 400, error: 'Company id is not valid for this page' } };
+  return { where: tree };
+}
+
+module.exports = { isPageVisible, buildTenantScope };
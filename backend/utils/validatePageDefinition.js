@@ -0,0 +1,90 @@
+// Page definition validation for the page registry admin API
+// - Structure is checked against schemas/pageDefinition.schema.json
+// - The data source must exist (BigQuery table via the explorer lookup, or a readable JSON file) and every
+//   column referenced by rowKey, rowScope, columnAccess, sorts, summary, saved filters, saved columns and row actions must exist in its schema
+// Returns { errors: [{ path, code, message }], fields } (fields is null when the source could not be read)
+
+const pageDefinitionSchema = require('../schemas/pageDefinition.schema.json');
+const { validateJsonSchema } = require('./jsonSchema');
+const { describeTable } = require('./bigQueryExplorer');
+const { resolveFilterDefinition } = require('./filterConditions');
+const { validateSort } = require('./resolveSort');
+const { createDataSource, resolveDataSourceType } = require('../dataSources');
+const { isValidTimeZone } = require('./relativeDates');
+const { flattenSchema } = require('./columnPaths');
+const { resolveSummary } = require('./columnSummary');
+
+async function loadSourceFields(definition, { bigquery }, fail) {
+  const type = resolveDataSourceType(definition);
+  if (type === 'bigquery') {
+    if (!definition.datasetId || !definition.tableId) {
+      fail('$', 'MISSING_TABLE', 'BigQuery pages need datasetId and tableId');
+      return null;
+    }
+    if (!bigquery) {
+      fail('$', 'SOURCE_UNAVAILABLE', 'BigQuery client not initialized');
+      return null;
+    }
+    const table = await describeTable({ bigquery, datasetId: definition.datasetId, tableId: definition.tableId });
+    if (!table) fail('$.tableId', 'TABLE_NOT_FOUND', `Table not found: ${definition.datasetId}.${definition.tableId}`);
+    return table ? table.fields : null;
+  }
+  if (!definition.dataSource.file) {
+    fail('$.dataSource.file', 'MISSING_FILE', 'JSON pages need dataSource.file');
+    return null;
+  }
+  try {
+    return await createDataSource(definition, { bigquery }).getSchema();
+  } catch (e) {
+    fail('$.dataSource.file', 'SOURCE_UNREADABLE', `Cannot read JSON data source: ${e.message}`);
+    return null;
+  }
+}
+
+async function validatePageDefinition(definition, { bigquery }) {
+  const errors = validateJsonSchema(pageDefinitionSchema, definition);
+  if (errors.length) return { errors, fields: null };
+  const fail = (path, code, message) => errors.push({ path, code, message });
+  if (definition.timeZone && !isValidTimeZone(definition.timeZone)) {
+    fail('$.timeZone', 'INVALID_TIME_ZONE', `Unknown time zone: ${definition.timeZone}`);
+  }
+
+  const sourceFields = await loadSourceFields(definition, { bigquery }, fail);
+  if (!sourceFields) return { errors, fields: null };
+  const fields = flattenSchema(sourceFields);
+  const known = new Set(fields.map((f) => f.name));
+  // Column access rules may also target a whole RECORD ('address' covers 'address.city')
+  const knownPrefixes = new Set(fields.flatMap((f) => f.path.map((_, i) => f.path.slice(0, i + 1).join('.'))));
+
+  if (definition.rowKey && !known.has(definition.rowKey)) fail('$.rowKey', 'UNKNOWN_COLUMN', `Column does not exist: ${definition.rowKey}`);
+  if (definition.rowScope && !known.has(definition.rowScope.column)) {
+    fail('$.rowScope.column', 'UNKNOWN_COLUMN', `Column does not exist: ${definition.rowScope.column}`);
+  }
+  Object.keys(definition.columnAccess || {}).forEach((column) => {
+    if (!knownPrefixes.has(column)) fail(`$.columnAccess.${column}`, 'UNKNOWN_COLUMN', `Column does not exist: ${column}`);
+  });
+  validateSort(fields, definition.defaultSort).errors.forEach((e) => fail('$.defaultSort', e.code, e.message));
+  resolveSummary(fields, definition.summary).errors.forEach((e) => fail(`$.summary.${e.column}`, e.code, e.message));
+
+  const seen = new Set();
+  (definition.savedFilters || []).forEach((sf, i) => {
+    const path = `$.savedFilters[${i}]`;
+    if (seen.has(sf.identifier)) fail(`${path}.identifier`, 'DUPLICATE_IDENTIFIER', `Duplicate saved filter identifier: ${sf.identifier}`);
+    seen.add(sf.identifier);
+    resolveFilterDefinition(fields, sf.filterDefinition || {}, 'saved').errors
+      .forEach((e) => fail(`${path}.filterDefinition${e.path.slice(1)}`, e.code, e.message));
+    validateSort(fields, sf.sort).errors.forEach((e) => fail(`${path}.sort`, e.code, e.message));
+    (sf.columns || []).filter((c) => !known.has(c)).forEach((c) => fail(`${path}.columns`, 'UNKNOWN_COLUMN', `Column does not exist: ${c}`));
+  });
+
+  (definition.actions || []).forEach((action, i) => {
+    const path = `$.actions[${i}]`;
+    if (!known.has(action.parameterColumn)) fail(`${path}.parameterColumn`, 'UNKNOWN_COLUMN', `Column does not exist: ${action.parameterColumn}`);
+    const style = action.style || (action.icon ? 'icon-text' : 'text');
+    if (style !== 'text' && !action.icon) fail(`${path}.icon`, 'MISSING_ICON', `Style "${style}" needs an icon`);
+    if (style !== 'icon' && !action.buttonText) fail(`${path}.buttonText`, 'MISSING_TEXT', `Style "${style}" needs buttonText`);
+  });
+  return { errors, fields };
+}
+
+module.exports = { validatePageDefinition };
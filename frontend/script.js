@@ -2,7 +2,23 @@
 // Responsibilities:
 // - Manage page selector, tabs, filter panel (chips + popover), table rendering, and pagination
 // - Maintain user filter state and combine it with saved filter context provided by the backend
+// - Load page metadata once per page selection; filter/sort/page changes only fetch rows
 // - Provide minimal but responsive UX: loading indicators, chip toggles, deduplication of saved vs user chips
+// - Dispatch per-row actions configured on the page to handlers registered via window.TableViews
+
+// Row action registry (defined before DOMContentLoaded so host scripts can register handlers right away)
+// - handler(value, { row, action, pageIdentifier }) receives the row's parameterColumn value
+// - Example: TableViews.registerAction('showLeadDetails', (leadId) => openLeadPanel(leadId));
+const rowActionHandlers = new Map();
+window.TableViews = {
+  registerAction(name, handler) {
+    if (typeof handler !== 'function') throw new Error(`Action handler for ${name} must be a function`);
+    rowActionHandlers.set(name, handler);
+  },
+  unregisterAction(name) {
+    rowActionHandlers.delete(name);
+  }
+};
 
 document.addEventListener('DOMContentLoaded', () => {
   // Core DOM references
@@ -10,9 +26,13 @@ document.addEventListener('DOMContentLoaded', () => {
   const savedFilterTabs = document.getElementById('savedFilterTabs');
   const tableHead = document.querySelector('#dataTable thead');
   const tableBody = document.querySelector('#dataTable tbody');
+  const tableFoot = document.querySelector('#dataTable tfoot');
   const pagination = document.getElementById('pagination');
+  const pageControls = document.getElementById('pageControls');
+  const PAGE_SIZES = [10, 25, 50, 100];
   const filterPanel = document.getElementById('filterPanel');
   const loadingIndicator = document.getElementById('loadingIndicator');
+  const errorAlert = document.getElementById('errorAlert');
 
   // Filter popover (Bootstrap modal) elements
   const filterPopoverModalEl = document.getElementById('filterPopoverModal');
@@ -22,10 +42,104 @@ document.addEventListener('DOMContentLoaded', () => {
   const filterPopoverModal = filterPopoverModalEl ? new bootstrap.Modal(filterPopoverModalEl) : null;
   let popoverContext = null; // Which column/type popover is currently editing
 
+  // Save / rename view (Bootstrap modal) elements
+  const saveViewButton = document.getElementById('saveViewButton');
+  const saveViewModalEl = document.getElementById('saveViewModal');
+  const saveViewTitle = document.getElementById('saveViewTitle');
+  const saveViewName = document.getElementById('saveViewName');
+  const saveViewShared = document.getElementById('saveViewShared');
+  const saveViewConfirm = document.getElementById('saveViewConfirm');
+  const saveViewModal = saveViewModalEl ? new bootstrap.Modal(saveViewModalEl) : null;
+  let saveViewContext = null; // { mode: 'create' } or { mode: 'rename', savedFilter }
+
+  // Group by (Bootstrap modal) elements
+  const groupByButton = document.getElementById('groupByButton');
+  const groupByModalEl = document.getElementById('groupByModal');
+  const groupByColumns = document.getElementById('groupByColumns');
+  const groupByMetrics = document.getElementById('groupByMetrics');
+  const groupByAddMetric = document.getElementById('groupByAddMetric');
+  const groupByClear = document.getElementById('groupByClear');
+  const groupByApply = document.getElementById('groupByApply');
+  const groupByModal = groupByModalEl ? new bootstrap.Modal(groupByModalEl) : null;
+
+  // Per-browser user id so saved views can be private (sent as X-User-Id)
+  const USER_ID_KEY = 'tableViewsUserId';
+  if (!localStorage.getItem(USER_ID_KEY)) localStorage.setItem(USER_ID_KEY, `user_${Math.random().toString(36).slice(2, 10)}`);
+
+  // Company the pages are shown for (sent as X-Company-Id); pick one with ?company=<id>, clear with ?company=
+  const COMPANY_ID_KEY = 'tableViewsCompanyId';
+  const companyParam = new URLSearchParams(window.location.search).get('company');
+  if (companyParam !== null) {
+    if (companyParam) localStorage.setItem(COMPANY_ID_KEY, companyParam);
+    else localStorage.removeItem(COMPANY_ID_KEY);
+  }
+
+  // Signed token (JWT) stored by the host app after sign-in; when the backend has auth enabled it replaces
+  // the X-User-Id / X-Company-Id headers as the source of identity
+  const AUTH_TOKEN_KEY = 'tableViewsAuthToken';
+
+  function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}), 'X-User-Id': localStorage.getItem(USER_ID_KEY) };
+    const companyId = localStorage.getItem(COMPANY_ID_KEY);
+    if (companyId) headers['X-Company-Id'] = companyId;
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (options.body) headers['Content-Type'] = 'application/json';
+    return fetch(url, { ...options, headers });
+  }
+
   // Page-local state
   let currentSavedFilter = null; // Which tab is selected (savedFilterIdentifier)
-  let userFilters = {}; // Map columnName -> { type, modality?, values: [] }
+  let userFilters = {}; // Map columnName -> { type, modality?, values: [], not? } or { op, conditions: [...] }
+  let userFilterMatch = 'AND'; // How user column filters combine: 'AND' (all) or 'OR' (any)
   let paginationState = { page: 1, pageSize: 10 };
+  let sortState = []; // User-chosen sort [{ column, direction }]; empty = saved filter/page default
+  let appliedSort = []; // Effective sort reported by the API (drives header indicators)
+  let groupState = null; // Group-by mode { columns, metrics }; null = plain rows
+
+  // User-created view names end up in markup, so escape them
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  function selectSavedFilter(id, reason) {
+    currentSavedFilter = id; // null means no saved filter
+    sortState = []; // let the tab's own sort (or the page default) apply
+    console.log('[TRIGGER] Tabs click -> fetch start', { savedFilter: currentSavedFilter });
+    fetchAndRender(reason);
+  }
+
+  // Tab label: display name plus a marker for views shared by/with other users
+  function tabLabel(sf) {
+    const shared = sf.source === 'user' && sf.visibility === 'shared' ? ' <span class="badge text-bg-light">shared</span>' : '';
+    return `${escapeHtml(sf.displayName)}${shared}`;
+  }
+
+  // Per-tab menu: reorder for every tab, rename/delete for views the user owns
+  function tabMenu(sf, index, count) {
+    const items = [
+      index > 0 ? `<li><a class="dropdown-item" href="#" data-action="left">Move left</a></li>` : '',
+      index < count - 1 ? `<li><a class="dropdown-item" href="#" data-action="right">Move right</a></li>` : '',
+      sf.editable ? `<li><a class="dropdown-item" href="#" data-action="rename">Rename</a></li>` : '',
+      sf.editable ? `<li><a class="dropdown-item text-danger" href="#" data-action="delete">Delete</a></li>` : ''
+    ].join('');
+    if (!items) return '';
+    return `<button class="nav-link px-1 dropdown-toggle tab-menu-toggle" data-bs-toggle="dropdown" aria-label="View options"></button>
+      <ul class="dropdown-menu">${items}</ul>`;
+  }
+
+  function bindTabMenu(root, sf) {
+    root.querySelectorAll('[data-action]').forEach((item) => {
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        const action = item.getAttribute('data-action');
+        if (action === 'left') moveTab(sf.identifier, -1);
+        if (action === 'right') moveTab(sf.identifier, 1);
+        if (action === 'rename') openSaveViewModal({ mode: 'rename', savedFilter: sf });
+        if (action === 'delete') deleteTab(sf);
+      });
+    });
+  }
 
   // Render saved-filter tabs
   // - Default "All" tab shows no saved filter
@@ -36,17 +150,21 @@ document.addEventListener('DOMContentLoaded', () => {
     allTab.className = 'nav-item';
     // __all__ denotes no saved filter applied
     allTab.innerHTML = `<button class="nav-link ${currentSavedFilter ? '' : 'active'}" data-id="__all__">All</button>`;
+    allTab.querySelector('button').addEventListener('click', () => selectSavedFilter(null, 'tabs_click'));
     savedFilterTabs.appendChild(allTab);
 
     const maxInlineTabs = 4; // simple POC overflow
     const inline = savedFilters.slice(0, maxInlineTabs);
     const overflow = savedFilters.slice(maxInlineTabs);
 
-    inline.forEach((sf) => {
+    inline.forEach((sf, index) => {
       const li = document.createElement('li');
-      li.className = 'nav-item';
+      li.className = 'nav-item d-flex';
       // Mark active if the current saved filter matches tab id
-      li.innerHTML = `<button class="nav-link ${currentSavedFilter === sf.identifier ? 'active' : ''}" data-id="${sf.identifier}">${sf.displayName}</button>`;
+      li.innerHTML = `<button class="nav-link ${currentSavedFilter === sf.identifier ? 'active' : ''}" data-id="${escapeHtml(sf.identifier)}">${tabLabel(sf)}</button>
+        <div class="dropdown">${tabMenu(sf, index, savedFilters.length)}</div>`;
+      li.querySelector('button[data-id]').addEventListener('click', () => selectSavedFilter(sf.identifier, 'tabs_click'));
+      bindTabMenu(li, sf);
       savedFilterTabs.appendChild(li);
     });
 
@@ -57,7 +175,7 @@ document.addEventListener('DOMContentLoaded', () => {
       dropdown.innerHTML = `
         <button class="nav-link dropdown-toggle" data-bs-toggle="dropdown">More</button>
         <ul class="dropdown-menu">
-          ${overflow.map((sf) => `<li><a class="dropdown-item" data-id="${sf.identifier}" href="#">${sf.displayName}</a></li>`).join('')}
+          ${overflow.map((sf) => `<li><a class="dropdown-item ${currentSavedFilter === sf.identifier ? 'active' : ''}" data-id="${escapeHtml(sf.identifier)}" href="#">${tabLabel(sf)}</a></li>`).join('')}
         </ul>
       `;
       savedFilterTabs.appendChild(dropdown);
@@ -65,20 +183,139 @@ document.addEventListener('DOMContentLoaded', () => {
       dropdown.querySelectorAll('.dropdown-item').forEach((a) => {
         a.addEventListener('click', (e) => {
           e.preventDefault();
-          currentSavedFilter = a.getAttribute('data-id'); // set tab id
-          fetchAndRender(); // refetch page data
+          selectSavedFilter(a.getAttribute('data-id'), 'tabs_more_click');
         });
       });
     }
+  }
+
+  // Saved filter (view) CRUD against /api/pages/:id/saved-filters; returns the JSON body or null on error
+  async function savedFilterRequest(path, options, reason) {
+    const res = await apiFetch(`/api/pages/${encodeURIComponent(pageSelector.value)}/saved-filters${path}`, options);
+    const data = await res.json();
+    if (!res.ok) {
+      console.error('[SAVED_FILTER_ERR]', { reason, status: res.status, error: data.error, details: data.details });
+      showError(data);
+      return null;
+    }
+    showError(null);
+    console.log('[SAVED_FILTER_OK]', { reason });
+    return data;
+  }
+
+  // Tabs changed server-side: reload metadata and rerender (cached rows may carry old tab names)
+  async function refreshAfterTabChange(reason) {
+    cacheViewKey = null;
+    if (await loadPageMetadata(reason)) await fetchAndRender(reason);
+  }
+
+  async function moveTab(identifier, delta) {
+    const order = ((pageMetadata && pageMetadata.savedFilters) || []).map((sf) => sf.identifier);
+    const from = order.indexOf(identifier);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= order.length) return;
+    [order[from], order[to]] = [order[to], order[from]];
+    if (await savedFilterRequest('/order', { method: 'PUT', body: JSON.stringify({ order }) }, 'tab_reorder')) {
+      await refreshAfterTabChange('tab_reorder');
+    }
+  }
+
+  async function deleteTab(sf) {
+    if (!window.confirm(`Delete view "${sf.displayName}"?`)) return;
+    if (!(await savedFilterRequest(`/${encodeURIComponent(sf.identifier)}`, { method: 'DELETE' }, 'tab_delete'))) return;
+    if (currentSavedFilter === sf.identifier) {
+      currentSavedFilter = null;
+      sortState = [];
+    }
+    await refreshAfterTabChange('tab_delete');
+  }
+
+  // "Save view" is offered once the user has changed filters or sort on top of the current tab
+  function updateSaveViewButton() {
+    if (saveViewButton) saveViewButton.disabled = Object.keys(userFilters).length === 0 && sortState.length === 0;
+  }
 
-    // Tab click listeners (including All)
-    savedFilterTabs.querySelectorAll('button.nav-link').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        const id = btn.getAttribute('data-id');
-        currentSavedFilter = id === '__all__' ? null : id; // null means no saved filter
-        console.log('[TRIGGER] Tabs click -> fetch start', { savedFilter: currentSavedFilter });
-        fetchAndRender('tabs_click'); // refetch with new savedFilterIdentifier
+  function openSaveViewModal(context) {
+    if (!saveViewModal) return;
+    saveViewContext = context;
+    const renaming = context.mode === 'rename';
+    saveViewTitle.textContent = renaming ? 'Rename view' : 'Save view';
+    saveViewName.value = renaming ? context.savedFilter.displayName : '';
+    saveViewShared.checked = renaming ? context.savedFilter.visibility === 'shared' : false;
+    saveViewModal.show();
+  }
+
+  // Create: current tab + user filters + sort + visible columns become a new tab, which is then selected
+  // Rename: updates name/visibility of an owned view
+  if (saveViewButton) saveViewButton.addEventListener('click', () => openSaveViewModal({ mode: 'create' }));
+
+  // Export the current view (active tab + chips + sort) as a file; the server streams every matching row
+  const exportButton = document.getElementById('exportButton');
+  async function exportView(format) {
+    const { pagination, groupBy, summary, facets, ...view } = buildPayload(1);
+    if (groupBy) view.sort = null; // exports rows; group sorts name metrics
+    exportButton.disabled = true;
+    try {
+      const res = await apiFetch('/api/page-export', { method: 'POST', body: JSON.stringify({ ...view, format }) });
+      if (!res.ok) {
+        showError(await res.json());
+        return;
+      }
+      const disposition = res.headers.get('Content-Disposition') || '';
+      const match = /filename="([^"]+)"/.exec(disposition);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = match ? match[1] : `export.${format}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      if (res.headers.get('X-Export-Truncated') === 'true') {
+        showError({ error: `Export was limited; the view has ${res.headers.get('X-Export-Total-Rows')} rows` });
+      } else {
+        showError(null);
+      }
+    } catch (e) {
+      showError({ error: `Export failed: ${e.message}` });
+    } finally {
+      exportButton.disabled = false;
+    }
+  }
+  document.querySelectorAll('[data-export-format]').forEach((item) => {
+    item.addEventListener('click', () => exportView(item.dataset.exportFormat));
+  });
+  if (saveViewConfirm) {
+    saveViewConfirm.addEventListener('click', async () => {
+      const displayName = saveViewName.value.trim();
+      if (!displayName) {
+        saveViewName.classList.add('is-invalid');
+        return;
+      }
+      saveViewName.classList.remove('is-invalid');
+      const visibility = saveViewShared.checked ? 'shared' : 'private';
+      saveViewModal.hide();
+      if (saveViewContext.mode === 'rename') {
+        const sf = saveViewContext.savedFilter;
+        const body = JSON.stringify({ displayName, visibility });
+        if (await savedFilterRequest(`/${encodeURIComponent(sf.identifier)}`, { method: 'PATCH', body }, 'tab_rename')) {
+          await refreshAfterTabChange('tab_rename');
+        }
+        return;
+      }
+      const body = JSON.stringify({
+        displayName,
+        visibility,
+        baseSavedFilterIdentifier: currentSavedFilter,
+        userFilters: buildUserFilterPayload(),
+        sort: sortState.length && !groupState ? sortState : null,
+        columns: visibleHeaders().map((h) => h.key)
       });
+      const data = await savedFilterRequest('', { method: 'POST', body }, 'save_view');
+      if (!data) return;
+      // The new tab now carries the selections, so start from a clean user layer
+      currentSavedFilter = data.savedFilter.identifier;
+      userFilters = {};
+      userFilterMatch = 'AND';
+      sortState = [];
+      await refreshAfterTabChange('save_view');
     });
   }
 
@@ -88,8 +325,237 @@ document.addEventListener('DOMContentLoaded', () => {
     return key.length > 10 ? 'col-w-200' : 'col-w-120';
   }
 
-  // Render table headers and rows
-  function renderTable(headers, data) {
+  // Header click: cycle asc -> desc -> none; shift-click edits a multi-column sort
+  // - Starts from the effective sort so clicking refines what the user currently sees
+  function toggleSort(column, multi) {
+    const base = sortState.length ? sortState : appliedSort;
+    const current = base.find((s) => s.column === column);
+    const nextDirection = !current ? 'asc' : (current.direction === 'asc' ? 'desc' : null);
+    if (!multi) {
+      sortState = nextDirection ? [{ column, direction: nextDirection }] : [];
+    } else if (!current) {
+      sortState = [...base, { column, direction: nextDirection }];
+    } else {
+      sortState = base
+        .map((s) => (s.column === column ? { column, direction: nextDirection } : s))
+        .filter((s) => s.direction);
+    }
+    paginationState.page = 1; // new order starts from the first page
+    console.log('[TRIGGER] Sort change -> fetch start', { sort: sortState });
+    fetchAndRender('sort_change');
+  }
+
+  // Row actions: button per configured action in a trailing column
+  // - style 'icon' | 'icon-text' | 'text' (defaults to icon-text when an icon is set)
+  function buildActionButton(action, row) {
+    const style = action.style || (action.icon ? 'icon-text' : 'text');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-sm btn-outline-secondary me-1';
+    if (style !== 'text' && action.icon) {
+      const icon = document.createElement('i');
+      icon.className = `bi ${action.icon}${style === 'icon-text' ? ' me-1' : ''}`;
+      btn.appendChild(icon);
+    }
+    if (style !== 'icon') btn.appendChild(document.createTextNode(action.buttonText || action.actionName));
+    btn.title = action.buttonText || action.actionName;
+    btn.addEventListener('click', () => runRowAction(action, row));
+    return btn;
+  }
+
+  function runRowAction(action, row) {
+    const handler = rowActionHandlers.get(action.actionName);
+    const value = row[action.parameterColumn];
+    console.log('[ACTION] row action', { action: action.actionName, value });
+    if (!handler) {
+      console.warn('[ACTION_ERR] no handler registered', { action: action.actionName });
+      showError({ error: `No handler registered for action "${action.actionName}"` });
+      return;
+    }
+    try {
+      handler(value, { row, action, pageIdentifier: pageSelector.value });
+    } catch (err) {
+      console.error('[ACTION_ERR] handler failed', { action: action.actionName, err });
+    }
+  }
+
+  // Built-in action: row detail drawer listing every column of the row
+  const rowDetailDrawerEl = document.getElementById('rowDetailDrawer');
+  const rowDetailDrawer = rowDetailDrawerEl ? new bootstrap.Offcanvas(rowDetailDrawerEl) : null;
+  window.TableViews.registerAction('showRowDetails', (value, { row }) => {
+    if (!rowDetailDrawer) return;
+    const headers = (pageMetadata && pageMetadata.tableHeaders) || [];
+    document.getElementById('rowDetailTitle').textContent = value == null ? 'Details' : String(value);
+    const list = document.getElementById('rowDetailBody');
+    list.innerHTML = '';
+    headers.forEach((h) => {
+      const dt = document.createElement('dt');
+      dt.className = 'col-5 text-muted fw-normal';
+      dt.textContent = h.displayName;
+      const dd = document.createElement('dd');
+      dd.className = 'col-7 text-break';
+      dd.textContent = row[h.key] == null ? '—' : (typeof row[h.key] === 'object' ? JSON.stringify(row[h.key]) : String(row[h.key]));
+      list.append(dt, dd);
+    });
+    rowDetailDrawer.show();
+  });
+
+  // Column tags (from the backend column shortlist) drive cell and chip styling
+  // - STATUS: values get success/danger/neutral tones; entity tags: values get an initials avatar
+  const ENTITY_TAGS = ['COMPANY', 'PROSPECT', 'STAFFER', 'AGENT'];
+  const POSITIVE_STATUS = /\b(won|qualified|active|approved|completed?|paid|success(ful)?)\b/i;
+  const NEGATIVE_STATUS = /\b(lost|rejected|cancel\w*|failed|churned|inactive|overdue|disqualified)\b/i;
+
+  function statusTone(value) {
+    const text = String(value);
+    if (NEGATIVE_STATUS.test(text)) return 'danger';
+    if (POSITIVE_STATUS.test(text)) return 'success';
+    return 'secondary';
+  }
+
+  function entityTag(tags) {
+    return (tags || []).find((t) => ENTITY_TAGS.includes(t)) || null;
+  }
+
+  function entityAvatar(value, tag) {
+    const avatar = document.createElement('span');
+    avatar.className = `entity-avatar entity-${tag.toLowerCase()}`;
+    avatar.textContent = String(value).split(/[\s_.-]+/).filter(Boolean).slice(0, 2).map((w) => w[0].toUpperCase()).join('');
+    avatar.title = tag.toLowerCase();
+    return avatar;
+  }
+
+  // Arrays and records (nested/REPEATED columns) as a collapsible list; one entry per element/field
+  function renderNestedValue(container, value) {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i + 1, v]) : Object.entries(value);
+    if (!entries.length) return;
+    const details = document.createElement('details');
+    details.className = 'nested-cell';
+    const summary = document.createElement('summary');
+    summary.textContent = Array.isArray(value) ? `${entries.length} item${entries.length === 1 ? '' : 's'}` : `${entries.length} fields`;
+    const list = document.createElement('ul');
+    entries.forEach(([key, v]) => {
+      const li = document.createElement('li');
+      if (v != null && typeof v === 'object' && !('value' in v)) {
+        li.appendChild(document.createTextNode(Array.isArray(value) ? '' : `${key}: `));
+        renderNestedValue(li, v);
+      } else {
+        const text = v != null && typeof v === 'object' ? v.value : v;
+        li.textContent = Array.isArray(value) ? String(text ?? '') : `${key}: ${text ?? ''}`;
+      }
+      list.appendChild(li);
+    });
+    details.append(summary, list);
+    container.appendChild(details);
+  }
+
+  // GEOGRAPHY cells: points as readable coordinates, other shapes by their kind (WKT stays in the tooltip)
+  // - Values arrive as WKT strings, BigQuery { value: WKT } wrappers or GeoJSON objects
+  const WKT_POINT = /^\s*POINT\s*\(\s*(\S+)\s+(\S+)\s*\)\s*$/i;
+  function formatCoordinate(lat, lng) {
+    return `${Math.abs(lat).toFixed(5)}° ${lat < 0 ? 'S' : 'N'}, ${Math.abs(lng).toFixed(5)}° ${lng < 0 ? 'W' : 'E'}`;
+  }
+  function formatGeography(value) {
+    const raw = value && typeof value === 'object' && value.value != null ? value.value : value;
+    if (raw && typeof raw === 'object') {
+      if (raw.type === 'Point' && Array.isArray(raw.coordinates)) return { text: formatCoordinate(raw.coordinates[1], raw.coordinates[0]), title: JSON.stringify(raw) };
+      return { text: titleCase(String(raw.type || 'Shape').toLowerCase()), title: JSON.stringify(raw) };
+    }
+    const text = String(raw);
+    const point = WKT_POINT.exec(text);
+    if (point && Number.isFinite(Number(point[1])) && Number.isFinite(Number(point[2]))) return { text: formatCoordinate(Number(point[2]), Number(point[1])), title: text };
+    const kind = /^\s*([A-Z]+)/i.exec(text);
+    return { text: kind ? titleCase(kind[1].toLowerCase()) : text, title: text };
+  }
+
+  // Fill a table cell according to its column tags
+  function renderTaggedValue(container, value, tags) {
+    if (value != null && typeof value === 'object' && !('value' in value)) {
+      renderNestedValue(container, value);
+      return;
+    }
+    if (value == null || value === '') {
+      container.textContent = value == null ? '' : value;
+      return;
+    }
+    const entity = entityTag(tags);
+    if ((tags || []).includes('STATUS')) {
+      const badge = document.createElement('span');
+      badge.className = `badge text-bg-${statusTone(value)}`;
+      badge.textContent = String(value);
+      container.appendChild(badge);
+    } else if (entity) {
+      container.append(entityAvatar(value, entity), document.createTextNode(String(value)));
+    } else {
+      container.textContent = value;
+    }
+  }
+
+  // Arrow + priority number (when several columns are sorted) for a sorted header
+  function appendSortIndicator(th, key) {
+    const sortIndex = appliedSort.findIndex((s) => s.column === key);
+    if (sortIndex < 0) return;
+    const indicator = document.createElement('span');
+    indicator.className = 'sort-indicator';
+    indicator.textContent = `${appliedSort[sortIndex].direction === 'asc' ? '▲' : '▼'}${appliedSort.length > 1 ? sortIndex + 1 : ''}`;
+    th.appendChild(indicator);
+  }
+
+  // One data cell: tags/nested values via renderTaggedValue, GEOGRAPHY values as coordinates
+  function fillCell(td, h, value) {
+    if (h.geography && value != null && !Array.isArray(value)) {
+      const geo = formatGeography(value);
+      td.textContent = geo.text;
+      td.title = geo.title;
+    } else {
+      renderTaggedValue(td, value, h.tags);
+      td.title = value == null || typeof value === 'object' ? '' : String(value);
+    }
+    td.classList.add(pickColumnWidthClass(h.key));
+  }
+
+  // Summary row stats (page `summary` config) in words: "Sum 160,000", "Yes 2", "3 distinct", ...
+  const SUMMARY_LABELS = { sum: 'Sum', avg: 'Avg', min: 'Min', max: 'Max', true: 'Yes', false: 'No', distinct: 'Distinct' };
+
+  function formatSummaryValue(value) {
+    if (value == null) return '–';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? value : date.toLocaleDateString();
+    }
+    return formatMetric(value);
+  }
+
+  // Sticky footer with the summary row: one line per stat under its column, over every matching row
+  function renderSummaryRow(headers, summary, trailingCells) {
+    tableFoot.innerHTML = '';
+    if (!summary || !Object.keys(summary).length) return;
+    const tr = document.createElement('tr');
+    tr.title = 'Summary of every row matching the current filters';
+    headers.forEach((h, i) => {
+      const td = document.createElement('td');
+      td.classList.add(pickColumnWidthClass(h.key));
+      const stats = summary[h.key];
+      if (stats) {
+        Object.entries(stats).forEach(([stat, value]) => {
+          const line = document.createElement('div');
+          line.className = 'summary-stat';
+          line.innerHTML = `<span>${escapeHtml(SUMMARY_LABELS[stat] || stat)}</span>${escapeHtml(formatSummaryValue(value))}`;
+          line.title = `${SUMMARY_LABELS[stat] || stat}: ${value == null ? 'no values' : value}`;
+          td.appendChild(line);
+        });
+      } else if (i === 0) {
+        td.textContent = 'Summary';
+      }
+      tr.appendChild(td);
+    });
+    for (let i = 0; i < trailingCells; i += 1) tr.appendChild(document.createElement('td'));
+    tableFoot.appendChild(tr);
+  }
+
+  // Render table headers and rows (plus the summary footer when the page has one)
+  function renderTable(headers, data, summary = null) {
+    const actions = (pageMetadata && pageMetadata.actions) || [];
     tableHead.innerHTML = '';
     tableBody.innerHTML = '';
 
@@ -97,26 +563,341 @@ document.addEventListener('DOMContentLoaded', () => {
     headers.forEach((h) => {
       const th = document.createElement('th');
       th.textContent = h.displayName;
+      appendSortIndicator(th, h.key);
       th.classList.add(pickColumnWidthClass(h.key));
+      if (h.masked) {
+        // Masked by the server for this user: values are redacted and cannot be sorted or filtered
+        const icon = document.createElement('i');
+        icon.className = 'bi bi-eye-slash ms-1 text-muted';
+        th.appendChild(icon);
+        th.title = 'Values are masked for your role';
+      } else if (h.array) {
+        th.title = 'Array column: filter by its values, cannot be sorted';
+      } else if (h.geography) {
+        th.title = 'Geography column: filter on the map, cannot be sorted';
+      } else {
+        th.classList.add('sortable');
+        th.title = 'Click to sort, Shift+Click to add to sort';
+        th.addEventListener('click', (e) => toggleSort(h.key, e.shiftKey));
+      }
       tr.appendChild(th);
     });
+    if (actions.length) {
+      const th = document.createElement('th');
+      th.textContent = 'Actions';
+      tr.appendChild(th);
+    }
     tableHead.appendChild(tr);
 
     data.forEach((row) => {
       const trb = document.createElement('tr');
       headers.forEach((h) => {
         const td = document.createElement('td');
-        const value = row[h.key];
-        td.textContent = value;
-        td.title = value == null ? '' : String(value);
-        td.classList.add(pickColumnWidthClass(h.key));
+        fillCell(td, h, row[h.key]);
         trb.appendChild(td);
       });
+      if (actions.length) {
+        const td = document.createElement('td');
+        td.className = 'row-actions';
+        actions.forEach((action) => td.appendChild(buildActionButton(action, row)));
+        trb.appendChild(td);
+      }
       tableBody.appendChild(trb);
     });
+    renderSummaryRow(headers, summary, actions.length ? 1 : 0);
+  }
+
+  // Group-by mode: groupState { columns: [column, ...], metrics: [{ fn, column? }] } replaces the row table
+  // with one row per group (server-side aggregates over the same saved + user filters) and a totals row
+  // - A group's caret previews its first rows inline; its label drills down (group values become user
+  //   filters and the table switches back to rows)
+  const AGGREGATE_LABELS = { count: 'Count', sum: 'Sum', avg: 'Average', min: 'Min', max: 'Max' };
+  const GROUP_PREVIEW_ROWS = 10;
+
+  function columnLabel(column) {
+    const headers = (pageMetadata && pageMetadata.tableHeaders) || [];
+    const header = headers.find((h) => h.key === column);
+    const fc = ((pageMetadata && pageMetadata.filterConfig) || []).find((c) => c.columnName === column);
+    return (header && header.displayName) || (fc && fc.displayName) || column;
+  }
+
+  function metricLabel(metric) {
+    return metric.fn === 'count' ? 'Count' : `${AGGREGATE_LABELS[metric.fn]} of ${columnLabel(metric.column)}`;
+  }
+
+  function formatMetric(value) {
+    if (value == null) return '';
+    const n = Number(value);
+    return Number.isFinite(n) ? n.toLocaleString(undefined, { maximumFractionDigits: 2 }) : String(value);
+  }
+
+  // User filters as one filter tree node (both match modes), so extra conditions can be ANDed to it
+  function userFilterNode() {
+    const payload = buildUserFilterPayload();
+    if (payload.op) return payload;
+    return { op: 'AND', conditions: Object.entries(payload).map(([column, entry]) => (Array.isArray(entry) ? { op: 'AND', column, conditions: entry } : { ...entry, column })) };
+  }
+
+  // Drilling down ANDs the group's conditions to the user filters, which "Match any" cannot express
+  function canDrillDown() {
+    return userFilterMatch === 'AND' || Object.keys(userFilters).length === 0;
+  }
+
+  // Add a group's drill-down conditions ({ column: condition }) to the user filters and show its rows
+  function drillDown(group) {
+    Object.entries(group.filter).forEach(([column, cond]) => {
+      const existing = userFilters[column];
+      if (!existing) userFilters[column] = cond;
+      else if (Array.isArray(existing)) userFilters[column] = [...existing, cond];
+      else if (existing.op === 'AND' && !existing.not) userFilters[column] = { ...existing, conditions: [...existing.conditions, cond] };
+      else userFilters[column] = { op: 'AND', conditions: [existing, cond] };
+    });
+    userFilterMatch = 'AND';
+    groupState = null;
+    sortState = [];
+    console.log('[TRIGGER] Group drill-down -> fetch start', { filter: group.filter });
+    fetchAndRender('group_drill_down');
+  }
+
+  // Inline preview of a group's first rows (read-only, no actions)
+  async function loadGroupPreview(cell, group) {
+    cell.innerHTML = '<span class="text-muted small">Loading rows…</span>';
+    const { pagination, ...view } = buildPayload(1);
+    const current = userFilterNode();
+    const conditions = Object.entries(group.filter).map(([column, cond]) => ({ ...cond, column }));
+    const payload = {
+      ...view,
+      groupBy: null,
+      summary: false,
+      facets: false,
+      sort: null,
+      userFilters: { op: 'AND', conditions: current.conditions.length ? [current, ...conditions] : conditions },
+      pagination: { page: 1, pageSize: GROUP_PREVIEW_ROWS }
+    };
+    try {
+      const { res, data } = await requestPageRows(payload);
+      if (!res.ok) {
+        cell.innerHTML = `<span class="text-danger small">${escapeHtml(data.error || 'Could not load rows')}</span>`;
+        return;
+      }
+      const headers = visibleHeaders();
+      const table = document.createElement('table');
+      table.className = 'table table-sm mb-0 group-preview';
+      table.innerHTML = `<thead><tr>${headers.map((h) => `<th>${escapeHtml(h.displayName)}</th>`).join('')}</tr></thead>`;
+      const body = document.createElement('tbody');
+      (data.data || []).forEach((row) => {
+        const tr = document.createElement('tr');
+        headers.forEach((h) => {
+          const td = document.createElement('td');
+          fillCell(td, h, row[h.key]);
+          tr.appendChild(td);
+        });
+        body.appendChild(tr);
+      });
+      table.appendChild(body);
+      cell.innerHTML = '';
+      cell.appendChild(table);
+      const total = data.pagination && data.pagination.totalRecords;
+      if (total > GROUP_PREVIEW_ROWS) {
+        const more = document.createElement('div');
+        more.className = 'text-muted small mt-1';
+        more.textContent = `Showing ${GROUP_PREVIEW_ROWS} of ${total} rows`;
+        cell.appendChild(more);
+      }
+    } catch (err) {
+      console.error('[FETCH_ERR] group preview', { err });
+      cell.innerHTML = '<span class="text-danger small">Could not load rows</span>';
+    }
+  }
+
+  // Render the grouped table: group columns, metrics, a caret per group and a totals footer
+  function renderGroupedTable(data) {
+    tableHead.innerHTML = '';
+    tableBody.innerHTML = '';
+    tableFoot.innerHTML = '';
+    const { columns, metrics } = data.groupBy;
+    const drillable = canDrillDown();
+
+    const tr = document.createElement('tr');
+    tr.appendChild(document.createElement('th'));
+    [...columns.map((c) => ({ key: c, label: columnLabel(c) })), ...metrics.map((m) => ({ key: m.key, label: metricLabel(m) }))].forEach(({ key, label }) => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      appendSortIndicator(th, key);
+      th.classList.add('sortable', pickColumnWidthClass(label));
+      th.title = 'Click to sort, Shift+Click to add to sort';
+      th.addEventListener('click', (e) => toggleSort(key, e.shiftKey));
+      tr.appendChild(th);
+    });
+    tableHead.appendChild(tr);
+
+    const width = columns.length + metrics.length + 1;
+    data.groups.forEach((group) => {
+      const row = document.createElement('tr');
+      row.className = 'group-row';
+      const toggleCell = document.createElement('td');
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'btn btn-sm btn-link p-0 group-toggle';
+      toggle.innerHTML = '<i class="bi bi-caret-right-fill"></i>';
+      toggle.title = 'Show rows of this group';
+      toggleCell.appendChild(toggle);
+      row.appendChild(toggleCell);
+
+      columns.forEach((column) => {
+        const td = document.createElement('td');
+        const value = group.key[column];
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = value == null || value === '' ? '(empty)' : String(value);
+        if (drillable) {
+          link.title = 'Filter the table to this group';
+          link.addEventListener('click', (e) => {
+            e.preventDefault();
+            drillDown(group);
+          });
+        } else {
+          link.classList.add('disabled', 'text-muted');
+          link.title = 'Switch filters to Match all to drill down';
+          link.addEventListener('click', (e) => e.preventDefault());
+        }
+        td.appendChild(link);
+        row.appendChild(td);
+      });
+      metrics.forEach((m) => {
+        const td = document.createElement('td');
+        td.textContent = formatMetric(group.metrics[m.key]);
+        td.classList.add('text-end');
+        row.appendChild(td);
+      });
+      tableBody.appendChild(row);
+
+      // Expanded rows load on first open and are kept while the grouped page is shown
+      let detail = null;
+      toggle.addEventListener('click', () => {
+        const open = !detail || detail.classList.contains('d-none');
+        toggle.innerHTML = `<i class="bi bi-caret-${open ? 'down' : 'right'}-fill"></i>`;
+        if (detail) {
+          detail.classList.toggle('d-none', !open);
+          return;
+        }
+        detail = document.createElement('tr');
+        detail.className = 'group-detail';
+        const cell = document.createElement('td');
+        cell.colSpan = width;
+        detail.appendChild(cell);
+        row.after(detail);
+        loadGroupPreview(cell, group);
+      });
+    });
+
+    const totals = document.createElement('tr');
+    totals.innerHTML = `<td></td><td colspan="${columns.length}">Total</td>`;
+    metrics.forEach((m) => {
+      const td = document.createElement('td');
+      td.textContent = formatMetric(data.totals && data.totals[m.key]);
+      td.classList.add('text-end');
+      totals.appendChild(td);
+    });
+    tableFoot.appendChild(totals);
+  }
+
+  // Group-by modal: up to three group columns (in order) and any number of metrics
+  // - Columns: anything filterable except arrays and geographies; sum/avg/min/max take numeric columns
+  const MAX_GROUP_COLUMNS = 3;
+  function groupableColumns() {
+    return ((pageMetadata && pageMetadata.filterConfig) || []).filter((fc) => !fc.repeated && fc.filterType !== 'GEO');
+  }
+
+  function metricRow(metric) {
+    const numeric = groupableColumns().filter((fc) => fc.filterType === 'NUMERIC');
+    const row = document.createElement('div');
+    row.className = 'd-flex gap-2 mb-2 group-metric';
+    row.innerHTML = `
+      <select class="form-select form-select-sm w-auto" data-role="fn">
+        ${Object.entries(AGGREGATE_LABELS).map(([fn, label]) => `<option value="${fn}">${label}</option>`).join('')}
+      </select>
+      <select class="form-select form-select-sm" data-role="column">
+        ${numeric.map((fc) => `<option value="${escapeHtml(fc.columnName)}">${escapeHtml(columnLabel(fc.columnName))}</option>`).join('')}
+      </select>
+      <button type="button" class="btn btn-sm btn-outline-secondary" title="Remove metric"><i class="bi bi-x"></i></button>
+    `;
+    const fnSelect = row.querySelector('[data-role="fn"]');
+    const columnSelect = row.querySelector('[data-role="column"]');
+    if (!numeric.length) fnSelect.querySelectorAll('option:not([value="count"])').forEach((o) => { o.disabled = true; });
+    fnSelect.value = metric.fn;
+    if (metric.column) columnSelect.value = metric.column;
+    const sync = () => { columnSelect.classList.toggle('d-none', fnSelect.value === 'count'); };
+    fnSelect.addEventListener('change', sync);
+    sync();
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    return row;
+  }
+
+  function openGroupByModal() {
+    if (!groupByModal) return;
+    const options = groupableColumns()
+      .map((fc) => `<option value="${escapeHtml(fc.columnName)}">${escapeHtml(columnLabel(fc.columnName))}</option>`)
+      .join('');
+    const current = groupState || { columns: [], metrics: [{ fn: 'count' }] };
+    groupByColumns.innerHTML = Array.from({ length: MAX_GROUP_COLUMNS }, (_, i) => `
+      <select class="form-select form-select-sm mb-2" data-index="${i}" aria-label="${i ? 'Then by' : 'Group by'}">
+        <option value="">${i ? 'Then by…' : 'Choose a column…'}</option>${options}
+      </select>
+    `).join('');
+    groupByColumns.querySelectorAll('select').forEach((select, i) => { select.value = current.columns[i] || ''; });
+    groupByMetrics.innerHTML = '';
+    current.metrics.forEach((m) => groupByMetrics.appendChild(metricRow(m)));
+    groupByClear.classList.toggle('d-none', !groupState);
+    groupByModal.show();
+  }
+
+  function setGroupState(next, reason) {
+    groupState = next;
+    sortState = []; // row sorts and group sorts name different keys
+    paginationState.page = 1;
+    console.log('[TRIGGER] Group by change -> fetch start', { groupBy: groupState });
+    fetchAndRender(reason);
+  }
+
+  if (groupByButton) groupByButton.addEventListener('click', openGroupByModal);
+  if (groupByAddMetric) groupByAddMetric.addEventListener('click', () => groupByMetrics.appendChild(metricRow({ fn: 'count' })));
+  if (groupByClear) {
+    groupByClear.addEventListener('click', () => {
+      groupByModal.hide();
+      setGroupState(null, 'group_by_clear');
+    });
+  }
+  if (groupByApply) {
+    groupByApply.addEventListener('click', () => {
+      const columns = [...new Set([...groupByColumns.querySelectorAll('select')].map((s) => s.value).filter(Boolean))];
+      const first = groupByColumns.querySelector('select');
+      first.classList.toggle('is-invalid', !columns.length);
+      if (!columns.length) return;
+      const metrics = [...groupByMetrics.querySelectorAll('.group-metric')].map((row) => {
+        const fn = row.querySelector('[data-role="fn"]').value;
+        return fn === 'count' ? { fn } : { fn, column: row.querySelector('[data-role="column"]').value };
+      }).filter((m) => m.fn === 'count' || m.column);
+      groupByModal.hide();
+      setGroupState({ columns, metrics: metrics.length ? metrics : [{ fn: 'count' }] }, 'group_by_change');
+    });
+  }
+
+  function updateGroupByButton() {
+    if (!groupByButton) return;
+    groupByButton.classList.toggle('active', Boolean(groupState));
+    groupByButton.querySelector('span').textContent = groupState
+      ? `Grouped by ${groupState.columns.map(columnLabel).join(', ')}`
+      : 'Group by';
+  }
+
+  // Render pagination controls (prev/info/next) plus page-size selector and jump-to-page
+  function goToPage(page, reason) {
+    paginationState.page = page;
+    console.log('[TRIGGER] Pagination -> fetch start', { toPage: page, reason });
+    fetchAndRender(reason);
   }
 
-  // Render pagination controls (prev/info/next)
   function renderPagination(p) {
     pagination.innerHTML = '';
     const prev = document.createElement('li');
@@ -124,11 +905,7 @@ document.addEventListener('DOMContentLoaded', () => {
     prev.innerHTML = `<a class="page-link" href="#">Previous</a>`;
     prev.addEventListener('click', (e) => {
       e.preventDefault();
-      if (p.currentPage > 1) {
-        paginationState.page = p.currentPage - 1;
-        console.log('[TRIGGER] Pagination prev -> fetch start', { toPage: paginationState.page });
-        fetchAndRender('pagination_prev');
-      }
+      if (p.currentPage > 1) goToPage(p.currentPage - 1, 'pagination_prev');
     });
     pagination.appendChild(prev);
 
@@ -142,13 +919,35 @@ document.addEventListener('DOMContentLoaded', () => {
     next.innerHTML = `<a class="page-link" href="#">Next</a>`;
     next.addEventListener('click', (e) => {
       e.preventDefault();
-      if (p.currentPage < p.totalPages) {
-        paginationState.page = p.currentPage + 1;
-        console.log('[TRIGGER] Pagination next -> fetch start', { toPage: paginationState.page });
-        fetchAndRender('pagination_next');
-      }
+      if (p.currentPage < p.totalPages) goToPage(p.currentPage + 1, 'pagination_next');
     });
     pagination.appendChild(next);
+
+    if (!pageControls) return;
+    pageControls.innerHTML = `
+      <label class="mb-0" for="pageSizeSelect">Rows</label>
+      <select id="pageSizeSelect" class="form-select form-select-sm w-auto">
+        ${PAGE_SIZES.map((n) => `<option value="${n}">${n}</option>`).join('')}
+      </select>
+      <label class="mb-0 ms-2" for="jumpToPage">Page</label>
+      <input id="jumpToPage" type="number" min="1" max="${p.totalPages}" class="form-control form-control-sm" style="width: 5rem;" value="${p.currentPage}" />
+      <button type="button" class="btn btn-sm btn-outline-secondary">Go</button>
+      <span class="text-muted">${p.totalRecords != null ? `${p.totalRecords} rows` : ''}</span>
+    `;
+    const sizeSelect = pageControls.querySelector('#pageSizeSelect');
+    sizeSelect.value = String(paginationState.pageSize);
+    sizeSelect.addEventListener('change', () => {
+      paginationState.pageSize = Number(sizeSelect.value); // new view key -> cache reset, back to page 1
+      console.log('[TRIGGER] Page size change -> fetch start', { pageSize: paginationState.pageSize });
+      fetchAndRender('page_size_change');
+    });
+    const jumpInput = pageControls.querySelector('#jumpToPage');
+    const jump = () => {
+      const target = Math.min(p.totalPages, Math.max(1, Math.floor(Number(jumpInput.value) || 1)));
+      if (target !== p.currentPage) goToPage(target, 'pagination_jump');
+    };
+    pageControls.querySelector('button').addEventListener('click', jump);
+    jumpInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') jump(); });
   }
 
   // Render filter panel: saved chips (red), quick chips, and user chips from popover
@@ -156,8 +955,46 @@ document.addEventListener('DOMContentLoaded', () => {
   // - Shows modality labels when not trivial (not 'exact'/'is')
   function renderFilters(filterConfig, headers) {
     filterPanel.innerHTML = '';
-    const headerMap = new Map((headers || []).map((h) => [h.key, h.displayName]));
-    const savedDef = (window.__appliedSavedFilter && window.__appliedSavedFilter.filterDefinition) || {};
+    // Filter-only columns (fields inside arrays of records) bring their own display name
+    const headerMap = new Map([
+      ...(filterConfig || []).filter((fc) => fc.displayName).map((fc) => [fc.columnName, fc.displayName]),
+      ...(headers || []).map((h) => [h.key, h.displayName])
+    ]);
+    const savedDefRaw = (window.__appliedSavedFilter && window.__appliedSavedFilter.filterDefinition) || {};
+    const savedIsGroup = Array.isArray(savedDefRaw.conditions); // saved filter written as one AND/OR group
+    const savedDef = savedIsGroup ? {} : savedDefRaw;
+
+    // Match all/any toggle for user selections (only meaningful with 2+ filtered columns)
+    const matchRow = document.createElement('div');
+    matchRow.className = 'd-flex align-items-center gap-2 mb-3 small';
+    matchRow.innerHTML = `<span>Match</span>
+      <select class="form-select form-select-sm w-auto" data-role="userFilterMatch">
+        <option value="AND">all of my filters</option>
+        <option value="OR">any of my filters</option>
+      </select>`;
+    const matchSelect = matchRow.querySelector('select');
+    matchSelect.value = userFilterMatch;
+    matchSelect.disabled = Object.keys(userFilters).length < 2;
+    matchSelect.addEventListener('change', async () => {
+      userFilterMatch = matchSelect.value;
+      await fetchAndRender('user_filter_match_change');
+    });
+    filterPanel.appendChild(matchRow);
+
+    // Saved selection written as a group spans columns, so it is summarized once at the top
+    if (savedIsGroup) {
+      const savedSummary = document.createElement('div');
+      savedSummary.className = 'mb-3';
+      savedSummary.innerHTML = '<div class="fw-bold mb-1">Saved selection</div>';
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'btn btn-sm btn-danger text-start text-wrap';
+      chip.disabled = true;
+      chip.textContent = describeFilterNode(savedDefRaw, headerMap);
+      savedSummary.appendChild(chip);
+      filterPanel.appendChild(savedSummary);
+    }
+
     filterConfig.forEach((fc) => {
       const group = document.createElement('div');
       group.className = 'mb-3';
@@ -173,13 +1010,21 @@ document.addEventListener('DOMContentLoaded', () => {
       const savedValuesSet = new Set();
 
       // Render saved selection chips (red, disabled) for this column
-      if (savedDef[fc.columnName]) {
+      if (isCompoundFilter(savedDef[fc.columnName])) {
+        // Several conditions / negation on one column: one summary chip
+        const savedBtn = document.createElement('button');
+        savedBtn.type = 'button';
+        savedBtn.className = 'btn btn-sm btn-danger text-start text-wrap';
+        savedBtn.disabled = true;
+        savedBtn.textContent = describeFilterNode(savedDef[fc.columnName], headerMap);
+        chips.appendChild(savedBtn);
+      } else if (savedDef[fc.columnName]) {
         const def = savedDef[fc.columnName];
         const values = Array.isArray(def.values) ? def.values : [];
         const modalityRaw = def.modality;
         const modalityStr = Array.isArray(modalityRaw) ? String(modalityRaw[0]) : String(modalityRaw || '');
         const modalityLower = modalityStr.toLowerCase();
-        const showMod = modalityStr && !['exact', 'is'].includes(modalityLower);
+        const showMod = modalityStr && !PLAIN_MODALITIES.includes(modalityLower);
         values.forEach((v) => {
           savedValuesSet.add(String(v)); // remember value to avoid duplicates later
           const savedBtn = document.createElement('button');
@@ -188,9 +1033,10 @@ document.addEventListener('DOMContentLoaded', () => {
           savedBtn.disabled = true; // non-interactive
           // Include modality in label when meaningful
           savedBtn.textContent = showMod ? `${titleCase(modalityStr)}: ${String(v)}` : String(v);
+          if (entityTag(fc.tags)) savedBtn.prepend(entityAvatar(v, entityTag(fc.tags)));
           chips.appendChild(savedBtn);
         });
-        if (!values.length && modalityStr && !['exact', 'is'].includes(modalityLower)) {
+        if (!values.length && modalityStr && !PLAIN_MODALITIES.includes(modalityLower)) {
           const savedBtn = document.createElement('button');
           savedBtn.type = 'button';
           savedBtn.className = 'btn btn-sm btn-danger';
@@ -208,8 +1054,23 @@ document.addEventListener('DOMContentLoaded', () => {
         if (savedValuesSet.has(String(opt))) return; // don't double-render saved values
         const btn = document.createElement('button');
         const selected = isSelected(opt);
-        btn.className = `btn btn-sm ${selected ? 'btn-secondary active' : 'btn-outline-secondary'}`;
+        const tone = (fc.tags || []).includes('STATUS') ? statusTone(opt) : 'secondary';
+        btn.className = `btn btn-sm ${selected ? `btn-${tone} active` : `btn-outline-${tone}`}`;
         btn.textContent = String(opt);
+        const entity = entityTag(fc.tags);
+        if (entity) btn.prepend(entityAvatar(opt, entity));
+        // Rows this chip would match under the other filters; options with none are dimmed
+        const count = fc.facetCounts ? fc.facetCounts[String(opt)] : undefined;
+        if (count != null) {
+          const badge = document.createElement('span');
+          badge.className = 'chip-count';
+          badge.textContent = count.toLocaleString();
+          btn.appendChild(badge);
+          if (count === 0 && !selected) {
+            btn.classList.add('chip-empty');
+            btn.title = 'No rows match this option under the current filters';
+          }
+        }
         btn.addEventListener('click', async () => {
           // Toggle selection in userFilters for this column
           btn.classList.add('chip-loading'); // show loading style
@@ -235,7 +1096,18 @@ document.addEventListener('DOMContentLoaded', () => {
       });
 
       // User chips originating from popover (may include modality-only like "Is Empty")
-      if (current) {
+      if (isCompoundFilter(current)) {
+        // Builder output (multiple conditions, AND/OR, NOT): one removable summary chip
+        const chip = document.createElement('button');
+        chip.className = 'btn btn-sm btn-secondary text-start text-wrap';
+        chip.textContent = describeFilterNode(current, headerMap);
+        chip.title = 'Click to remove';
+        chip.addEventListener('click', async () => {
+          delete userFilters[fc.columnName];
+          await fetchAndRender('remove_popover_group_chip');
+        });
+        chips.appendChild(chip);
+      } else if (current) {
         const quick = new Set((fc.options || []).slice(0, 6).map(String));
         const modalityLower = (current.modality || '').toLowerCase();
         const modalityOnly = current.values && current.values.length === 0 && current.modality;
@@ -255,7 +1127,7 @@ document.addEventListener('DOMContentLoaded', () => {
           if (savedValuesSet.has(String(v)) || quick.has(String(v))) return;
           const chip = document.createElement('button');
           chip.className = 'btn btn-sm btn-secondary';
-          const label = current.modality && !['exact', 'is'].includes(modalityLower) ? `${titleCase(current.modality)}: ${v}` : String(v);
+          const label = current.modality && !PLAIN_MODALITIES.includes(modalityLower) ? `${titleCase(current.modality)}: ${v}` : String(v);
           chip.textContent = label;
           chip.title = 'Click to remove';
           chip.addEventListener('click', async () => {
@@ -277,183 +1149,966 @@ document.addEventListener('DOMContentLoaded', () => {
         columnName: fc.columnName,
         filterType: fc.filterType,
         header: headerMap.get(fc.columnName) || fc.columnName,
-        options: fc.options || []
+        options: fc.options || [],
+        stats: fc.stats || null,
+        extent: fc.extent || null,
+        repeated: Boolean(fc.repeated)
       }));
       group.appendChild(moreBtn);
       filterPanel.appendChild(group);
     });
   }
 
+  // Modalities that read naturally without a label prefix on chips
+  const PLAIN_MODALITIES = ['exact', 'is', 'equals', 'on', 'relative'];
+
   // Helper used by filter panel to present nicer labels
   const titleCase = (s) => String(s || '').replace(/\b\w/g, (c) => c.toUpperCase());
 
-  // Build the filter popover dynamically based on filterType
-  // - FREETEXT: modality (contains/exact/starts/empty) + text field when relevant
-  // - NUMERIC: modality (equals/between/gt/lt/empty) + one/two number fields
-  // - DATE: modality (on/between/before/after) + one or two date fields
-  // - LIST: modality (is/contains/exact/starts/empty) + select for is, text field for others
-  // - BOOLEAN: modality (is/empty) + dropdown for true/false
+  // True for filter entries a plain chip cannot show: arrays, AND/OR groups or negated conditions
+  function isCompoundFilter(entry) {
+    return Boolean(entry) && (Array.isArray(entry) || Array.isArray(entry.conditions) || Boolean(entry.not));
+  }
+
+  // Human-readable summary of a filter node, e.g. "Contains: ak AND Not Starts With: test"
+  function describeFilterNode(node, headerMap) {
+    if (Array.isArray(node)) return describeFilterNode({ op: 'AND', conditions: node }, headerMap);
+    let text;
+    if (Array.isArray(node.conditions)) {
+      const parts = node.conditions.map((c) => describeFilterNode(c, headerMap));
+      text = parts.length > 1 ? `(${parts.join(` ${node.op} `)})` : (parts[0] || '');
+      if (node.column) text = `${headerMap.get(node.column) || node.column}: ${text}`;
+    } else {
+      const modality = String(node.modality || '');
+      const values = node.type === 'GEO' ? describeGeoValues(modality, node.values || []) : (node.values || []).map(String).join(', ');
+      const label = modality && !PLAIN_MODALITIES.includes(modality.toLowerCase()) ? titleCase(modality) : '';
+      text = [label, values].filter(Boolean).join(label && values ? ': ' : '');
+      if (node.column) text = `${headerMap.get(node.column) || node.column}: ${text}`;
+    }
+    return node.not ? `Not ${text}` : text;
+  }
+
+  // GEO condition values in words, e.g. "5 km of 52.52, 13.405" / "3 points"
+  function describeGeoValues(modality, values) {
+    const n = values.map(Number);
+    if (modality === 'within radius' && n.length >= 3) {
+      const distance = n[2] >= 1000 ? `${(n[2] / 1000).toLocaleString()} km` : `${n[2].toLocaleString()} m`;
+      return `${distance} of ${n[0]}, ${n[1]}`;
+    }
+    if (modality === 'within box' && n.length >= 4) return `${n[0]}, ${n[1]} – ${n[2]}, ${n[3]}`;
+    if (modality === 'within polygon') return `${Math.floor(n.length / 2)} points`;
+    return values.map(String).join(', ');
+  }
+
+  // userFilters as sent to the API: the column map (AND) or an OR group across columns
+  function buildUserFilterPayload() {
+    if (userFilterMatch === 'AND') return userFilters;
+    return { op: 'OR', conditions: Object.entries(userFilters).map(([column, entry]) => ({ ...entry, column })) };
+  }
+
+  // Filter DSL description from the backend (GET /api/filters/schema), loaded once
+  // - Drives the popover so it offers exactly the modalities the API accepts
+  let filterSchema = null;
+  async function loadFilterSchema() {
+    try {
+      const res = await apiFetch('/api/filters/schema');
+      const data = await res.json();
+      filterSchema = data.schema || null;
+    } catch (err) {
+      console.error('[FETCH_ERR] /api/filters/schema', { err });
+    }
+  }
+
+  // [modality, arity] pairs for a filter type (first entry is the default modality)
+  // - Array modalities ("contains any/all") are only offered for REPEATED columns
+  function modalitiesFor(filterType, repeated = false) {
+    const spec = filterSchema && filterSchema.types[filterType];
+    const arrayOnly = (filterSchema && filterSchema.arrayModalities) || [];
+    return spec ? Object.entries(spec.modalities).filter(([m]) => repeated || !arrayOnly.includes(m)) : [];
+  }
+
+  // Build the filter popover dynamically from the filter DSL
+  // - One or more condition rows for the column, combined with AND/OR; each row can be negated
+  // - Modality dropdown lists the type's modalities; inputs follow the modality's arity
+  // - FREETEXT/LIST: text field (LIST "is" picks several values from a searchable combobox, FREETEXT
+  //   "exact" suggests values while typing), NUMERIC: number fields with a
+  //   histogram + range slider when the column has stats,
+  //   DATE: date fields or a relative date picker, BOOLEAN: true/false dropdown,
+  //   GEO: coordinate fields with a mini map to click/drag the point, box or polygon
+  let popoverRows = []; // [{ el, read }] for the condition rows currently in the popover
+
+  // Relative date picker: a preset list (the column's date options) plus a custom "last/next N units" row
+  // - Custom tokens follow the backend grammar (utils/relativeDates.js), e.g. "next 3 calendar months"
+  const CUSTOM_RELATIVE = '__custom__';
+  const RELATIVE_RANGE = /^(last|next) (\d+) (calendar )?(day|week|month|quarter|year)s?$/;
+
+  function buildRelativeDatePicker(ctx, current) {
+    const spec = (filterSchema && filterSchema.relativeDates) || {};
+    const presets = (ctx.options || []).filter((o) => typeof o === 'string' && o !== 'Empty' && o !== 'Not Empty');
+    const el = document.createElement('div'); el.setAttribute('data-role', 'relativeDate');
+
+    const preset = document.createElement('select'); preset.setAttribute('data-role', 'relativePreset'); preset.className = 'form-select mb-2';
+    (presets.length ? presets : spec.pastPresets || []).forEach((p) => { const opt = document.createElement('option'); opt.value = p; opt.textContent = titleCase(p); preset.appendChild(opt); });
+    const customOpt = document.createElement('option'); customOpt.value = CUSTOM_RELATIVE; customOpt.textContent = 'Custom range…'; preset.appendChild(customOpt);
+
+    const custom = document.createElement('div'); custom.className = 'mb-2';
+    custom.innerHTML = `<div class="input-group input-group-sm mb-1">
+        <select class="form-select" data-role="relativeDirection"><option value="last">Last</option><option value="next">Next</option></select>
+        <input type="number" class="form-control" data-role="relativeAmount" min="1" max="${spec.maxAmount || 1000}" value="7">
+        <select class="form-select" data-role="relativeUnit"></select>
+      </div>
+      <label class="form-check-label small"><input type="checkbox" class="form-check-input me-1" data-role="relativeCalendar">Whole calendar periods (exclude the current one)</label>`;
+    const direction = custom.querySelector('[data-role="relativeDirection"]');
+    const amount = custom.querySelector('[data-role="relativeAmount"]');
+    const unit = custom.querySelector('[data-role="relativeUnit"]');
+    const calendar = custom.querySelector('[data-role="relativeCalendar"]');
+    (spec.units || ['day', 'week', 'month', 'quarter', 'year']).forEach((u) => { const opt = document.createElement('option'); opt.value = u; opt.textContent = `${titleCase(u)}s`; unit.appendChild(opt); });
+
+    // Existing value: a listed preset, or a "last/next N units" token shown in the custom row
+    const token = current != null ? String(current).toLowerCase() : '';
+    const match = RELATIVE_RANGE.exec(token);
+    if (token && [...preset.options].some((o) => o.value === token)) preset.value = token;
+    else if (match) {
+      preset.value = CUSTOM_RELATIVE;
+      [, direction.value, amount.value] = match;
+      calendar.checked = Boolean(match[3]);
+      unit.value = match[4];
+    } else if (token) {
+      const opt = document.createElement('option'); opt.value = token; opt.textContent = titleCase(token);
+      preset.insertBefore(opt, customOpt);
+      preset.value = token;
+    }
+    const refresh = () => { custom.style.display = preset.value === CUSTOM_RELATIVE ? '' : 'none'; };
+    preset.addEventListener('change', refresh);
+    refresh();
+    el.appendChild(preset);
+    el.appendChild(custom);
+
+    const read = () => {
+      if (preset.value !== CUSTOM_RELATIVE) return preset.value;
+      const n = Number(amount.value) || 1;
+      return `${direction.value} ${n} ${calendar.checked ? 'calendar ' : ''}${unit.value}${n === 1 ? '' : 's'}`;
+    };
+    return { el, read };
+  }
+
+  // Searchable option combobox backed by GET /api/pages/:id/options/:column (values with row counts)
+  // - multiple (LIST "is"): own search box, picked values shown as removable badges
+  // - single (FREETEXT "exact"): searches with the row's text input and fills it with the picked value
+  // - Results load lazily the first time the combobox is shown, then on typing (debounced) and "Load more"
+  const OPTION_PAGE_SIZE = 20;
+
+  function buildOptionCombobox(ctx, { multiple, selected = [], searchInput = null }) {
+    const el = document.createElement('div'); el.setAttribute('data-role', 'optionCombobox'); el.className = 'mb-2';
+    const picked = document.createElement('div'); picked.className = 'd-flex flex-wrap gap-1 mb-1';
+    const controls = document.createElement('div'); controls.className = 'input-group input-group-sm mb-1';
+    const search = searchInput || document.createElement('input');
+    if (!searchInput) {
+      search.type = 'search'; search.className = 'form-control'; search.placeholder = 'Search values…';
+      controls.appendChild(search);
+    }
+    const mode = document.createElement('select'); mode.className = 'form-select flex-grow-0 w-auto';
+    mode.innerHTML = '<option value="prefix">Starts with</option><option value="contains">Contains</option>';
+    controls.appendChild(mode);
+    const list = document.createElement('div'); list.className = 'list-group list-group-flush border rounded overflow-auto'; list.style.maxHeight = '12rem';
+    const more = document.createElement('button'); more.type = 'button'; more.className = 'btn btn-link btn-sm p-0'; more.textContent = 'Load more';
+    if (multiple) el.appendChild(picked);
+    [controls, list, more].forEach((child) => el.appendChild(child));
+
+    let chosen = selected.map(String);
+    let offset = 0;
+    let loaded = false;
+    let request = 0; // newest search wins when responses arrive out of order
+
+    const renderPicked = () => {
+      picked.innerHTML = '';
+      chosen.forEach((v) => {
+        const badge = document.createElement('span'); badge.className = 'badge text-bg-primary d-inline-flex align-items-center gap-1';
+        badge.textContent = v;
+        const remove = document.createElement('button'); remove.type = 'button'; remove.className = 'btn-close btn-close-white'; remove.style.fontSize = '0.5em';
+        remove.setAttribute('aria-label', `Remove ${v}`);
+        remove.addEventListener('click', () => { chosen = chosen.filter((x) => x !== v); renderPicked(); syncChecks(); });
+        badge.appendChild(remove);
+        picked.appendChild(badge);
+      });
+    };
+    const syncChecks = () => list.querySelectorAll('input[type="checkbox"]').forEach((box) => { box.checked = chosen.includes(box.value); });
+
+    const addItem = ({ value, count }) => {
+      const item = document.createElement('label'); item.className = 'list-group-item list-group-item-action d-flex align-items-center gap-2 py-1 small';
+      const text = document.createElement('span'); text.className = 'flex-grow-1 text-truncate'; text.textContent = value;
+      const countBadge = document.createElement('span'); countBadge.className = 'badge text-bg-light'; countBadge.textContent = count.toLocaleString();
+      if (multiple) {
+        const box = document.createElement('input'); box.type = 'checkbox'; box.className = 'form-check-input m-0'; box.value = value;
+        box.checked = chosen.includes(value);
+        box.addEventListener('change', () => {
+          chosen = box.checked ? [...chosen, value] : chosen.filter((x) => x !== value);
+          renderPicked();
+        });
+        item.appendChild(box);
+      } else {
+        item.addEventListener('click', () => { search.value = value; });
+      }
+      item.appendChild(text);
+      item.appendChild(countBadge);
+      list.appendChild(item);
+    };
+
+    async function load(reset) {
+      if (reset) offset = 0;
+      const run = ++request;
+      const params = new URLSearchParams({ q: search.value.trim(), mode: mode.value, limit: OPTION_PAGE_SIZE, offset });
+      try {
+        const res = await apiFetch(`/api/pages/${encodeURIComponent(pageSelector.value)}/options/${encodeURIComponent(ctx.columnName)}?${params}`);
+        const data = await res.json();
+        if (run !== request) return;
+        if (!data.ok) throw new Error(data.error);
+        if (reset) list.innerHTML = '';
+        data.values.forEach(addItem);
+        if (reset && !data.values.length) list.innerHTML = '<div class="list-group-item small text-muted">No matching values</div>';
+        offset += data.values.length;
+        more.style.display = data.hasMore ? '' : 'none';
+      } catch (err) {
+        console.error('[FETCH_ERR] option search', { column: ctx.columnName, err });
+      }
+    }
+
+    let timer = null;
+    search.addEventListener('input', () => { clearTimeout(timer); timer = setTimeout(() => load(true), 250); });
+    mode.addEventListener('change', () => load(true));
+    more.addEventListener('click', () => load(false));
+    more.style.display = 'none';
+    renderPicked();
+
+    const ensureLoaded = () => {
+      if (loaded) return;
+      loaded = true;
+      load(true);
+    };
+    return { el, read: () => chosen, ensureLoaded };
+  }
+
+  // NUMERIC range picker: histogram of the column plus a dual-handle slider bounded by its min/max
+  // - Handles write into the row's number inputs (between: both, greater than/equals: low, less than: high)
+  // - Typing in the inputs moves the handles; bars inside the selected range are highlighted
+  function buildNumericRangePicker(stats) {
+    const el = document.createElement('div'); el.setAttribute('data-role', 'numericRange'); el.className = 'mb-2';
+    const histogram = document.createElement('div'); histogram.className = 'range-histogram';
+    const peak = Math.max(1, ...stats.histogram.map((b) => b.count));
+    const bars = stats.histogram.map((b) => {
+      const bar = document.createElement('div'); bar.className = 'bar';
+      bar.style.height = `${Math.round((b.count / peak) * 100)}%`;
+      bar.title = `${b.from.toLocaleString()} – ${b.to.toLocaleString()}: ${b.count}`;
+      histogram.appendChild(bar);
+      return bar;
+    });
+    const track = document.createElement('div'); track.className = 'dual-range';
+    const step = stats.integer ? 1 : (stats.max - stats.min) / 100 || 1;
+    const makeHandle = (role, value) => {
+      const input = document.createElement('input'); input.type = 'range'; input.className = 'form-range'; input.setAttribute('data-role', role);
+      input.min = stats.min; input.max = stats.max; input.step = step; input.value = value;
+      track.appendChild(input);
+      return input;
+    };
+    const low = makeHandle('rangeLow', stats.min);
+    const high = makeHandle('rangeHigh', stats.max);
+    const scale = document.createElement('div'); scale.className = 'd-flex justify-content-between small text-muted';
+    scale.innerHTML = `<span>${stats.min.toLocaleString()}</span><span>${stats.max.toLocaleString()}</span>`;
+    [histogram, track, scale].forEach((child) => el.appendChild(child));
+
+    let bound = { lowInput: null, highInput: null };
+    const highlight = () => {
+      const from = bound.lowInput ? Number(low.value) : stats.min;
+      const to = bound.highInput ? Number(high.value) : stats.max;
+      stats.histogram.forEach((b, i) => bars[i].classList.toggle('in-range', b.to >= from && b.from <= to));
+    };
+    const clampValue = (v, fallback) => (v === '' || !Number.isFinite(Number(v)) ? fallback : Math.min(stats.max, Math.max(stats.min, Number(v))));
+    low.addEventListener('input', () => {
+      if (bound.highInput && Number(low.value) > Number(high.value)) low.value = high.value;
+      if (bound.lowInput) bound.lowInput.value = low.value;
+      highlight();
+    });
+    high.addEventListener('input', () => {
+      if (bound.lowInput && Number(high.value) < Number(low.value)) high.value = low.value;
+      if (bound.highInput) bound.highInput.value = high.value;
+      highlight();
+    });
+
+    // Attach the handles to the number inputs used by the current modality (null hides a handle)
+    const bind = (lowInput, highInput) => {
+      bound = { lowInput, highInput };
+      if (lowInput && highInput) {
+        // A new "between" starts as the full range so both bounds are always sent
+        if (lowInput.value === '') lowInput.value = stats.min;
+        if (highInput.value === '') highInput.value = stats.max;
+      }
+      low.style.display = lowInput ? '' : 'none';
+      high.style.display = highInput ? '' : 'none';
+      if (lowInput) low.value = clampValue(lowInput.value, stats.min);
+      if (highInput) high.value = clampValue(highInput.value, stats.max);
+      highlight();
+    };
+    const sync = () => bind(bound.lowInput, bound.highInput);
+    return { el, bind, sync };
+  }
+
+  // GEO picker: coordinate fields plus an offline mini map (SVG graticule, no tiles)
+  // - The map is framed on the column's data extent (or the whole world) and draws the current shape
+  // - within radius: click sets the center; within box: drag a rectangle; within polygon: click to add vertices
+  // - Values follow the DSL (latitude first): [lat, lng, meters] / [south, west, north, east] / [lat, lng, ...]
+  const GEO_MAP = { width: 320, height: 180 };
+  const GEO_FIELDS = {
+    'within radius': [['lat', 'Latitude'], ['lng', 'Longitude'], ['meters', 'Radius (m)']],
+    'within box': [['south', 'South'], ['west', 'West'], ['north', 'North'], ['east', 'East']]
+  };
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const roundCoordinate = (v) => Math.round(v * 1e5) / 1e5;
+
+  // Equirectangular view of an extent ({ south, west, north, east }), padded and fitted to the map
+  function geoView(extent) {
+    const box = extent || { south: -60, west: -180, north: 80, east: 180 };
+    const pad = Math.max(box.north - box.south, box.east - box.west, 0.01) * 0.15;
+    const south = Math.max(-90, box.south - pad);
+    const north = Math.min(90, box.north + pad);
+    const west = Math.max(-180, box.west - pad);
+    const east = Math.min(180, box.east + pad);
+    const center = { lat: (south + north) / 2, lng: (west + east) / 2 };
+    const cos = Math.max(0.1, Math.cos((center.lat * Math.PI) / 180));
+    const scale = Math.min(GEO_MAP.width / ((east - west) * cos), GEO_MAP.height / (north - south)); // px per degree of latitude
+    return {
+      scale,
+      toXY: (lat, lng) => [GEO_MAP.width / 2 + (lng - center.lng) * scale * cos, GEO_MAP.height / 2 - (lat - center.lat) * scale],
+      toLatLng: (x, y) => ({
+        lat: Math.max(-90, Math.min(90, center.lat - (y - GEO_MAP.height / 2) / scale)),
+        lng: Math.max(-180, Math.min(180, center.lng + (x - GEO_MAP.width / 2) / (scale * cos)))
+      }),
+      // Graticule spacing: the smallest "nice" step that leaves ~40px between lines
+      step: [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 45].find((s) => s * scale * cos >= 40) || 45,
+      south,
+      north,
+      west,
+      east
+    };
+  }
+
+  function buildGeoPicker(ctx, cond) {
+    const el = document.createElement('div'); el.setAttribute('data-role', 'geoPicker'); el.className = 'mb-2';
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${GEO_MAP.width} ${GEO_MAP.height}`);
+    svg.setAttribute('class', 'geo-map mb-1');
+    const svgEl = (name, attrs) => {
+      const node = document.createElementNS(SVG_NS, name);
+      Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+      return node;
+    };
+    const hint = document.createElement('div'); hint.className = 'small text-muted mb-2';
+    const fields = document.createElement('div'); fields.className = 'row g-1 mb-1';
+    const polygonInput = document.createElement('textarea'); polygonInput.className = 'form-control form-control-sm'; polygonInput.rows = 3;
+    polygonInput.setAttribute('data-role', 'geoPolygon'); polygonInput.placeholder = 'One "latitude, longitude" vertex per line';
+    const clearBtn = document.createElement('button'); clearBtn.type = 'button'; clearBtn.className = 'btn btn-sm btn-link px-0'; clearBtn.textContent = 'Clear vertices';
+    const polygonBox = document.createElement('div'); polygonBox.append(polygonInput, clearBtn);
+    [svg, hint, fields, polygonBox].forEach((child) => el.appendChild(child));
+
+    const view = geoView(ctx.extent);
+    let modality = cond.modality || 'within radius';
+    const inputs = {};
+    const number = (key) => (inputs[key] && inputs[key].value !== '' ? Number(inputs[key].value) : NaN);
+    const vertices = () => polygonInput.value.split('\n').map((line) => line.split(',').map((v) => Number(v.trim())))
+      .filter((p) => p.length === 2 && p.every(Number.isFinite));
+
+    // Static layer: graticule + data extent; shape layer is redrawn on every change
+    const grid = svgEl('g', { class: 'geo-grid' });
+    const shape = svgEl('g', { class: 'geo-shape' });
+    svg.append(grid, shape);
+    const drawGrid = () => {
+      grid.innerHTML = '';
+      const { step } = view;
+      for (let lat = Math.ceil(view.south / step) * step; lat <= view.north; lat += step) {
+        const [, y] = view.toXY(lat, 0);
+        grid.appendChild(svgEl('line', { x1: 0, x2: GEO_MAP.width, y1: y, y2: y }));
+      }
+      for (let lng = Math.ceil(view.west / step) * step; lng <= view.east; lng += step) {
+        const [x] = view.toXY(0, lng);
+        grid.appendChild(svgEl('line', { x1: x, x2: x, y1: 0, y2: GEO_MAP.height }));
+      }
+      if (ctx.extent) {
+        const [x1, y1] = view.toXY(ctx.extent.north, ctx.extent.west);
+        const [x2, y2] = view.toXY(ctx.extent.south, ctx.extent.east);
+        const rect = svgEl('rect', { class: 'geo-extent', x: x1, y: y1, width: Math.max(1, x2 - x1), height: Math.max(1, y2 - y1) });
+        rect.appendChild(svgEl('title', {})).textContent = 'Extent of the column\'s values';
+        grid.appendChild(rect);
+      }
+    };
+    const drawShape = () => {
+      shape.innerHTML = '';
+      if (modality === 'within radius' && Number.isFinite(number('lat')) && Number.isFinite(number('lng'))) {
+        const [x, y] = view.toXY(number('lat'), number('lng'));
+        const meters = number('meters');
+        if (meters > 0) shape.appendChild(svgEl('circle', { cx: x, cy: y, r: Math.max(2, (meters / 111320) * view.scale) }));
+        shape.appendChild(svgEl('circle', { class: 'geo-point', cx: x, cy: y, r: 3 }));
+      } else if (modality === 'within box' && ['south', 'west', 'north', 'east'].every((k) => Number.isFinite(number(k)))) {
+        const [x1, y1] = view.toXY(number('north'), number('west'));
+        const [x2, y2] = view.toXY(number('south'), number('east'));
+        shape.appendChild(svgEl('rect', { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) }));
+      } else if (modality === 'within polygon') {
+        const points = vertices().map(([lat, lng]) => view.toXY(lat, lng));
+        if (points.length > 1) shape.appendChild(svgEl('polygon', { points: points.map((p) => p.join(',')).join(' ') }));
+        points.forEach(([x, y]) => shape.appendChild(svgEl('circle', { class: 'geo-point', cx: x, cy: y, r: 3 })));
+      }
+    };
+
+    // Coordinate fields for the current modality; values carry over between modalities where they fit
+    const renderFields = () => {
+      fields.innerHTML = '';
+      (GEO_FIELDS[modality] || []).forEach(([key, label]) => {
+        const col = document.createElement('div'); col.className = 'col';
+        const input = inputs[key] || document.createElement('input');
+        input.type = 'number'; input.step = 'any'; input.className = 'form-control form-control-sm';
+        input.placeholder = label; input.title = label; input.setAttribute('data-role', `geo-${key}`);
+        if (!inputs[key]) input.addEventListener('input', drawShape);
+        inputs[key] = input;
+        col.appendChild(input);
+        fields.appendChild(col);
+      });
+      fields.style.display = GEO_FIELDS[modality] ? '' : 'none';
+      polygonBox.style.display = modality === 'within polygon' ? '' : 'none';
+      hint.textContent = {
+        'within radius': 'Click the map to set the center.',
+        'within box': 'Drag on the map to draw the box.',
+        'within polygon': 'Click the map to add vertices (at least 3).'
+      }[modality] || '';
+      drawShape();
+    };
+
+    polygonInput.addEventListener('input', drawShape);
+    clearBtn.addEventListener('click', () => { polygonInput.value = ''; drawShape(); });
+
+    // Map interactions (pointer position -> viewBox coordinates -> lat/lng)
+    const pointerLatLng = (e) => {
+      const pt = svg.createSVGPoint(); pt.x = e.clientX; pt.y = e.clientY;
+      const local = pt.matrixTransform(svg.getScreenCTM().inverse());
+      const ll = view.toLatLng(local.x, local.y);
+      return { lat: roundCoordinate(ll.lat), lng: roundCoordinate(ll.lng) };
+    };
+    const setInput = (key, value) => { if (!inputs[key]) renderFields(); inputs[key].value = value; };
+    let dragStart = null;
+    svg.addEventListener('pointerdown', (e) => {
+      if (modality !== 'within box') return;
+      dragStart = pointerLatLng(e);
+      svg.setPointerCapture(e.pointerId);
+    });
+    svg.addEventListener('pointermove', (e) => {
+      if (!dragStart) return;
+      const p = pointerLatLng(e);
+      setInput('south', Math.min(dragStart.lat, p.lat)); setInput('north', Math.max(dragStart.lat, p.lat));
+      setInput('west', Math.min(dragStart.lng, p.lng)); setInput('east', Math.max(dragStart.lng, p.lng));
+      drawShape();
+    });
+    svg.addEventListener('pointerup', () => { dragStart = null; });
+    svg.addEventListener('click', (e) => {
+      const p = pointerLatLng(e);
+      if (modality === 'within radius') {
+        setInput('lat', p.lat); setInput('lng', p.lng);
+        if (!(number('meters') > 0)) setInput('meters', Math.round(Math.max(100, (GEO_MAP.width / 10 / view.scale) * 111320)));
+      } else if (modality === 'within polygon') {
+        polygonInput.value = `${polygonInput.value.trim() ? `${polygonInput.value.trim()}\n` : ''}${p.lat}, ${p.lng}`;
+      }
+      drawShape();
+    });
+
+    // Called by the condition row when the modality changes
+    const setModality = (m) => {
+      modality = m;
+      renderFields();
+    };
+    const read = () => {
+      if (modality === 'within polygon') return vertices().flat();
+      return (GEO_FIELDS[modality] || []).map(([key]) => (inputs[key] ? inputs[key].value : ''));
+    };
+    drawGrid();
+    renderFields();
+
+    // Existing condition values
+    const values = (cond.values || []).map(Number);
+    if (modality === 'within polygon') {
+      const lines = [];
+      for (let i = 0; i + 1 < values.length; i += 2) lines.push(`${values[i]}, ${values[i + 1]}`);
+      polygonInput.value = lines.join('\n');
+    } else {
+      (GEO_FIELDS[modality] || []).forEach(([key], i) => { if (Number.isFinite(values[i])) inputs[key].value = values[i]; });
+    }
+    drawShape();
+    return { el, read, setModality };
+  }
+
+  function buildConditionRow(ctx, cond, onRemove) {
+    const row = document.createElement('div');
+    row.className = 'border rounded p-2 mb-2';
+    const values = cond.values || [];
+    const modalities = modalitiesFor(ctx.filterType, ctx.repeated);
+
+    const header = document.createElement('div');
+    header.className = 'd-flex align-items-center justify-content-between mb-2';
+    header.innerHTML = `<label class="form-check-label small"><input type="checkbox" class="form-check-input me-1" data-role="not">Not</label>
+      <button type="button" class="btn-close btn-sm" aria-label="Remove condition"></button>`;
+    const notEl = header.querySelector('[data-role="not"]');
+    notEl.checked = Boolean(cond.not);
+    header.querySelector('.btn-close').addEventListener('click', () => onRemove(row));
+
+    const modality = document.createElement('select'); modality.setAttribute('data-role', 'modality'); modality.className = 'form-select mb-2';
+    modalities.forEach(([m]) => { const opt = document.createElement('option'); opt.value = m; opt.textContent = titleCase(m); modality.appendChild(opt); });
+    modality.value = cond.modality || (modalities[0] && modalities[0][0]) || '';
+
+    const makeSelect = (role, options, current) => {
+      const select = document.createElement('select'); select.setAttribute('data-role', role); select.className = 'form-select mb-2';
+      options.forEach((o) => { const opt = document.createElement('option'); opt.value = String(o); opt.textContent = String(o); select.appendChild(opt); });
+      if (current != null) select.value = String(current);
+      return select;
+    };
+    const inputType = { NUMERIC: 'number', DATE: 'date' }[ctx.filterType] || 'text';
+    const makeInput = (role, current) => {
+      const input = document.createElement('input'); input.setAttribute('data-role', role); input.type = inputType; input.className = 'form-control mb-2';
+      input.value = current != null ? current : '';
+      return input;
+    };
+    const input1 = makeInput('value1', values[0]);
+    const input2 = makeInput('value2', values[1]);
+    const valuePicker = buildOptionCombobox(ctx, { multiple: true, selected: ctx.filterType === 'LIST' && (!cond.modality || ['is', 'contains any', 'contains all'].includes(cond.modality)) ? values : [] });
+    const suggestions = ctx.filterType === 'FREETEXT' ? buildOptionCombobox(ctx, { multiple: false, searchInput: input1 }) : null;
+    const suggestionsEl = suggestions ? suggestions.el : document.createElement('div');
+    const boolSelect = makeSelect('boolValue', ['true', 'false'], values[0] != null ? String(!!values[0]) : null);
+    const relative = buildRelativeDatePicker(ctx, values[0]);
+    const range = ctx.filterType === 'NUMERIC' && ctx.stats && ctx.stats.count ? buildNumericRangePicker(ctx.stats) : null;
+    const rangeEl = range ? range.el : document.createElement('div');
+    const geo = ctx.filterType === 'GEO' ? buildGeoPicker(ctx, cond) : null;
+    const geoEl = geo ? geo.el : document.createElement('div');
+    [input1, input2].forEach((input) => input.addEventListener('input', () => range && range.sync()));
+
+    const arityOf = (m) => (modalities.find(([name]) => name === m) || [])[1];
+    const updateVisibility = () => {
+      const m = modality.value;
+      const arity = arityOf(m);
+      const show = (el, visible) => { el.style.display = visible ? '' : 'none'; };
+      const picksOption = ctx.filterType === 'LIST' && arity === 'many';
+      const picksToken = ctx.filterType === 'DATE' && m === 'relative';
+      const picksBool = ctx.filterType === 'BOOLEAN' && arity === 1;
+      const picksGeo = Boolean(geo) && Boolean(arity);
+      const suggests = Boolean(suggestions) && m === 'exact';
+      show(valuePicker.el, picksOption);
+      show(suggestionsEl, suggests);
+      if (picksOption) valuePicker.ensureLoaded();
+      if (suggests) suggestions.ensureLoaded();
+      show(relative.el, picksToken);
+      show(boolSelect, picksBool);
+      show(geoEl, picksGeo);
+      if (picksGeo) geo.setModality(m);
+      show(input1, arity && !picksOption && !picksToken && !picksBool && !picksGeo);
+      show(input2, arity === 2);
+      // Slider handles follow the modality's bounds; percentile and empty modalities hide it
+      const bounds = { between: [input1, input2], 'greater than': [input1, null], equals: [input1, null], 'less than': [null, input1] }[m];
+      show(rangeEl, Boolean(range && bounds));
+      if (range && bounds) range.bind(...bounds);
+    };
+    modality.addEventListener('change', updateVisibility);
+    updateVisibility();
+    [header, modality, valuePicker.el, relative.el, boolSelect, rangeEl, geoEl, input1, suggestionsEl, input2].forEach((el) => row.appendChild(el));
+
+    // Values are sent as entered; the API normalizes and validates them (errors show in the banner)
+    const read = () => {
+      const m = modality.value;
+      const arity = arityOf(m);
+      let vals = [];
+      if (!arity) { vals = []; }
+      else if (ctx.filterType === 'LIST' && arity === 'many') { vals = valuePicker.read(); }
+      else if (ctx.filterType === 'DATE' && m === 'relative') { vals = [relative.read()]; }
+      else if (ctx.filterType === 'BOOLEAN') { vals = [boolSelect.value === 'true']; }
+      else if (geo) { vals = geo.read(); }
+      else if (arity === 2) { vals = [input1.value, input2.value]; }
+      else { vals = [input1.value]; }
+      const out = { type: ctx.filterType, modality: m, values: vals };
+      if (notEl.checked) out.not = true;
+      return out;
+    };
+    return { el: row, read };
+  }
+
   function openFilterPopover(ctx) {
     if (!filterPopoverModal) return;
     popoverContext = ctx;
     filterPopoverTitle.textContent = `Filter: ${ctx.header}`;
     filterPopoverForm.innerHTML = '';
-    const existing = userFilters[ctx.columnName] || { type: ctx.filterType, values: [] };
-    if (ctx.filterType === 'FREETEXT') {
-      const modality = document.createElement('select'); modality.setAttribute('data-role','modality');
-      modality.className = 'form-select mb-2';
-      ['Contains', 'Exact', 'Starts With', 'Is Empty', 'Is Not Empty'].forEach((m) => {
-        const opt = document.createElement('option'); opt.value = m.toLowerCase(); opt.textContent = m; modality.appendChild(opt);
+    popoverRows = [];
+
+    const existing = userFilters[ctx.columnName];
+    const existingConditions = existing && Array.isArray(existing.conditions) ? existing.conditions : [existing || { type: ctx.filterType, values: [] }];
+
+    // Combine selector (shown once there are 2+ rows)
+    const combine = document.createElement('select'); combine.setAttribute('data-role', 'combine'); combine.className = 'form-select form-select-sm mb-2';
+    combine.innerHTML = '<option value="AND">Match all conditions</option><option value="OR">Match any condition</option>';
+    combine.value = existing && existing.op ? existing.op : 'AND';
+    const rowsContainer = document.createElement('div');
+    const refreshCombine = () => { combine.style.display = popoverRows.length > 1 ? '' : 'none'; };
+
+    const addRow = (cond) => {
+      const row = buildConditionRow(ctx, cond, (el) => {
+        if (popoverRows.length <= 1) return; // keep at least one row
+        popoverRows = popoverRows.filter((r) => r.el !== el);
+        el.remove();
+        refreshCombine();
       });
-      modality.value = existing.modality || 'contains';
-      const input = document.createElement('input'); input.setAttribute('data-role','value1');
-      input.className = 'form-control'; input.type = 'text'; input.value = existing.values && existing.values[0] ? existing.values[0] : '';
-      const updateVisibility = () => {
-        const m = modality.value;
-        input.style.display = (m === 'is empty' || m === 'is not empty') ? 'none' : '';
-      };
-      modality.addEventListener('change', updateVisibility);
-      updateVisibility();
-      filterPopoverForm.appendChild(modality);
-      filterPopoverForm.appendChild(input);
-    } else if (ctx.filterType === 'NUMERIC') {
-      const modality = document.createElement('select'); modality.setAttribute('data-role','modality');
-      modality.className = 'form-select mb-2';
-      ['Equals', 'Between', 'Greater Than', 'Less Than', 'Is Empty', 'Is Not Empty'].forEach((m) => { const opt = document.createElement('option'); opt.value = m.toLowerCase(); opt.textContent = m; modality.appendChild(opt); });
-      modality.value = existing.modality || 'equals';
-      const input1 = document.createElement('input'); input1.setAttribute('data-role','value1'); input1.type = 'number'; input1.className = 'form-control mb-2'; input1.value = existing.values && existing.values[0] != null ? existing.values[0] : '';
-      const input2 = document.createElement('input'); input2.setAttribute('data-role','value2'); input2.type = 'number'; input2.className = 'form-control'; input2.value = existing.values && existing.values[1] != null ? existing.values[1] : '';
-      const updateVisibility = () => {
-        const m = modality.value;
-        if (m === 'between') { input1.style.display = ''; input2.style.display = ''; }
-        else if (m === 'is empty' || m === 'is not empty') { input1.style.display = 'none'; input2.style.display = 'none'; }
-        else { input1.style.display = ''; input2.style.display = 'none'; }
-      };
-      modality.addEventListener('change', updateVisibility);
-      updateVisibility();
-      filterPopoverForm.appendChild(modality);
-      filterPopoverForm.appendChild(input1);
-      filterPopoverForm.appendChild(input2);
-    } else if (ctx.filterType === 'DATE') {
-      const modality = document.createElement('select'); modality.setAttribute('data-role','modality'); modality.className = 'form-select mb-2';
-      ['On', 'Between', 'Before', 'After'].forEach((m) => { const opt = document.createElement('option'); opt.value = m.toLowerCase(); opt.textContent = m; modality.appendChild(opt); });
-      modality.value = existing.modality || 'on';
-      const input1 = document.createElement('input'); input1.setAttribute('data-role','value1'); input1.type = 'date'; input1.className = 'form-control mb-2'; input1.value = existing.values && existing.values[0] ? existing.values[0] : '';
-      const input2 = document.createElement('input'); input2.setAttribute('data-role','value2'); input2.type = 'date'; input2.className = 'form-control'; input2.value = existing.values && existing.values[1] ? existing.values[1] : '';
-      const updateVisibility = () => {
-        const m = modality.value;
-        if (m === 'between') { input1.style.display = ''; input2.style.display = ''; }
-        else { input1.style.display = ''; input2.style.display = 'none'; }
-      };
-      modality.addEventListener('change', updateVisibility);
-      updateVisibility();
-      filterPopoverForm.appendChild(modality);
-      filterPopoverForm.appendChild(input1);
-      filterPopoverForm.appendChild(input2);
-    } else if (ctx.filterType === 'LIST') {
-      const modality = document.createElement('select'); modality.setAttribute('data-role','modality'); modality.className = 'form-select mb-2';
-      ['Is', 'Contains', 'Exact', 'Starts With', 'Is Empty', 'Is Not Empty'].forEach((m) => { const opt = document.createElement('option'); opt.value = m.toLowerCase(); opt.textContent = m; modality.appendChild(opt); });
-      modality.value = existing.modality || 'is';
-      // Swap between select (Is) and text input (other modalities)
-      const valueContainer = document.createElement('div');
-      const select = document.createElement('select'); select.setAttribute('data-role','valueSelect'); select.className = 'form-select';
-      (ctx.options || []).forEach((o) => { const opt = document.createElement('option'); opt.value = String(o); opt.textContent = String(o); select.appendChild(opt); });
-      if (existing.values && existing.values[0] != null) select.value = String(existing.values[0]);
-      const input = document.createElement('input'); input.setAttribute('data-role','value1'); input.type = 'text'; input.className = 'form-control'; input.placeholder = 'Type value'; input.value = existing.values && existing.values[0] ? existing.values[0] : '';
-      const updateVisibility = () => {
-        const m = modality.value;
-        if (m === 'is') { select.style.display = ''; input.style.display = 'none'; }
-        else if (m === 'is empty' || m === 'is not empty') { select.style.display = 'none'; input.style.display = 'none'; }
-        else { select.style.display = 'none'; input.style.display = ''; }
-      };
-      modality.addEventListener('change', updateVisibility);
-      updateVisibility();
-      valueContainer.appendChild(select);
-      valueContainer.appendChild(input);
-      filterPopoverForm.appendChild(modality);
-      filterPopoverForm.appendChild(valueContainer);
-    } else if (ctx.filterType === 'BOOLEAN') {
-      const modality = document.createElement('select'); modality.setAttribute('data-role','modality'); modality.className = 'form-select mb-2';
-      ['Is', 'Is Empty', 'Is Not Empty'].forEach((m) => { const opt = document.createElement('option'); opt.value = m.toLowerCase(); opt.textContent = m; modality.appendChild(opt); });
-      modality.value = existing.modality || 'is';
-      const select = document.createElement('select'); select.setAttribute('data-role','boolValue'); select.className = 'form-select';
-      [{v:'true',t:'True'},{v:'false',t:'False'}].forEach((o)=>{const opt=document.createElement('option'); opt.value=o.v; opt.textContent=o.t; select.appendChild(opt);});
-      if (existing.values && existing.values[0] != null) { select.value = String(!!existing.values[0]); }
-      const updateVisibility = () => { const m = modality.value; select.style.display = (m === 'is') ? '' : 'none'; };
-      modality.addEventListener('change', updateVisibility);
-      updateVisibility();
-      filterPopoverForm.appendChild(modality);
-      filterPopoverForm.appendChild(select);
-    }
+      popoverRows.push(row);
+      rowsContainer.appendChild(row.el);
+      refreshCombine();
+    };
+    existingConditions.forEach(addRow);
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-sm btn-outline-secondary';
+    addBtn.textContent = 'Add condition';
+    addBtn.addEventListener('click', () => addRow({ type: ctx.filterType, values: [] }));
+
+    [combine, rowsContainer, addBtn].forEach((el) => filterPopoverForm.appendChild(el));
     filterPopoverModal.show();
   }
 
   // Apply popover selections to userFilters and trigger refetch
+  // - A single row is stored as a plain condition, several rows as an AND/OR group for the column
   if (filterPopoverApply) {
     filterPopoverApply.addEventListener('click', async () => {
       if (!popoverContext) return;
-      const { columnName, filterType } = popoverContext;
-      const modalityEl = filterPopoverForm.querySelector('[data-role="modality"]');
-      const value1El = filterPopoverForm.querySelector('[data-role="value1"]');
-      const value2El = filterPopoverForm.querySelector('[data-role="value2"]');
-      const boolEl = filterPopoverForm.querySelector('[data-role="boolValue"]');
-      const valueSelectEl = filterPopoverForm.querySelector('[data-role="valueSelect"]');
-      let modality = modalityEl ? modalityEl.value : undefined;
-      let values = [];
-      if (filterType === 'FREETEXT') {
-        if (modality === 'is empty' || modality === 'is not empty') { values = []; }
-        else { values = [value1El ? value1El.value : '']; }
-      } else if (filterType === 'NUMERIC') {
-        if (modality === 'between') { values = [value1El ? value1El.value : '', value2El ? value2El.value : '']; }
-        else if (modality === 'is empty' || modality === 'is not empty') { values = []; }
-        else { values = [value1El ? value1El.value : '']; }
-      } else if (filterType === 'DATE') {
-        if (modality === 'between') { values = [value1El ? value1El.value : '', value2El ? value2El.value : '']; }
-        else { values = [value1El ? value1El.value : '']; }
-      } else if (filterType === 'LIST') {
-        if (modality === 'is') { values = [valueSelectEl ? valueSelectEl.value : '']; }
-        else if (modality === 'is empty' || modality === 'is not empty') { values = []; }
-        else { values = [value1El ? value1El.value : '']; }
-      } else if (filterType === 'BOOLEAN') {
-        if (modality === 'is empty' || modality === 'is not empty') { values = []; }
-        else { values = [boolEl ? (boolEl.value === 'true') : null]; }
-      }
-      userFilters[columnName] = { type: filterType, modality, values };
+      const { columnName } = popoverContext;
+      const conditions = popoverRows.map((r) => r.read());
+      const combine = filterPopoverForm.querySelector('[data-role="combine"]').value;
+      userFilters[columnName] = conditions.length === 1 ? conditions[0] : { op: combine, conditions };
       filterPopoverModal.hide();
       await fetchAndRender('filter_popover_apply');
     });
   }
 
-  // Fetch latest page data from backend (applies savedFilter and userFilters)
+  // Show/hide the error banner above the table (API error payload or null to clear)
+  function showError(payload) {
+    if (!errorAlert) return;
+    if (!payload) {
+      errorAlert.classList.add('d-none');
+      errorAlert.textContent = '';
+      return;
+    }
+    const details = (payload.details || []).map((d) => `${d.column || d.field}: ${d.message}`);
+    errorAlert.textContent = [payload.error || 'Request failed', ...details].join(' — ');
+    errorAlert.classList.remove('d-none');
+  }
+
+  // Client-side page cache for the current view
+  // - A view is page + tab + user filters + sort + group-by + page size; changing any of them drops the cache
+  // - pageCursors holds the keyset cursor that fetches each page (the previous page's nextCursor)
+  const PREFETCH_PAGES = 2; // pages loaded ahead in the background
+  const PAGE_CACHE_TTL_MS = 60 * 1000; // cached pages older than this are refetched
+  let cacheViewKey = null;
+  let pageCache = new Map(); // page number -> { data, at }
+  let pageCursors = new Map(); // page number -> cursor
+  let prefetchRun = 0; // bumps on every render so stale prefetch loops stop
+
+  function currentViewKey() {
+    return JSON.stringify({
+      page: pageSelector.value,
+      saved: currentSavedFilter,
+      user: buildUserFilterPayload(),
+      sort: sortState,
+      group: groupState,
+      size: paginationState.pageSize
+    });
+  }
+
+  // Relative dates ("today", "this week", ...) are evaluated in the viewer's time zone
+  const browserTimeZone = (() => {
+    try { return Intl.DateTimeFormat().resolvedOptions().timeZone || null; } catch (e) { return null; }
+  })();
+
+  function buildPayload(page) {
+    return {
+      pageIdentifier: pageSelector.value,
+      savedFilterIdentifier: currentSavedFilter,
+      userFilters: buildUserFilterPayload(),
+      sort: sortState.length ? sortState : null,
+      groupBy: groupState,
+      summary: !groupState, // group mode has its own totals
+      facets: true,
+      pagination: { page, pageSize: paginationState.pageSize, cursor: pageCursors.get(page) || null },
+      timeZone: browserTimeZone
+    };
+  }
+
+  async function requestPageRows(payload) {
+    const res = await apiFetch('/api/page-rows', { method: 'POST', body: JSON.stringify(payload) });
+    return { res, data: await res.json() };
+  }
+
+  function rememberPage(page, data) {
+    pageCache.set(page, { data, at: Date.now() });
+    const next = data.pagination && data.pagination.nextCursor;
+    if (next) pageCursors.set(page + 1, next);
+  }
+
+  function cachedPage(page) {
+    const entry = pageCache.get(page);
+    return entry && Date.now() - entry.at < PAGE_CACHE_TTL_MS ? entry.data : null;
+  }
+
+  // Load the next few pages in the background (sequential, so each can use the previous cursor)
+  async function prefetchAhead(fromPage, totalPages) {
+    const run = ++prefetchRun;
+    const viewKey = cacheViewKey;
+    for (let page = fromPage + 1; page <= Math.min(totalPages, fromPage + PREFETCH_PAGES); page += 1) {
+      if (run !== prefetchRun || viewKey !== cacheViewKey) return; // view changed or newer render
+      if (cachedPage(page)) continue;
+      try {
+        const { res, data } = await requestPageRows(buildPayload(page));
+        if (!res.ok || viewKey !== cacheViewKey) return;
+        rememberPage(page, data);
+        console.log('[PREFETCH_OK] page', { page });
+      } catch (err) {
+        console.warn('[PREFETCH_ERR] page', { page, err });
+        return;
+      }
+    }
+  }
+
+  // Page bootstrap (headers, filter config, saved filters, actions), loaded once per page selection
+  let pageMetadata = null;
+  let renderedKeys = { tabs: null, filters: null }; // inputs of the last tabs/filters render
+
+  async function loadPageMetadata(reason) {
+    const pageIdentifier = pageSelector.value;
+    console.log('[FETCH] GET /api/pages/:id/metadata', { reason, pageIdentifier });
+    const res = await apiFetch(`/api/pages/${encodeURIComponent(pageIdentifier)}/metadata`);
+    const data = await res.json();
+    if (!res.ok) {
+      console.error('[FETCH_ERR] /api/pages/:id/metadata', { reason, status: res.status, error: data.error });
+      showError(data);
+      return false;
+    }
+    pageMetadata = data;
+    renderedKeys = { tabs: null, filters: null };
+    console.log('[FETCH_OK] /api/pages/:id/metadata', { reason, headers: data.tableHeaders.length, cache: data.cache });
+    return true;
+  }
+
+  // Render from a rows payload; tabs and the filter panel only rerender when their inputs changed
+  function renderPageData(data) {
+    const meta = pageMetadata || {};
+    // Save applied saved filter for chip rendering
+    window.__appliedSavedFilter = data.appliedSavedFilter || null;
+    appliedSort = (data.appliedSort && data.appliedSort.sort) || [];
+    const tabsKey = JSON.stringify({ currentSavedFilter });
+    if (tabsKey !== renderedKeys.tabs) {
+      renderTabs(meta.savedFilters || []);
+      renderedKeys.tabs = tabsKey;
+    }
+    const filtersKey = JSON.stringify({ saved: data.appliedSavedFilter, userFilters, userFilterMatch, facets: data.facetCounts });
+    if (filtersKey !== renderedKeys.filters) {
+      // Facet counts (rows per chip under the other filters) come with every rows response
+      const facetCounts = data.facetCounts || {};
+      const filterConfig = (meta.filterConfig || []).map((fc) => (facetCounts[fc.columnName] ? { ...fc, facetCounts: facetCounts[fc.columnName] } : fc));
+      renderFilters(filterConfig, meta.tableHeaders || []);
+      renderedKeys.filters = filtersKey;
+    }
+    if (data.groups) renderGroupedTable(data);
+    else renderTable(visibleHeaders(), data.data || [], data.summary);
+    updateGroupByButton();
+    renderPagination(data.pagination || { currentPage: 1, totalPages: 1 });
+    updateSaveViewButton();
+  }
+
+  // Table headers in display order; a saved view with column settings picks/reorders them
+  function visibleHeaders() {
+    const headers = (pageMetadata && pageMetadata.tableHeaders) || [];
+    const columns = window.__appliedSavedFilter && window.__appliedSavedFilter.columns;
+    if (!Array.isArray(columns) || !columns.length) return headers;
+    const byKey = new Map(headers.map((h) => [h.key, h]));
+    return columns.map((key) => byKey.get(key)).filter(Boolean);
+  }
+
+  // View state in the URL, so reloads keep the view and links can be shared
+  // - ?page=&tab=&filters=&match=&sort=&group=&p=&size= (filters/group are base64url JSON of the user
+  //   filters/group-by, sort is "column:direction,..."); defaults are left out
+  // - Written on every fetch: pushState for user changes, replaceState for loads and history moves
+  // - ?s=<id> is a server-side short link (POST /api/short-links) resolving to the same query
+  const SHORT_LINK_MIN_LENGTH = 1500; // shared URLs longer than this go through the short-link store
+
+  function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function decodeBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, (ch) => ch.charCodeAt(0)));
+  }
+
+  function viewStateQuery() {
+    const params = new URLSearchParams();
+    params.set('page', pageSelector.value);
+    if (currentSavedFilter) params.set('tab', currentSavedFilter);
+    if (Object.keys(userFilters).length) params.set('filters', encodeBase64Url(JSON.stringify(userFilters)));
+    if (userFilterMatch === 'OR') params.set('match', 'OR');
+    if (sortState.length) params.set('sort', sortState.map((s) => `${s.column}:${s.direction}`).join(','));
+    if (groupState) params.set('group', encodeBase64Url(JSON.stringify(groupState)));
+    if (paginationState.page > 1) params.set('p', String(paginationState.page));
+    if (paginationState.pageSize !== PAGE_SIZES[0]) params.set('size', String(paginationState.pageSize));
+    return params.toString();
+  }
+
+  // Parse a view-state query; null when it names no page. Malformed parts fall back to defaults.
+  function parseViewState(query) {
+    const params = new URLSearchParams(query);
+    if (!params.get('page')) return null;
+    let filters = {};
+    try {
+      const parsed = params.get('filters') ? JSON.parse(decodeBase64Url(params.get('filters'))) : {};
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) filters = parsed;
+    } catch (e) {
+      console.warn('[URL_STATE] ignoring malformed filters', e);
+    }
+    let group = null;
+    try {
+      const parsed = params.get('group') ? JSON.parse(decodeBase64Url(params.get('group'))) : null;
+      if (parsed && Array.isArray(parsed.columns) && Array.isArray(parsed.metrics)) group = parsed;
+    } catch (e) {
+      console.warn('[URL_STATE] ignoring malformed group', e);
+    }
+    const sort = (params.get('sort') || '').split(',').filter(Boolean).map((part) => {
+      const [column, direction] = part.split(':');
+      return { column, direction: direction === 'desc' ? 'desc' : 'asc' };
+    });
+    const size = Number(params.get('size'));
+    return {
+      page: params.get('page'),
+      tab: params.get('tab') || null,
+      filters,
+      match: params.get('match') === 'OR' ? 'OR' : 'AND',
+      sort,
+      group,
+      p: Math.max(1, Math.floor(Number(params.get('p')) || 1)),
+      size: PAGE_SIZES.includes(size) ? size : PAGE_SIZES[0]
+    };
+  }
+
+  // Apply a parsed state; false when its page is not available to this user
+  function applyViewState(state) {
+    if (![...pageSelector.options].some((o) => o.value === state.page)) return false;
+    pageSelector.value = state.page;
+    currentSavedFilter = state.tab;
+    userFilters = state.filters;
+    userFilterMatch = state.match;
+    sortState = state.sort;
+    groupState = state.group;
+    paginationState = { page: state.p, pageSize: state.size };
+    // Mark the restored view as current so the first fetch keeps its page number
+    cacheViewKey = currentViewKey();
+    pageCache = new Map();
+    pageCursors = new Map();
+    return true;
+  }
+
+  function syncUrl(reason) {
+    const query = viewStateQuery();
+    if (`?${query}` === window.location.search) return;
+    const url = `${window.location.pathname}?${query}`;
+    if (reason === 'initial_load' || reason === 'popstate') window.history.replaceState(null, '', url);
+    else window.history.pushState(null, '', url);
+  }
+
+  // State from the current URL (resolving ?s= short links); null when there is nothing to restore
+  async function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const shortId = params.get('s');
+    if (!shortId) return parseViewState(window.location.search);
+    const res = await apiFetch(`/api/short-links/${encodeURIComponent(shortId)}`);
+    const data = await res.json();
+    if (!res.ok) {
+      showError(data);
+      return null;
+    }
+    return parseViewState(data.shortLink.query);
+  }
+
+  window.addEventListener('popstate', () => {
+    const state = parseViewState(window.location.search);
+    if (!state) return;
+    const pageChanged = state.page !== pageSelector.value;
+    if (!applyViewState(state)) return;
+    console.log('[TRIGGER] History navigation -> fetch start', { page: state.page, pageChanged });
+    if (pageChanged) loadPageAndRows('popstate');
+    else fetchAndRender('popstate');
+  });
+
+  // Copy a link to the current view; long states are stored server-side behind a short id
+  const shareViewButton = document.getElementById('shareViewButton');
+  async function shareView() {
+    let url = `${window.location.origin}${window.location.pathname}?${viewStateQuery()}`;
+    if (url.length > SHORT_LINK_MIN_LENGTH) {
+      const res = await apiFetch('/api/short-links', { method: 'POST', body: JSON.stringify({ query: viewStateQuery() }) });
+      const data = await res.json();
+      if (!res.ok) {
+        showError(data);
+        return;
+      }
+      url = `${window.location.origin}${window.location.pathname}?s=${encodeURIComponent(data.shortLink.id)}`;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      const label = shareViewButton.querySelector('span');
+      label.textContent = 'Copied!';
+      setTimeout(() => { label.textContent = 'Copy link'; }, 2000);
+    } catch (e) {
+      window.prompt('Copy this link', url); // clipboard API unavailable (e.g. non-HTTPS)
+    }
+  }
+  if (shareViewButton) shareViewButton.addEventListener('click', shareView);
+
+  // Fetch latest rows from backend (applies savedFilter and userFilters)
+  // - Served from the page cache when the page was already loaded/prefetched for this view
   async function fetchAndRender(reason = 'unknown') {
+    const viewKey = currentViewKey();
+    if (viewKey !== cacheViewKey) {
+      // New view: drop cached pages/cursors and start from the first page
+      cacheViewKey = viewKey;
+      pageCache = new Map();
+      pageCursors = new Map();
+      paginationState.page = 1;
+    }
+    syncUrl(reason);
+    const cached = cachedPage(paginationState.page);
+    if (cached) {
+      console.log('[CACHE_HIT] page', { reason, page: paginationState.page });
+      showError(null);
+      renderPageData(cached);
+      prefetchAhead(paginationState.page, cached.pagination.totalPages);
+      return;
+    }
+
     // Loading UX around page selector
     console.log('[LOADING_START] disabling selector, showing spinner', { reason });
     pageSelector.disabled = true;
     if (loadingIndicator) loadingIndicator.style.visibility = 'visible';
-    const payload = {
-      pageIdentifier: pageSelector.value,
-      savedFilterIdentifier: currentSavedFilter,
-      userFilters,
-      pagination: paginationState
-    };
+    const payload = buildPayload(paginationState.page);
     try {
-      console.log('[FETCH] POST /api/page-data', { reason, payload });
-      const res = await fetch('/api/page-data', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      const data = await res.json();
-      console.log('[FETCH_OK] /api/page-data', { reason, received: { headers: (data.tableHeaders||[]).length, rows: (data.data||[]).length } });
-      // Save applied saved filter for chip rendering
-      window.__appliedSavedFilter = data.appliedSavedFilter || null;
-      // Render all UI regions
-      renderTabs(data.savedFilters || []);
-      renderFilters(data.filterConfig || [], data.tableHeaders || []);
-      renderTable(data.tableHeaders || [], data.data || []);
-      renderPagination(data.pagination || { currentPage: 1, totalPages: 1 });
+      console.log('[FETCH] POST /api/page-rows', { reason, payload });
+      const { res, data } = await requestPageRows(payload);
+      if (!res.ok) {
+        // Structured filter errors (400) keep the current view and explain what was rejected
+        console.error('[FETCH_ERR] /api/page-rows', { reason, status: res.status, error: data.error, details: data.details });
+        showError(data);
+        return;
+      }
+      showError(null);
+      console.log('[FETCH_OK] /api/page-rows', { reason, received: { rows: (data.data||[]).length }, cache: data.cache });
+      if (viewKey === cacheViewKey) rememberPage(paginationState.page, data);
+      renderPageData(data);
+      prefetchAhead(paginationState.page, (data.pagination && data.pagination.totalPages) || 1);
     } catch (err) {
-      console.error('[FETCH_ERR] /api/page-data', { reason, err });
+      console.error('[FETCH_ERR] /api/page-rows', { reason, err });
     } finally {
       pageSelector.disabled = false;
       if (loadingIndicator) loadingIndicator.style.visibility = 'hidden';
@@ -465,14 +2120,67 @@ document.addEventListener('DOMContentLoaded', () => {
   pageSelector.addEventListener('change', () => {
     currentSavedFilter = null;
     userFilters = {};
+    userFilterMatch = 'AND';
+    sortState = [];
+    groupState = null; // group columns belong to the previous page
     paginationState = { page: 1, pageSize: 10 };
     console.log('[TRIGGER] Page selector change -> fetch start', { page: pageSelector.value });
-    fetchAndRender('page_selector_change');
+    loadPageAndRows('page_selector_change');
   });
 
-  // Initial page load
+  // Metadata first (headers/filter config), then the first page of rows
+  async function loadPageAndRows(reason) {
+    pageSelector.disabled = true;
+    try {
+      if (!(await loadPageMetadata(reason))) return;
+    } catch (err) {
+      console.error('[FETCH_ERR] /api/pages/:id/metadata', { reason, err });
+      return;
+    } finally {
+      pageSelector.disabled = false;
+    }
+    await fetchAndRender(reason);
+  }
+
+  // Populate the page selector from the registry; pages with a category are grouped under it
+  async function loadPages() {
+    const res = await apiFetch('/api/pages');
+    const data = await res.json();
+    if (!res.ok) {
+      console.error('[FETCH_ERR] /api/pages', { status: res.status, error: data.error });
+      showError(data);
+      return false;
+    }
+    const previous = pageSelector.value;
+    const groups = new Map(); // category ('' = none) -> pages
+    data.pages.forEach((page) => {
+      const key = page.category || '';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(page);
+    });
+    const option = (page) => `<option value="${escapeHtml(page.pageIdentifier)}">${escapeHtml(page.title)}</option>`;
+    pageSelector.innerHTML = [...groups.entries()]
+      .sort(([a], [b]) => (a === '' ? -1 : b === '' ? 1 : a.localeCompare(b)))
+      .map(([category, pages]) => (category
+        ? `<optgroup label="${escapeHtml(category)}">${pages.map(option).join('')}</optgroup>`
+        : pages.map(option).join('')))
+      .join('');
+    if (data.pages.some((page) => page.pageIdentifier === previous)) pageSelector.value = previous;
+    console.log('[FETCH_OK] /api/pages', { pages: data.pages.length });
+    return data.pages.length > 0;
+  }
+
+  // Initial page load (filter schema first so the popover is ready, then the page list, then any view
+  // state from the URL before the first fetch)
   console.log('[TRIGGER] Initial load -> fetch start');
-  fetchAndRender('initial_load');
+  loadFilterSchema()
+    .then(() => loadPages())
+    .then(async (hasPages) => {
+      if (!hasPages) return null;
+      const state = await readUrlState();
+      if (state && !applyViewState(state)) console.warn('[URL_STATE] page from link is not available', { page: state.page });
+      return loadPageAndRows('initial_load');
+    });
 });
 
 